@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+// Re-runs deduplication over stored articles with the current engine settings,
+// in publishedAt order, and reports which decisions changed.
+//
+//   node scripts/backfill-dedup.js --from 2024-01-01 --to 2024-01-31 --dry-run
+//   node scripts/backfill-dedup.js --resume <runId>
+//
+// Runs checkpoint after every batch; an interrupted run (Ctrl+C) resumes with --resume.
+
+const { parseArgs } = require('util');
+const { ObjectId } = require('mongodb');
+
+const DatabaseManager = require('../src/services/DatabaseManager');
+const DeduplicationEngine = require('../src/services/DeduplicationEngine');
+const DeduplicationBackfill = require('../src/services/DeduplicationBackfill');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BackfillCli {
+  constructor(options) {
+    this.options = options;
+    this.dbManager = new DatabaseManager();
+    this.engine = new DeduplicationEngine();
+
+    const overrides = { llmValidation: options['with-llm'] };
+    if (options['batch-size']) overrides.batchSize = parseInt(options['batch-size'], 10);
+    if (options['delay-ms']) overrides.batchDelayMs = parseInt(options['delay-ms'], 10);
+    this.backfill = new DeduplicationBackfill(overrides);
+  }
+
+  parseRange() {
+    const to = this.options.to ? new Date(this.options.to) : new Date();
+    const from = this.options.from ? new Date(this.options.from) : new Date(to.getTime() - 7 * DAY_MS);
+
+    if (isNaN(from) || isNaN(to)) {
+      throw new Error('--from and --to must be dates (e.g. 2024-01-31 or an ISO timestamp)');
+    }
+    if (from > to) {
+      throw new Error('--from must be before --to');
+    }
+
+    return { from, to };
+  }
+
+  async printReport(runId) {
+    const run = await this.backfill.getRun(runId, { changeLimit: parseInt(this.options.sample, 10) });
+
+    console.log(`\n📊 Run ${run._id} ${run.status}${run.dryRun ? ' (dry run, nothing written)' : ''}`);
+    console.log(`   Range: ${run.from.toISOString()} → ${run.to.toISOString()}`);
+    console.log(`   Processed: ${run.processed}, changed: ${run.changed}, skipped (manually reviewed): ${run.skipped}`);
+
+    const transitions = Object.entries(run.transitions || {});
+    if (transitions.length > 0) {
+      console.log('\n🔀 Transitions:');
+      transitions.forEach(([transition, count]) => {
+        console.log(`   ${transition.padEnd(28)} ${count}`);
+      });
+    }
+
+    if (run.changes.length > 0) {
+      console.log(`\n📝 Changes (first ${run.changes.length}):`);
+      run.changes.forEach((change) => {
+        const describe = ({ classification, originalArticleId }) =>
+          `${classification || 'unprocessed'}${originalArticleId ? ` of ${originalArticleId}` : ''}`;
+        console.log(`   ${change.articleId} ${describe(change.before)} → ${describe(change.after)}`);
+        console.log(`      ${change.title}`);
+      });
+    }
+
+    if (run.status === 'stopped') {
+      console.log(`\n⏸️  Resume with: node scripts/backfill-dedup.js --resume ${run._id}`);
+    }
+  }
+
+  async run() {
+    try {
+      await this.dbManager.connect();
+      await this.engine.initialize(this.dbManager);
+      this.backfill.initialize(this.dbManager, this.engine);
+
+      let request;
+      if (this.options.resume) {
+        if (!ObjectId.isValid(this.options.resume)) {
+          throw new Error('--resume must be a backfill run id');
+        }
+        request = { resumeRunId: new ObjectId(this.options.resume) };
+      } else {
+        request = { ...this.parseRange(), dryRun: this.options['dry-run'] };
+      }
+
+      const { run, completion } = await this.backfill.start(request);
+      console.log(`🔁 ${run.dryRun ? 'Dry-running' : 'Running'} deduplication backfill ${run._id}...`);
+
+      // First Ctrl+C stops after the current article and saves the checkpoint
+      process.once('SIGINT', () => {
+        console.log('\n⏸️  Stopping after the current article...');
+        this.backfill.stop();
+      });
+
+      await completion;
+      await this.printReport(run._id);
+
+      if (run.status === 'failed') {
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Backfill failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await this.engine.stop();
+      await this.dbManager.disconnect();
+    }
+  }
+}
+
+// Run backfill if called directly
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      resume: { type: 'string' },
+      'batch-size': { type: 'string' },
+      'delay-ms': { type: 'string' },
+      'with-llm': { type: 'boolean', default: false },
+      sample: { type: 'string', default: '20' }
+    }
+  });
+
+  new BackfillCli(values).run();
+}
+
+module.exports = BackfillCli;
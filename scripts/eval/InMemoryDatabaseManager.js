@@ -0,0 +1,490 @@
+// In-memory stand-in for DatabaseManager used by the evaluation harness.
+// Only the MongoDB query/update features the services rely on are implemented.
+
+const { ObjectId } = require('mongodb');
+const DatabaseManager = require('../../src/services/DatabaseManager');
+
+function clone(value) {
+  if (value instanceof ObjectId) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value) && isNaN(key)) {
+      return value.map(item => (item ? item[key] : undefined)).flat();
+    }
+    return value[key];
+  }, doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, doc);
+  target[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => (current ? current[key] : undefined), doc);
+  if (target) delete target[last];
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toHexString();
+  return value;
+}
+
+function equals(a, b) {
+  return comparable(a) === comparable(b);
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+// The $type aliases this project queries by
+function bsonType(value) {
+  if (value === null) return 'null';
+  if (value instanceof Date) return 'date';
+  if (value instanceof ObjectId) return 'objectId';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'number') return 'number';
+  return typeof value;
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof ObjectId) && !(value instanceof Date) &&
+    Object.keys(value).some(key => key.startsWith('$'));
+}
+
+function matchesCondition(value, condition) {
+  const values = Array.isArray(value) ? value : [value];
+
+  if (!isOperatorObject(condition)) {
+    if (condition instanceof RegExp) {
+      return values.some(item => typeof item === 'string' && condition.test(item));
+    }
+    return values.some(item => equals(item, condition)) || equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return values.some(item => equals(item, operand));
+      case '$ne': return !values.some(item => equals(item, operand));
+      case '$in': return operand.some(option => values.some(item => equals(item, option)));
+      case '$nin': return !operand.some(option => values.some(item => equals(item, option)));
+      case '$gt': return values.some(item => item !== undefined && item !== null && compare(item, operand) > 0);
+      case '$gte': return values.some(item => item !== undefined && item !== null && compare(item, operand) >= 0);
+      case '$lt': return values.some(item => item !== undefined && item !== null && compare(item, operand) < 0);
+      case '$lte': return values.some(item => item !== undefined && item !== null && compare(item, operand) <= 0);
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$type': return values.some(item => bsonType(item) === operand);
+      case '$not': return !matchesCondition(value, operand);
+      default: throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function sortDocuments(docs, sort) {
+  if (!sort) return docs;
+  const entries = Object.entries(sort);
+  return docs.sort((a, b) => {
+    for (const [key, direction] of entries) {
+      const result = compare(getPath(a, key), getPath(b, key));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+class MemoryCursor {
+  constructor(docs, options = {}) {
+    this.docs = docs;
+    this.options = { ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  async toArray() {
+    let docs = sortDocuments([...this.docs], this.options.sort);
+    if (this.options.skip) docs = docs.slice(this.options.skip);
+    if (this.options.limit) docs = docs.slice(0, this.options.limit);
+    return docs.map(clone);
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+    this.uniqueKeys = [];
+    this.indexSpecs = [];
+  }
+
+  async createIndex(key, options = {}) {
+    const name = Object.keys(key).map(field => `${field}_${key[field]}`).join('_');
+    if (this.indexSpecs.some(index => index.name === name)) {
+      return name;
+    }
+    if (options.unique) {
+      this.uniqueKeys.push({ fields: Object.keys(key), partial: options.partialFilterExpression });
+    }
+    this.indexSpecs.push({ name, key, unique: Boolean(options.unique) });
+    return name;
+  }
+
+  async indexes() {
+    return this.indexSpecs.map(index => ({ ...index }));
+  }
+
+  async dropIndex(name) {
+    const index = this.indexSpecs.find(spec => spec.name === name);
+    this.indexSpecs = this.indexSpecs.filter(spec => spec !== index);
+    if (index && index.unique) {
+      const fields = Object.keys(index.key).join();
+      this.uniqueKeys = this.uniqueKeys.filter(keys => keys.fields.join() !== fields);
+    }
+  }
+
+  checkUnique(doc, ignore = null) {
+    for (const { fields, partial } of this.uniqueKeys) {
+      if (fields.some(field => getPath(doc, field) === undefined)) continue;
+      if (partial && !matches(doc, partial)) continue;
+
+      const conflict = this.docs.find(other => other !== ignore &&
+        fields.every(field => equals(getPath(other, field), getPath(doc, field))) &&
+        (!partial || matches(other, partial)));
+
+      if (conflict) {
+        const error = new Error(`E11000 duplicate key error collection: ${this.name} index: ${fields.join('_')}`);
+        error.code = 11000;
+        throw error;
+      }
+    }
+  }
+
+  find(query = {}, options = {}) {
+    return new MemoryCursor(this.docs.filter(doc => matches(doc, query)), options);
+  }
+
+  async findOne(query = {}, options = {}) {
+    const [doc] = await this.find(query, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async insertOne(doc) {
+    const stored = clone({ _id: doc._id || new ObjectId(), ...doc });
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  applyUpdate(doc, update, isInsert = false) {
+    if (!Object.keys(update).some(key => key.startsWith('$'))) {
+      const id = doc._id;
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, clone(update), { _id: id });
+      return;
+    }
+
+    for (const [operator, fields] of Object.entries(update)) {
+      for (const [path, value] of Object.entries(fields)) {
+        switch (operator) {
+          case '$set':
+            setPath(doc, path, clone(value));
+            break;
+          case '$setOnInsert':
+            if (isInsert) setPath(doc, path, clone(value));
+            break;
+          case '$unset':
+            unsetPath(doc, path);
+            break;
+          case '$inc':
+            setPath(doc, path, (getPath(doc, path) || 0) + value);
+            break;
+          case '$max':
+            if (compare(value, getPath(doc, path)) > 0) setPath(doc, path, clone(value));
+            break;
+          case '$min':
+            if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) < 0) {
+              setPath(doc, path, clone(value));
+            }
+            break;
+          case '$push': {
+            const list = getPath(doc, path) || [];
+            list.push(...(value && value.$each ? value.$each : [value]).map(clone));
+            setPath(doc, path, list);
+            break;
+          }
+          case '$addToSet': {
+            const list = getPath(doc, path) || [];
+            for (const item of value && value.$each ? value.$each : [value]) {
+              if (!list.some(existing => equals(existing, item))) list.push(clone(item));
+            }
+            setPath(doc, path, list);
+            break;
+          }
+          case '$pull':
+            setPath(doc, path, (getPath(doc, path) || []).filter(item => !matchesCondition(item, value)));
+            break;
+          default:
+            throw new Error(`Unsupported update operator: ${operator}`);
+        }
+      }
+    }
+  }
+
+  upsertDocument(query, update) {
+    // Equality conditions from the filter seed the new document
+    const doc = {};
+    for (const [key, condition] of Object.entries(query)) {
+      if (key.startsWith('$') || isOperatorObject(condition)) continue;
+      setPath(doc, key, clone(condition));
+    }
+
+    this.applyUpdate(doc, update, true);
+    doc._id = doc._id || new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(query, update, options = {}) {
+    const doc = this.docs.find(candidate => matches(candidate, query));
+
+    if (doc) {
+      this.applyUpdate(doc, update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+
+    if (options.upsert) {
+      const inserted = this.upsertDocument(query, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(query, update) {
+    const docs = this.docs.filter(doc => matches(doc, query));
+    docs.forEach(doc => this.applyUpdate(doc, update));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async replaceOne(query, replacement, options = {}) {
+    return this.updateOne(query, replacement, options);
+  }
+
+  async findOneAndUpdate(query, update, options = {}) {
+    const [doc] = sortDocuments(this.docs.filter(candidate => matches(candidate, query)), options.sort);
+
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = this.upsertDocument(query, update);
+      return options.returnDocument === 'after' ? clone(inserted) : null;
+    }
+
+    const before = clone(doc);
+    this.applyUpdate(doc, update);
+    return options.returnDocument === 'after' ? clone(doc) : before;
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(query = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, query));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  async countDocuments(query = {}) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      if (operation.insertOne) {
+        await this.insertOne(operation.insertOne.document);
+      } else if (operation.updateOne) {
+        const { filter, update, upsert } = operation.updateOne;
+        await this.updateOne(filter, update, { upsert });
+      } else if (operation.updateMany) {
+        await this.updateMany(operation.updateMany.filter, operation.updateMany.update);
+      } else if (operation.deleteOne) {
+        await this.deleteOne(operation.deleteOne.filter);
+      } else if (operation.deleteMany) {
+        await this.deleteMany(operation.deleteMany.filter);
+      }
+    }
+    return { acknowledged: true };
+  }
+
+  aggregate(pipeline) {
+    let docs = this.docs.map(clone);
+
+    for (const stage of pipeline) {
+      const [operator, spec] = Object.entries(stage)[0];
+
+      switch (operator) {
+        case '$match':
+          docs = docs.filter(doc => matches(doc, spec));
+          break;
+        case '$sort':
+          docs = sortDocuments(docs, spec);
+          break;
+        case '$limit':
+          docs = docs.slice(0, spec);
+          break;
+        case '$group':
+          docs = this.group(docs, spec);
+          break;
+        default:
+          throw new Error(`Unsupported aggregation stage: ${operator}`);
+      }
+    }
+
+    return { toArray: async () => docs };
+  }
+
+  group(docs, spec) {
+    const resolve = (doc, expression) =>
+      (typeof expression === 'string' && expression.startsWith('$')
+        ? getPath(doc, expression.slice(1))
+        : expression);
+
+    const groups = new Map();
+
+    for (const doc of docs) {
+      const id = resolve(doc, spec._id);
+      const key = JSON.stringify(comparable(id) ?? null);
+      if (!groups.has(key)) groups.set(key, { _id: id ?? null, docs: [] });
+      groups.get(key).docs.push(doc);
+    }
+
+    return [...groups.values()].map(({ _id, docs: members }) => {
+      const result = { _id };
+
+      for (const [field, accumulator] of Object.entries(spec)) {
+        if (field === '_id') continue;
+        const [operator, expression] = Object.entries(accumulator)[0];
+        const values = members.map(doc => resolve(doc, expression))
+          .filter(value => value !== undefined && value !== null);
+
+        switch (operator) {
+          case '$sum':
+            result[field] = values.reduce((total, value) => total + Number(value), 0);
+            break;
+          case '$avg':
+            result[field] = values.length
+              ? values.reduce((total, value) => total + Number(value), 0) / values.length
+              : null;
+            break;
+          case '$min':
+            result[field] = values.reduce((min, value) => (min === undefined || compare(value, min) < 0 ? value : min), undefined);
+            break;
+          case '$max':
+            result[field] = values.reduce((max, value) => (max === undefined || compare(value, max) > 0 ? value : max), undefined);
+            break;
+          default:
+            throw new Error(`Unsupported group accumulator: ${operator}`);
+        }
+      }
+
+      return result;
+    });
+  }
+}
+
+class InMemoryDatabaseManager extends DatabaseManager {
+  constructor() {
+    super();
+    this.collections = new Map();
+    this.cache = new Map();
+  }
+
+  async connect() {
+    this.mongodb = {
+      collection: name => {
+        if (!this.collections.has(name)) {
+          this.collections.set(name, new MemoryCollection(name));
+        }
+        return this.collections.get(name);
+      },
+      admin: () => ({ ping: async () => ({ ok: 1 }) })
+    };
+
+    await this.initializeCollections();
+    this.isConnected = true;
+  }
+
+  async disconnect() {
+    this.collections.clear();
+    this.cache.clear();
+    this.mongodb = null;
+    this.isConnected = false;
+  }
+
+  async setCache(key, value) {
+    this.cache.set(key, clone(value));
+  }
+
+  async getCache(key) {
+    return this.cache.has(key) ? clone(this.cache.get(key)) : null;
+  }
+}
+
+module.exports = InMemoryDatabaseManager;
@@ -0,0 +1,110 @@
+// Clustering metrics for the evaluation harness. Both inputs map an item id
+// to a cluster id; every item must appear in both maps.
+
+function choose2(count) {
+  return count * (count - 1) / 2;
+}
+
+function f1(precision, recall) {
+  return precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function clusterSizes(assignments) {
+  const sizes = new Map();
+  for (const cluster of assignments.values()) {
+    sizes.set(cluster, (sizes.get(cluster) || 0) + 1);
+  }
+  return sizes;
+}
+
+// Items in each (gold cluster, predicted cluster) cell
+function contingency(gold, predicted) {
+  const cells = new Map();
+  for (const [item, goldCluster] of gold) {
+    const key = JSON.stringify([goldCluster, predicted.get(item)]);
+    cells.set(key, (cells.get(key) || 0) + 1);
+  }
+  return cells;
+}
+
+// Precision/recall over all unordered item pairs placed in the same cluster
+function pairwiseScores(gold, predicted) {
+  let truePositives = 0;
+  for (const count of contingency(gold, predicted).values()) {
+    truePositives += choose2(count);
+  }
+
+  let predictedPairs = 0;
+  for (const size of clusterSizes(predicted).values()) predictedPairs += choose2(size);
+
+  let goldPairs = 0;
+  for (const size of clusterSizes(gold).values()) goldPairs += choose2(size);
+
+  const precision = predictedPairs > 0 ? truePositives / predictedPairs : 1;
+  const recall = goldPairs > 0 ? truePositives / goldPairs : 1;
+
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1(precision, recall)),
+    truePositives,
+    falsePositives: predictedPairs - truePositives,
+    falseNegatives: goldPairs - truePositives
+  };
+}
+
+// B-cubed: per-item overlap between its gold and predicted clusters, averaged
+function bcubedScores(gold, predicted) {
+  const cells = contingency(gold, predicted);
+  const goldSizes = clusterSizes(gold);
+  const predictedSizes = clusterSizes(predicted);
+
+  let precisionSum = 0;
+  let recallSum = 0;
+
+  for (const [item, goldCluster] of gold) {
+    const predictedCluster = predicted.get(item);
+    const overlap = cells.get(JSON.stringify([goldCluster, predictedCluster]));
+
+    precisionSum += overlap / predictedSizes.get(predictedCluster);
+    recallSum += overlap / goldSizes.get(goldCluster);
+  }
+
+  const precision = gold.size > 0 ? precisionSum / gold.size : 1;
+  const recall = gold.size > 0 ? recallSum / gold.size : 1;
+
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1(precision, recall))
+  };
+}
+
+function latencySummary(samples) {
+  if (samples.length === 0) {
+    return { count: 0, meanMs: 0, p50Ms: 0, p95Ms: 0, maxMs: 0, totalMs: 0 };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  return {
+    count: sorted.length,
+    meanMs: round(total / sorted.length),
+    p50Ms: round(percentile(0.5)),
+    p95Ms: round(percentile(0.95)),
+    maxMs: round(sorted[sorted.length - 1]),
+    totalMs: round(total)
+  };
+}
+
+module.exports = {
+  pairwiseScores,
+  bcubedScores,
+  latencySummary
+};
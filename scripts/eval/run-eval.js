@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+// Offline evaluation of the deduplication pipeline against gold duplicate clusters.
+//
+//   npm run eval
+//   npm run eval -- --dataset my-set.jsonl --output runs/after.json --compare runs/before.json
+//
+// Dataset: one JSON article per line with "id", "title", "content", "url", "source",
+// "publishedAt" and optionally "cluster" (articles sharing a cluster are duplicates),
+// "category", "tags" and "summary". Timestamps are shifted so the newest article is
+// "now", keeping every article inside the deduplication time window.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { execSync } = require('child_process');
+const { performance } = require('perf_hooks');
+
+const config = require('../../src/config/config');
+const NewsProcessor = require('../../src/services/NewsProcessor');
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const InMemoryDatabaseManager = require('./InMemoryDatabaseManager');
+const { pairwiseScores, bcubedScores, latencySummary } = require('./metrics');
+
+const DEFAULT_DATASET = path.join(__dirname, 'datasets', 'sample.jsonl');
+const REPORT_VERSION = 1;
+
+class EvaluationRunner {
+  constructor(options) {
+    this.options = options;
+    this.dbManager = new InMemoryDatabaseManager();
+    this.newsProcessor = null;
+    this.engine = null;
+  }
+
+  useOfflineProviders() {
+    // Mock embeddings and LLM validation, and no full-content fetches
+    config.ai.openai.apiKey = undefined;
+    config.ai.anthropic.apiKey = undefined;
+    config.ai.cohere.apiKey = undefined;
+    config.feeds.extractFullContent = false;
+  }
+
+  async loadDataset(file) {
+    const lines = (await fs.readFile(file, 'utf8')).split('\n');
+    const items = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+
+      if (!item.id || !item.title || !item.url) {
+        throw new Error(`Line ${index + 1} needs "id", "title" and "url"`);
+      }
+
+      items.push({ ...item, cluster: item.cluster || `singleton:${item.id}` });
+    });
+
+    const ids = new Set(items.map(item => item.id));
+    if (ids.size !== items.length) {
+      throw new Error('Dataset article ids must be unique');
+    }
+
+    return this.rebaseTimestamps(items);
+  }
+
+  rebaseTimestamps(items) {
+    const times = items.map(item => new Date(item.publishedAt || Date.now()).getTime());
+    const offset = Date.now() - Math.max(...times);
+
+    return items
+      .map((item, index) => ({ ...item, publishedAt: new Date(times[index] + offset) }))
+      .sort((a, b) => a.publishedAt - b.publishedAt);
+  }
+
+  toFeedItem(item) {
+    const feed = {
+      id: item.source ? item.source.toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'eval',
+      name: item.source || 'Evaluation',
+      category: item.category || 'general',
+      tags: item.tags || [],
+      priority: item.priority || 'medium'
+    };
+
+    const rssItem = {
+      title: item.title,
+      link: item.url,
+      guid: item.url,
+      content: item.content,
+      summary: item.summary,
+      pubDate: item.publishedAt.toISOString()
+    };
+
+    return { rssItem, feed };
+  }
+
+  async runPipeline(items) {
+    const latencies = [];
+    const hashDuplicates = new Map(); // dataset id -> original article id
+
+    for (const item of items) {
+      const { rssItem, feed } = this.toFeedItem(item);
+      const started = performance.now();
+
+      const article = await this.newsProcessor.processArticle(rssItem, feed);
+
+      if (article) {
+        await this.engine.processArticle(article);
+        await this.engine.processQueue();
+      } else {
+        // Dropped at ingestion as an exact content-hash copy
+        const [record] = await this.dbManager.findDuplicates(
+          { duplicateUrl: item.url, detectionMethod: 'content_hash' },
+          { sort: { createdAt: -1 }, limit: 1 }
+        );
+        if (record) hashDuplicates.set(item.id, record.originalArticleId);
+      }
+
+      latencies.push(performance.now() - started);
+    }
+
+    return { latencies, hashDuplicates };
+  }
+
+  async predictClusters(items, hashDuplicates) {
+    const articles = await this.dbManager.findArticles({});
+    const articlesByUrl = new Map(articles.map(article => [article.url, article]));
+    const articlesById = new Map(articles.map(article => [String(article._id), article]));
+
+    // Follow originalArticleId links to the root of each duplicate chain
+    const rootOf = articleId => {
+      const seen = new Set();
+      let current = articlesById.get(String(articleId));
+
+      while (current && current.isDuplicate && current.originalArticleId &&
+             !seen.has(String(current._id))) {
+        seen.add(String(current._id));
+        current = articlesById.get(String(current.originalArticleId)) || current;
+      }
+
+      return current ? String(current._id) : String(articleId);
+    };
+
+    // Story groups are transitive; members always point at the root group
+    const clusterOf = articleId => {
+      const article = articlesById.get(String(articleId));
+      return article && article.storyGroupId ? `group:${article.storyGroupId}` : rootOf(articleId);
+    };
+
+    const predicted = new Map();
+    for (const item of items) {
+      const article = articlesByUrl.get(item.url);
+      if (article) {
+        predicted.set(item.id, clusterOf(article._id));
+      } else if (hashDuplicates.has(item.id)) {
+        predicted.set(item.id, clusterOf(hashDuplicates.get(item.id)));
+      } else {
+        predicted.set(item.id, `unprocessed:${item.id}`);
+      }
+    }
+
+    return { predicted, articlesById };
+  }
+
+  async methodBreakdown(items, hashDuplicates, articlesById) {
+    const goldByUrl = new Map(items.map(item => [item.url, item.cluster]));
+    const goldById = new Map(items.map(item => [item.id, item.cluster]));
+    const goldOfArticle = id => {
+      const article = articlesById.get(String(id));
+      return article ? goldByUrl.get(article.url) : undefined;
+    };
+
+    const methods = {};
+    const record = (method, correct) => {
+      methods[method] = methods[method] || { links: 0, correct: 0, precision: 0 };
+      methods[method].links++;
+      if (correct) methods[method].correct++;
+    };
+
+    const duplicates = await this.dbManager.findDuplicates({
+      duplicateArticleId: { $ne: null },
+      status: { $ne: 'rejected' }
+    });
+
+    for (const duplicate of duplicates) {
+      const gold = goldOfArticle(duplicate.duplicateArticleId);
+      record(duplicate.detectionMethod, gold !== undefined &&
+        gold === goldOfArticle(duplicate.originalArticleId));
+    }
+
+    for (const [itemId, originalId] of hashDuplicates) {
+      record('content_hash', goldById.get(itemId) === goldOfArticle(originalId));
+    }
+
+    for (const stats of Object.values(methods)) {
+      stats.precision = Math.round(stats.correct / stats.links * 10000) / 10000;
+    }
+
+    return methods;
+  }
+
+  gitCommit() {
+    try {
+      return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] })
+        .toString().trim();
+    } catch {
+      return null;
+    }
+  }
+
+  async evaluate(datasetFile) {
+    const items = await this.loadDataset(datasetFile);
+    const gold = new Map(items.map(item => [item.id, item.cluster]));
+    const goldClusters = new Set(gold.values());
+
+    this.useOfflineProviders();
+    await this.dbManager.connect();
+
+    this.newsProcessor = new NewsProcessor();
+    this.newsProcessor.dbManager = this.dbManager;
+    this.engine = new DeduplicationEngine();
+    await this.engine.initialize(this.dbManager);
+    await this.engine.lshSeeding;
+
+    const startedAt = new Date();
+    const { latencies, hashDuplicates } = await this.runPipeline(items);
+    const { predicted, articlesById } = await this.predictClusters(items, hashDuplicates);
+    const engineStats = this.engine.getStats();
+
+    return {
+      version: REPORT_VERSION,
+      dataset: {
+        path: path.relative(process.cwd(), datasetFile),
+        articles: items.length,
+        goldClusters: goldClusters.size,
+        predictedClusters: new Set(predicted.values()).size
+      },
+      run: {
+        startedAt: startedAt.toISOString(),
+        gitCommit: this.gitCommit(),
+        scoringProfile: this.engine.scoringProfile,
+        weights: engineStats.weights,
+        thresholds: engineStats.thresholds
+      },
+      metrics: {
+        pairwise: pairwiseScores(gold, predicted),
+        bcubed: bcubedScores(gold, predicted)
+      },
+      methods: await this.methodBreakdown(items, hashDuplicates, articlesById),
+      latency: latencySummary(latencies),
+      engine: {
+        errors: engineStats.errors,
+        deadLettered: engineStats.deadLettered,
+        llmValidations: engineStats.llmValidations,
+        llmOverrides: engineStats.llmOverrides,
+        updatesDetected: engineStats.updatesDetected,
+        canonicalRepoints: engineStats.canonicalRepoints,
+        crossLanguageDuplicates: engineStats.crossLanguageDuplicates,
+        simhashMatches: engineStats.simhashMatches
+      }
+    };
+  }
+
+  printReport(report) {
+    const { metrics, latency } = report;
+    const line = (label, scores) =>
+      console.log(`   ${label.padEnd(10)} P=${scores.precision.toFixed(3)} R=${scores.recall.toFixed(3)} F1=${scores.f1.toFixed(3)}`);
+
+    console.log(`\n📚 Dataset: ${report.dataset.path}`);
+    console.log(`   ${report.dataset.articles} articles, ${report.dataset.goldClusters} gold clusters, ${report.dataset.predictedClusters} predicted`);
+
+    console.log('\n🎯 Scores:');
+    line('pairwise', metrics.pairwise);
+    line('b-cubed', metrics.bcubed);
+    console.log(`   pairs      TP=${metrics.pairwise.truePositives} FP=${metrics.pairwise.falsePositives} FN=${metrics.pairwise.falseNegatives}`);
+
+    console.log('\n🔍 Duplicate links by method:');
+    const methods = Object.entries(report.methods);
+    if (methods.length === 0) console.log('   (none)');
+    methods.forEach(([method, stats]) => {
+      console.log(`   ${method.padEnd(20)} ${String(stats.correct).padStart(4)}/${String(stats.links).padEnd(4)} correct (precision ${stats.precision.toFixed(3)})`);
+    });
+
+    console.log('\n⏱️  Latency per article:');
+    console.log(`   mean ${latency.meanMs.toFixed(1)}ms, p50 ${latency.p50Ms.toFixed(1)}ms, p95 ${latency.p95Ms.toFixed(1)}ms, max ${latency.maxMs.toFixed(1)}ms`);
+  }
+
+  printComparison(report, baseline) {
+    const delta = (current, previous) => {
+      const change = current - previous;
+      return `${previous.toFixed(3)} → ${current.toFixed(3)} (${change >= 0 ? '+' : ''}${change.toFixed(3)})`;
+    };
+
+    console.log(`\n🆚 Compared with ${baseline.run.gitCommit || 'baseline'} (${baseline.run.startedAt}):`);
+
+    for (const metric of ['pairwise', 'bcubed']) {
+      for (const field of ['precision', 'recall', 'f1']) {
+        console.log(`   ${`${metric}.${field}`.padEnd(20)} ${delta(report.metrics[metric][field], baseline.metrics[metric][field])}`);
+      }
+    }
+
+    console.log(`   ${'latency.p50Ms'.padEnd(20)} ${delta(report.latency.p50Ms, baseline.latency.p50Ms)}`);
+    console.log(`   ${'latency.p95Ms'.padEnd(20)} ${delta(report.latency.p95Ms, baseline.latency.p95Ms)}`);
+
+    if (baseline.dataset.path !== report.dataset.path ||
+        baseline.dataset.articles !== report.dataset.articles) {
+      console.log('   ⚠️  Runs used different datasets');
+    }
+  }
+
+  async run() {
+    try {
+      const datasetFile = path.resolve(this.options.dataset || DEFAULT_DATASET);
+      if (!this.options.json) {
+        console.log('🧪 Evaluating deduplication pipeline...');
+      }
+
+      const report = await this.evaluate(datasetFile);
+
+      if (this.options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        this.printReport(report);
+      }
+
+      if (this.options.compare) {
+        const baseline = JSON.parse(await fs.readFile(path.resolve(this.options.compare), 'utf8'));
+        if (baseline.version !== REPORT_VERSION) {
+          throw new Error(`Cannot compare with report version ${baseline.version}`);
+        }
+        this.printComparison(report, baseline);
+      }
+
+      if (this.options.output) {
+        const outputFile = path.resolve(this.options.output);
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, JSON.stringify(report, null, 2) + '\n');
+        console.log(`\n✅ Report written to ${path.relative(process.cwd(), outputFile)}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Evaluation failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      if (this.engine) await this.engine.stop();
+      await this.dbManager.disconnect();
+    }
+  }
+}
+
+// Run evaluation if called directly
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string', short: 'd' },
+      output: { type: 'string', short: 'o' },
+      compare: { type: 'string', short: 'c' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  new EvaluationRunner(values).run();
+}
+
+module.exports = EvaluationRunner;
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+// Fits similarity weights and per-method thresholds from labeled article pairs
+// and writes a versioned scoring profile to config/scoring-profiles.
+//
+//   node scripts/tune-scoring.js --input labeled-pairs.json --name default
+//   node scripts/tune-scoring.js --feedback --name default
+//
+// Labeled pairs file: [{ "articleA": {...}, "articleB": {...}, "label": "duplicate" }]
+// ("label" may be "duplicate"/"not_duplicate", or use "isDuplicate": true/false)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+
+const config = require('../src/config/config');
+const DatabaseManager = require('../src/services/DatabaseManager');
+const DeduplicationEngine = require('../src/services/DeduplicationEngine');
+const ScoringProfileStore = require('../src/utils/ScoringProfileStore');
+const ScoringTuner = require('../src/utils/ScoringTuner');
+
+class ScoringTunerCli {
+  constructor(options) {
+    this.options = options;
+    this.engine = new DeduplicationEngine();
+    this.store = new ScoringProfileStore(config.deduplication.scoringProfile.directory);
+    this.dbManager = null;
+  }
+
+  toPair(entry, index) {
+    const isDuplicate = entry.isDuplicate !== undefined
+      ? Boolean(entry.isDuplicate)
+      : entry.label === 'duplicate';
+
+    // Vectors are cached by article id, so every article needs a distinct one
+    const withId = (article, side) => ({
+      ...article,
+      _id: article._id || article.url || `pair-${index}-${side}`
+    });
+
+    return {
+      articleA: withId(entry.articleA, 'a'),
+      articleB: withId(entry.articleB, 'b'),
+      isDuplicate
+    };
+  }
+
+  async loadFromFile(file) {
+    const entries = JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error('Labeled pairs file must contain an array');
+    }
+
+    const pairs = entries
+      .filter(entry => entry.articleA && entry.articleB)
+      .map((entry, index) => this.toPair(entry, index));
+
+    // Build the IDF model from the labeled articles themselves
+    const seen = new Set();
+    for (const { articleA, articleB } of pairs) {
+      for (const article of [articleA, articleB]) {
+        if (seen.has(String(article._id))) continue;
+        seen.add(String(article._id));
+        this.engine.tfidf.addDocument(article.content || article.summary || '');
+      }
+    }
+
+    return pairs;
+  }
+
+  async loadFromFeedback() {
+    this.dbManager = new DatabaseManager();
+    await this.dbManager.connect();
+
+    // Use the live corpus model and stored embeddings
+    this.engine.dbManager = this.dbManager;
+    await this.engine.loadCorpusModel();
+
+    const feedback = await this.dbManager.findFeedback({});
+    const pairs = [];
+
+    for (const entry of feedback) {
+      const [articleA, articleB] = await Promise.all(
+        entry.articleIds.map(id => this.dbManager.findArticle({ _id: id }))
+      );
+
+      if (articleA && articleB) {
+        pairs.push({ articleA, articleB, isDuplicate: entry.label === 'duplicate' });
+      }
+    }
+
+    return pairs;
+  }
+
+  printReport(result) {
+    const { evaluation } = result;
+
+    console.log(`\n📊 Labeled pairs: ${evaluation.pairs} (${evaluation.positives} duplicates)`);
+    console.log(`   Fingerprint matches skipped: ${evaluation.fingerprintMatches}`);
+    console.log(`   Cross-language pairs skipped: ${evaluation.crossLanguagePairs}`);
+    console.log(`   Training pairs: ${evaluation.trainingPairs}, holdout pairs: ${evaluation.holdoutPairs}`);
+
+    console.log('\n⚖️  Weights:');
+    Object.entries(result.weights).forEach(([name, weight]) => {
+      console.log(`   ${name.padEnd(20)} ${weight.toFixed(4)}`);
+    });
+
+    console.log('\n🎯 Thresholds:');
+    Object.entries(result.thresholds).forEach(([name, threshold]) => {
+      console.log(`   ${name.padEnd(20)} ${threshold.toFixed(2)}`);
+    });
+
+    console.log('\n📈 Precision/recall curve (overall score):');
+    console.log('   threshold  precision  recall  f1');
+    evaluation.prCurve
+      .filter((_, i) => i % 5 === 0)
+      .forEach(point => {
+        console.log(`   ${point.threshold.toFixed(2).padStart(9)}  ${point.precision.toFixed(3).padStart(9)}  ${point.recall.toFixed(3).padStart(6)}  ${point.f1.toFixed(3)}`);
+      });
+
+    const line = (label, metrics) => metrics &&
+      console.log(`   ${label.padEnd(10)} P=${metrics.precision.toFixed(3)} R=${metrics.recall.toFixed(3)} F1=${metrics.f1.toFixed(3)}`);
+
+    console.log('\n🏁 Evaluation:');
+    line('baseline', evaluation.baseline);
+    line('training', evaluation.training);
+    line('holdout', evaluation.holdout);
+  }
+
+  async run() {
+    try {
+      const { input, feedback, name, holdout } = this.options;
+
+      if (!input && !feedback) {
+        throw new Error('Provide --input <file> or --feedback');
+      }
+
+      console.log('🎚️  Tuning similarity scoring...');
+
+      await this.engine.vectorSimilarity.initialize();
+      const pairs = input ? await this.loadFromFile(input) : await this.loadFromFeedback();
+
+      if (pairs.length === 0) {
+        throw new Error('No labeled pairs found');
+      }
+
+      const tuner = new ScoringTuner(this.engine);
+      const result = await tuner.tune(pairs, { holdoutRatio: parseFloat(holdout) });
+
+      this.printReport(result);
+
+      if (this.options['dry-run']) {
+        console.log('\n🧪 Dry run: profile not written');
+        return;
+      }
+
+      const profile = await this.store.save({
+        name,
+        weights: result.weights,
+        thresholds: result.thresholds,
+        source: input ? { type: 'file', path: input } : { type: 'feedback' },
+        evaluation: result.evaluation
+      });
+
+      console.log(`\n✅ Wrote ${path.relative(process.cwd(), profile.file)}`);
+      console.log(`   Load it with SCORING_PROFILE=${profile.name} (or ${profile.name}@${profile.version})`);
+
+    } catch (error) {
+      console.error('❌ Tuning failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      if (this.dbManager) {
+        await this.dbManager.disconnect();
+      }
+    }
+  }
+}
+
+// Run tuner if called directly
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      input: { type: 'string', short: 'i' },
+      feedback: { type: 'boolean', default: false },
+      name: { type: 'string', short: 'n', default: 'default' },
+      holdout: { type: 'string', default: '0.2' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  new ScoringTunerCli(values).run();
+}
+
+module.exports = ScoringTunerCli;
@@ -0,0 +1,127 @@
+const cheerio = require('cheerio');
+
+const FeedAdapter = require('./FeedAdapter');
+
+// Atom 1.0 (RFC 4287), read directly instead of through rss-parser so that
+// entry ids, categories, xhtml content, xml:base and common extensions survive:
+// Dublin Core (dc:creator, dc:date, dc:subject), Media RSS thumbnails and
+// contents, enclosure links and FeedBurner's feedburner:origLink.
+class AtomAdapter extends FeedAdapter {
+  get accept() {
+    return 'application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5';
+  }
+
+  async parse(body, feed = {}) {
+    const $ = cheerio.load(body, { xml: true });
+    const root = $('feed').first();
+
+    if (root.length === 0) {
+      throw new Error('Not an Atom feed: no <feed> element');
+    }
+
+    const base = this.absoluteUrl(root.attr('xml:base'), feed.url) || feed.url;
+    const language = this.languageCode(root.attr('xml:lang'));
+
+    return {
+      title: this.textOf(root.children('title')),
+      description: this.textOf(root.children('subtitle')),
+      link: this.linkOf($, root, base),
+      language,
+      lastBuildDate: root.children('updated').text() || undefined,
+      generator: root.children('generator').text() || undefined,
+      copyright: this.textOf(root.children('rights')),
+      updatePeriod: root.children('sy\\:updatePeriod').text() || undefined,
+      updateFrequency: root.children('sy\\:updateFrequency').text() || undefined,
+      items: root.children('entry').toArray().map(entry => this.parseEntry($, $(entry), base, language))
+    };
+  }
+
+  parseEntry($, entry, feedBase, feedLanguage) {
+    const base = this.absoluteUrl(entry.attr('xml:base'), feedBase) || feedBase;
+    const content = this.htmlOf(entry.children('content'));
+    const summary = this.htmlOf(entry.children('summary'));
+    const published = entry.children('published').text() ||
+      entry.children('dc\\:date').text() ||
+      entry.children('updated').text();
+
+    const authors = entry.children('author').toArray()
+      .map(author => $(author).children('name').text().trim())
+      .concat(entry.children('dc\\:creator').toArray().map(creator => $(creator).text().trim()))
+      .filter(Boolean);
+
+    const categories = entry.children('category').toArray()
+      .map(category => $(category).attr('label') || $(category).attr('term'))
+      .concat(entry.children('dc\\:subject').toArray().map(subject => $(subject).text()))
+      .map(category => (category || '').trim())
+      .filter(Boolean);
+
+    const isoDate = this.isoDate(published);
+
+    return {
+      title: this.textOf(entry.children('title')),
+      // FeedBurner rewrites links to its own redirector and keeps the original here
+      link: this.absoluteUrl(entry.children('feedburner\\:origLink').text(), base) || this.linkOf($, entry, base),
+      guid: entry.children('id').text().trim() || undefined,
+      pubDate: isoDate,
+      isoDate,
+      creator: authors.length > 0 ? authors.join(', ') : undefined,
+      content: content || summary,
+      contentSnippet: this.snippet(content || summary),
+      summary: summary ? this.snippet(summary) : undefined,
+      categories,
+      imageUrl: this.imageOf($, entry, base),
+      language: this.languageCode(entry.attr('xml:lang')) || feedLanguage
+    };
+  }
+
+  // rel="alternate" (or no rel), preferring an HTML page over other media types
+  linkOf($, element, base) {
+    const links = element.children('link').toArray().map(link => $(link))
+      .filter(link => !link.attr('rel') || link.attr('rel') === 'alternate');
+    const link = links.find(candidate => /html/.test(candidate.attr('type') || 'text/html')) || links[0];
+
+    return link ? this.absoluteUrl(link.attr('href'), base) : undefined;
+  }
+
+  imageOf($, entry, base) {
+    const enclosure = entry.children('link[rel="enclosure"]').toArray()
+      .find(link => /^image\//.test($(link).attr('type') || ''));
+    if (enclosure) return this.absoluteUrl($(enclosure).attr('href'), base);
+
+    const thumbnail = entry.find('media\\:thumbnail').first().attr('url');
+    if (thumbnail) return this.absoluteUrl(thumbnail, base);
+
+    const media = entry.find('media\\:content').toArray()
+      .find(item => $(item).attr('medium') === 'image' || /^image\//.test($(item).attr('type') || ''));
+    return media ? this.absoluteUrl($(media).attr('url'), base) : undefined;
+  }
+
+  // Text constructs: type="text" (default), "html" (escaped markup) or "xhtml" (inline markup)
+  textOf(element) {
+    if (element.length === 0) return undefined;
+
+    const html = this.htmlOf(element);
+    const text = element.attr('type') === 'html' || element.attr('type') === 'xhtml'
+      ? this.snippet(html)
+      : element.first().text().trim();
+    return text || undefined;
+  }
+
+  htmlOf(element) {
+    if (element.length === 0 || element.attr('src')) return undefined;
+
+    const type = element.attr('type');
+    if (type === 'xhtml') {
+      // The XML serializer writes every non-ASCII character as a numeric reference
+      const html = element.children().first().html() || '';
+      return html.replace(/&#(x[0-9a-f]+|\d+);/gi, (reference, code) => {
+        const codePoint = /^x/i.test(code) ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+        const character = String.fromCodePoint(codePoint);
+        return /[<>&"']/.test(character) ? reference : character;
+      }) || undefined;
+    }
+    return element.first().text().trim() || undefined;
+  }
+}
+
+module.exports = AtomAdapter;
@@ -0,0 +1,52 @@
+const cheerio = require('cheerio');
+
+// A source adapter turns a downloaded feed document into what rss-parser returns:
+// feed metadata plus `items` in the rss-parser item shape (title, link, guid,
+// pubDate/isoDate, creator, content, contentSnippet, summary, categories), with
+// `imageUrl` and `language` where the format carries them. NewsProcessor's
+// extractArticleData then builds the same article from every format.
+class FeedAdapter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Accept header of the feed request
+  get accept() {
+    return '*/*';
+  }
+
+  async parse() {
+    throw new Error(`${this.constructor.name} does not implement parse()`);
+  }
+
+  isoDate(value) {
+    if (!value) return undefined;
+
+    const date = new Date(String(value).trim());
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  // Relative links resolve against xml:base or the feed's own URL
+  absoluteUrl(href, base) {
+    if (!href) return undefined;
+
+    try {
+      return new URL(String(href).trim(), base || undefined).toString();
+    } catch {
+      return String(href).trim();
+    }
+  }
+
+  snippet(html) {
+    if (!html) return undefined;
+    return cheerio.load(html).text().replace(/\s+/g, ' ').trim();
+  }
+
+  // "en-US", "EN" -> "en"; anything else is left to language detection
+  languageCode(value) {
+    const match = /^([a-z]{2})(?:[-_]|$)/i.exec(String(value || '').trim());
+    return match ? match[1].toLowerCase() : undefined;
+  }
+}
+
+module.exports = FeedAdapter;
@@ -0,0 +1,74 @@
+const FeedAdapter = require('./FeedAdapter');
+
+// Longest title made up from an untitled item's text
+const MAX_DERIVED_TITLE = 120;
+
+// JSON Feed 1.0 and 1.1 (https://www.jsonfeed.org/version/1.1/)
+class JsonFeedAdapter extends FeedAdapter {
+  get accept() {
+    return 'application/feed+json, application/json;q=0.9, */*;q=0.5';
+  }
+
+  async parse(body, feed = {}) {
+    const document = typeof body === 'string' ? JSON.parse(body) : body;
+
+    if (!document || !/^https:\/\/jsonfeed\.org\/version\//.test(document.version || '') ||
+        !Array.isArray(document.items)) {
+      throw new Error('Not a JSON Feed: missing version or items');
+    }
+
+    const base = document.feed_url || feed.url;
+    const language = this.languageCode(document.language);
+
+    return {
+      title: document.title,
+      description: document.description,
+      link: document.home_page_url,
+      language,
+      // 1.0 had a single author, 1.1 a list
+      managingEditor: this.authorsOf(document),
+      items: document.items
+        .map(item => this.parseItem(item, base, language))
+        .filter(item => item.title && item.link)
+    };
+  }
+
+  parseItem(item, base, feedLanguage) {
+    const content = item.content_html || item.content_text;
+    const isoDate = this.isoDate(item.date_published || item.date_modified);
+
+    return {
+      title: item.title || this.titleFrom(item),
+      link: this.absoluteUrl(item.url || item.external_url, base),
+      guid: item.id !== undefined && item.id !== null ? String(item.id) : undefined,
+      pubDate: isoDate,
+      isoDate,
+      creator: this.authorsOf(item),
+      content,
+      contentSnippet: item.content_text || this.snippet(item.content_html),
+      summary: item.summary,
+      categories: Array.isArray(item.tags) ? item.tags.map(String) : [],
+      imageUrl: this.absoluteUrl(item.image || item.banner_image, base),
+      language: this.languageCode(item.language) || feedLanguage
+    };
+  }
+
+  authorsOf(object) {
+    const authors = Array.isArray(object.authors) ? object.authors : object.author ? [object.author] : [];
+    const names = authors.map(author => author && author.name).filter(Boolean);
+    return names.length > 0 ? names.join(', ') : undefined;
+  }
+
+  // Microblog items may have no title: use the first sentence of the text
+  titleFrom(item) {
+    const text = (item.summary || item.content_text || this.snippet(item.content_html) || '').trim();
+    if (!text) return undefined;
+
+    const sentence = text.split(/(?<=[.!?])\s/)[0];
+    return sentence.length > MAX_DERIVED_TITLE
+      ? `${sentence.slice(0, MAX_DERIVED_TITLE).replace(/\s+\S*$/, '')}…`
+      : sentence;
+  }
+}
+
+module.exports = JsonFeedAdapter;
@@ -0,0 +1,61 @@
+const cheerio = require('cheerio');
+
+const FeedAdapter = require('./FeedAdapter');
+
+// Google News sitemaps: <url> entries with a <news:news> block. They carry a
+// title, date, language and keywords but no text, so the article body comes
+// from full-content extraction (see NewsProcessor.storeArticle).
+class NewsSitemapAdapter extends FeedAdapter {
+  get accept() {
+    return 'application/xml, text/xml;q=0.9, */*;q=0.5';
+  }
+
+  async parse(body, feed = {}) {
+    const $ = cheerio.load(body, { xml: true });
+
+    if ($('sitemapindex').length > 0) {
+      const sitemaps = $('sitemapindex > sitemap > loc').toArray().map(loc => $(loc).text().trim());
+      throw new Error(
+        `Sitemap index, not a news sitemap: add its news sitemaps as feeds instead (${sitemaps.slice(0, 3).join(', ')})`
+      );
+    }
+    if ($('urlset').length === 0) {
+      throw new Error('Not a sitemap: no <urlset> element');
+    }
+
+    // Plain <url> entries without <news:news> are evergreen pages, not articles
+    const items = $('urlset > url').toArray()
+      .map(url => $(url))
+      .filter(url => url.children('news\\:news').length > 0)
+      .map(url => this.parseUrl($, url, feed.url))
+      .filter(item => item.title && item.link);
+
+    return {
+      title: feed.name,
+      items
+    };
+  }
+
+  parseUrl($, url, base) {
+    const news = url.children('news\\:news');
+    const publication = news.children('news\\:publication');
+    const isoDate = this.isoDate(news.children('news\\:publication_date').text());
+    const keywords = news.children('news\\:keywords').text()
+      .split(',')
+      .map(keyword => keyword.trim())
+      .filter(Boolean);
+
+    return {
+      title: news.children('news\\:title').text().trim() || undefined,
+      link: this.absoluteUrl(url.children('loc').text(), base),
+      guid: url.children('loc').text().trim() || undefined,
+      pubDate: isoDate,
+      isoDate,
+      categories: keywords,
+      imageUrl: this.absoluteUrl(url.find('image\\:image > image\\:loc').first().text(), base),
+      language: this.languageCode(publication.children('news\\:language').text())
+    };
+  }
+}
+
+module.exports = NewsSitemapAdapter;
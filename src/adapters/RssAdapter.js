@@ -0,0 +1,51 @@
+const RSSParser = require('rss-parser');
+
+const FeedAdapter = require('./FeedAdapter');
+const AtomAdapter = require('./AtomAdapter');
+
+// Root element after the XML declaration, comments and doctype
+const ATOM_ROOT = /^\uFEFF?\s*(?:(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*<(?:[\w-]+:)?feed[\s>]/i;
+
+// RSS 0.9x, 1.0 and 2.0 through rss-parser. Feeds default to this type, so
+// Atom documents are handed to AtomAdapter: rss-parser leaves type="html"
+// titles as markup and ignores xml:base.
+class RssAdapter extends FeedAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.atom = new AtomAdapter(options);
+    this.parser = new RSSParser({
+      customFields: {
+        item: [
+          ['media:content', 'mediaContent'],
+          ['media:thumbnail', 'mediaThumbnail'],
+          ['dc:creator', 'creator'],
+          ['content:encoded', 'contentEncoded'],
+          ['excerpt:encoded', 'excerptEncoded'],
+          ['wfw:commentRss', 'commentRss'],
+          ['slash:comments', 'commentCount']
+        ],
+        feed: [
+          ['language', 'language'],
+          ['sy:updatePeriod', 'updatePeriod'],
+          ['sy:updateFrequency', 'updateFrequency'],
+          ['ttl', 'ttl'],
+          ['skipHours', 'skipHours'],
+          ['skipDays', 'skipDays']
+        ]
+      }
+    });
+  }
+
+  get accept() {
+    return 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5';
+  }
+
+  async parse(body, feed = {}) {
+    if (ATOM_ROOT.test(body)) {
+      return this.atom.parse(body, feed);
+    }
+    return this.parser.parseString(body);
+  }
+}
+
+module.exports = RssAdapter;
@@ -0,0 +1,80 @@
+const cheerio = require('cheerio');
+
+const FeedAdapter = require('./FeedAdapter');
+
+// Articles taken from one listing page when the feed sets no maxItems
+const DEFAULT_MAX_ITEMS = 20;
+
+// HTML listing pages of sites without a feed. The feed's `scrape` block holds
+// CSS selectors:
+//   item  - one element per article (optional); the others are looked up inside it
+//   link  - the article link (an <a>, or an element containing one)
+//   title - the article title; without it the link text is used
+//   date  - the publication date, from a datetime/content attribute or the text
+// Items only carry what the listing shows; NewsProcessor downloads each article
+// page and fills in the rest with ContentExtractor.extractComplete.
+class ScrapeAdapter extends FeedAdapter {
+  get accept() {
+    return 'text/html, application/xhtml+xml;q=0.9, */*;q=0.5';
+  }
+
+  async parse(body, feed = {}) {
+    const selectors = feed.scrape || {};
+    if (!selectors.link) {
+      throw new Error('Scrape feed without a link selector');
+    }
+
+    const $ = cheerio.load(body);
+    const base = this.absoluteUrl($('base[href]').attr('href'), feed.url) || feed.url;
+    const containers = selectors.item
+      ? $(selectors.item).toArray().map(element => $(element))
+      : $(selectors.link).toArray().map(element => $(element));
+
+    // The same article is often linked twice (headline and image)
+    const seen = new Set();
+    const items = [];
+    for (const container of containers) {
+      const item = this.parseItem($, container, selectors, base);
+      if (!item.title || !item.link || seen.has(item.link)) continue;
+
+      seen.add(item.link);
+      items.push(item);
+      if (items.length >= (selectors.maxItems || DEFAULT_MAX_ITEMS)) break;
+    }
+
+    return {
+      title: $('title').first().text().trim() || feed.name,
+      description: $('meta[name="description"]').attr('content'),
+      link: feed.url,
+      language: this.languageCode($('html').attr('lang')),
+      items
+    };
+  }
+
+  parseItem($, container, selectors, base) {
+    const link = selectors.item ? container.find(selectors.link).first() : container;
+    const anchor = link.is('a[href]') ? link : link.find('a[href]').first();
+    const href = this.absoluteUrl(anchor.attr('href'), base);
+    // Fragments and other non-HTTP links are not articles
+    const url = href && /^https?:/.test(href) ? href.replace(/#.*$/, '') : undefined;
+
+    const title = selectors.title && selectors.item
+      ? container.find(selectors.title).first().text()
+      : anchor.text();
+
+    const date = selectors.date && selectors.item ? container.find(selectors.date).first() : null;
+    const isoDate = date && date.length > 0
+      ? this.isoDate(date.attr('datetime') || date.attr('content') || date.text())
+      : undefined;
+
+    return {
+      title: title.replace(/\s+/g, ' ').trim() || undefined,
+      link: url,
+      guid: url,
+      pubDate: isoDate,
+      isoDate
+    };
+  }
+}
+
+module.exports = ScrapeAdapter;
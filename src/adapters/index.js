@@ -0,0 +1,24 @@
+const RssAdapter = require('./RssAdapter');
+const AtomAdapter = require('./AtomAdapter');
+const JsonFeedAdapter = require('./JsonFeedAdapter');
+const NewsSitemapAdapter = require('./NewsSitemapAdapter');
+const ScrapeAdapter = require('./ScrapeAdapter');
+
+// Adapter for each feed `type` (see FEED_TYPES in config/feedSchema)
+const ADAPTERS = {
+  rss: RssAdapter,
+  atom: AtomAdapter,
+  jsonfeed: JsonFeedAdapter,
+  'news-sitemap': NewsSitemapAdapter,
+  scrape: ScrapeAdapter
+};
+
+const createAdapter = (type = 'rss', options = {}) => {
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`Unknown feed type "${type}"`);
+  }
+  return new Adapter(options);
+};
+
+module.exports = { ADAPTERS, createAdapter };
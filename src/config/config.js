@@ -1,6 +1,8 @@
 const path = require('path');
 const Joi = require('joi');
 
+const CANONICAL_POLICIES = ['earliest', 'most_complete', 'feed_priority', 'trusted_source', 'quality'];
+
 // Configuration schema for validation
 const configSchema = Joi.object({
   NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
@@ -26,6 +28,30 @@ const configSchema = Joi.object({
   TIME_WINDOW_HOURS: Joi.number().min(1).max(168).default(24),
   CONTENT_FINGERPRINT_ALGO: Joi.string().valid('sha256', 'md5', 'sha1').default('sha256'),
   SEMANTIC_MODEL: Joi.string().default('sentence-transformers/all-MiniLM-L6-v2'),
+  LLM_VALIDATION_ENABLED: Joi.boolean().default(true),
+  LLM_GRAY_ZONE_LOWER: Joi.number().min(0).max(1).default(0.6),
+  LLM_GRAY_ZONE_UPPER: Joi.number().min(0).max(1).default(0.85),
+  LLM_MAX_CALLS_PER_HOUR: Joi.number().min(0).default(100),
+  LSH_ENABLED: Joi.boolean().default(true),
+  SIMHASH_MAX_HAMMING_DISTANCE: Joi.number().integer().min(0).max(16).default(5),
+  SCORING_PROFILE: Joi.string().allow('').optional(),
+  UPDATE_DETECTION_ENABLED: Joi.boolean().default(true),
+  CROSS_LANGUAGE_ENABLED: Joi.boolean().default(true),
+  CROSS_LANGUAGE_THRESHOLD: Joi.number().min(0).max(1).default(0.6),
+  CANONICAL_POLICY: Joi.string().valid(...CANONICAL_POLICIES).default('earliest'),
+  CANONICAL_CATEGORY_POLICIES: Joi.string().allow('')
+    .pattern(new RegExp(`^\\s*[\\w-]+:(${CANONICAL_POLICIES.join('|')})\\s*(,\\s*[\\w-]+:(${CANONICAL_POLICIES.join('|')})\\s*)*$`))
+    .optional(),
+  CANONICAL_TRUSTED_SOURCES: Joi.string().allow('').optional(),
+  CANONICAL_REPOINT_WINDOW_HOURS: Joi.number().min(0).max(168).default(6),
+  SIMILARITY_SIGNALS: Joi.string().allow('').pattern(/^\s*\w+\s*(,\s*\w+\s*)*$/).optional(),
+  SIMILARITY_SIGNAL_WEIGHTS: Joi.string().allow('')
+    .pattern(/^\s*\w+:\d*\.?\d+\s*(,\s*\w+:\d*\.?\d+\s*)*$/)
+    .optional(),
+  SIMILARITY_SIGNAL_THRESHOLDS: Joi.string().allow('')
+    .pattern(/^\s*\w+:\d*\.?\d+\s*(,\s*\w+:\d*\.?\d+\s*)*$/)
+    .optional(),
+  SIMILARITY_EARLY_EXIT: Joi.boolean().default(true),
   
   // Performance
   MAX_CONCURRENT_FEEDS: Joi.number().min(1).max(50).default(10),
@@ -37,6 +63,18 @@ const configSchema = Joi.object({
   API_RATE_LIMIT_WINDOW_MS: Joi.number().default(900000),
   API_RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100),
   
+  // External producer ingestion
+  INGEST_MAX_BATCH_SIZE: Joi.number().min(1).max(1000).default(100),
+  INGEST_IDEMPOTENCY_TTL_HOURS: Joi.number().min(1).max(720).default(24),
+  
+  // Feed polling
+  FEED_ADAPTIVE_POLLING: Joi.boolean().default(true),
+  FEED_POLL_MIN_MINUTES: Joi.number().min(1).default(2),
+  FEED_POLL_MAX_MINUTES: Joi.number().min(1).default(60),
+  SCRAPE_REQUEST_INTERVAL_SECONDS: Joi.number().min(0).default(5),
+  SEEN_ITEMS_RETENTION_DAYS: Joi.number().min(1).default(7),
+  RESOLVE_REDIRECT_WRAPPERS: Joi.boolean().default(true),
+  
   // Logging
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
   LOG_FILE_PATH: Joi.string().default('logs/app.log'),
@@ -130,6 +168,122 @@ class ConfigManager {
         contentWeight: 0.4,
         entityWeight: 0.2,
         
+        // Tuned weights/thresholds (name, name@version or path to a JSON file)
+        scoringProfile: {
+          name: envVars.SCORING_PROFILE || null,
+          directory: path.resolve(__dirname, '../../config/scoring-profiles'),
+        },
+        
+        // LLM validation for borderline ("gray zone") pairs
+        llmValidation: {
+          enabled: envVars.LLM_VALIDATION_ENABLED,
+          lowerBound: envVars.LLM_GRAY_ZONE_LOWER,
+          upperBound: envVars.LLM_GRAY_ZONE_UPPER,
+          maxCallsPerHour: envVars.LLM_MAX_CALLS_PER_HOUR,
+          cacheTtl: 86400, // 24 hours
+        },
+        
+        // SimHash near-duplicate fingerprint (64-bit)
+        simhash: {
+          enabled: true,
+          maxHammingDistance: envVars.SIMHASH_MAX_HAMMING_DISTANCE,
+        },
+        
+        // MinHash/LSH candidate index
+        lsh: {
+          enabled: envVars.LSH_ENABLED,
+          numHashes: 128,
+          bands: 32,               // 4 rows per band, ~0.42 Jaccard inflection point
+          shingleSize: 3,
+          maxCandidates: 50,
+          similarityThreshold: 0.5, // Pairs above this count as relevant for recall sampling
+          recallSampleRate: 0.05,
+        },
+        
+        // Corpus TF-IDF model for content similarity
+        tfidf: {
+          maxCachedVectors: 5000,
+          cacheRefreshRatio: 0.1,   // Rebuild cached vectors after 10% corpus drift
+          pruneIntervalMs: 3600000, // 1 hour
+        },
+        
+        // Follow-up stories: similar articles that add new facts alert as updates
+        updateDetection: {
+          enabled: envVars.UPDATE_DETECTION_ENABLED,
+          minNewFacts: 1,
+          factTypes: ['MONEY', 'PERCENTAGE', 'PERSON', 'ORGANIZATION', 'COMPANY'],
+        },
+        
+        // Pairs in different languages (en/es/fr/de) are scored on shared
+        // money amounts, percentages, tickers and names instead of wording
+        crossLanguage: {
+          enabled: envVars.CROSS_LANGUAGE_ENABLED,
+          threshold: envVars.CROSS_LANGUAGE_THRESHOLD,
+          maxCandidates: 20,
+          weights: {
+            signalSimilarity: 0.5,
+            entitySimilarity: 0.2,
+            semanticSimilarity: 0.2,
+            temporalProximity: 0.1,
+          },
+        },
+        
+        // Similarity signals (src/utils/SignalRegistry.js): which ones score a pair,
+        // and weight/threshold overrides by signal name ("titleSimilarity:0.5,...")
+        signals: {
+          active: envVars.SIMILARITY_SIGNALS
+            ? envVars.SIMILARITY_SIGNALS.split(',').map(name => name.trim()).filter(Boolean)
+            : null,  // All registered signals
+          weights: Object.fromEntries(
+            (envVars.SIMILARITY_SIGNAL_WEIGHTS || '')
+              .split(',')
+              .filter(entry => entry.trim())
+              .map(entry => entry.split(':').map(part => part.trim()))
+              .map(([name, value]) => [name, Number(value)])
+          ),
+          thresholds: Object.fromEntries(
+            (envVars.SIMILARITY_SIGNAL_THRESHOLDS || '')
+              .split(',')
+              .filter(entry => entry.trim())
+              .map(entry => entry.split(':').map(part => part.trim()))
+              .map(([name, value]) => [name, Number(value)])
+          ),
+          earlyExit: envVars.SIMILARITY_EARLY_EXIT,  // Stop scoring once the decision is certain
+        },
+        
+        // "Best version" of a duplicate group; policies can differ per category
+        canonical: {
+          defaultPolicy: envVars.CANONICAL_POLICY,
+          categoryPolicies: Object.fromEntries(
+            (envVars.CANONICAL_CATEGORY_POLICIES || '')
+              .split(',')
+              .filter(entry => entry.trim())
+              .map(entry => entry.split(':').map(part => part.trim()))
+          ),
+          trustedSources: (envVars.CANONICAL_TRUSTED_SOURCES || '')
+            .split(',')
+            .map(source => source.trim())
+            .filter(Boolean),
+          repointWindowHours: envVars.CANONICAL_REPOINT_WINDOW_HOURS,
+        },
+        
+        // Durable processing queue (processing_queue collection)
+        queue: {
+          pollIntervalMs: 1000,
+          leaseTimeoutMs: 300000,  // 5 minutes
+          maxAttempts: 4,
+          baseRetryDelayMs: 30000, // 30s, 60s, 120s...
+        },
+        
+        // Re-deduplication of stored articles (CLI and /api/news/dedup/rerun)
+        backfill: {
+          batchSize: 100,
+          batchDelayMs: 250,      // Pause between batches
+          maxLiveBacklog: 50,     // Wait while more live jobs than this are pending
+          backlogPollMs: 5000,
+          llmValidation: false,   // Keep the hourly LLM budget for live articles
+        },
+        
         // Clustering parameters
         clusteringMethod: 'dbscan',
         minSamples: 2,
@@ -179,6 +333,12 @@ class ConfigManager {
         headersTimeout: 6000,
       },
       
+      // External producers (POST /api/news/ingest)
+      ingest: {
+        maxBatchSize: envVars.INGEST_MAX_BATCH_SIZE,
+        idempotencyTtlHours: envVars.INGEST_IDEMPOTENCY_TTL_HOURS,
+      },
+      
       feeds: {
         configFile: envVars.RSS_FEEDS_CONFIG_FILE || 'config/rss-feeds.json',
         refreshIntervalMs: 300000, // 5 minutes
@@ -193,6 +353,34 @@ class ConfigManager {
         extractFullContent: true,
         followRedirects: true,
         maxRedirects: 3,
+        
+        // Per-feed schedule: new feeds start at refreshIntervalMs, then busy feeds
+        // are polled more often and quiet ones less, within these bounds
+        polling: {
+          adaptive: envVars.FEED_ADAPTIVE_POLLING,
+          minIntervalMs: envVars.FEED_POLL_MIN_MINUTES * 60 * 1000,
+          maxIntervalMs: envVars.FEED_POLL_MAX_MINUTES * 60 * 1000,
+          tickMs: 15000, // How often due feeds are looked for
+        },
+        
+        // Scrape feeds and their article pages: one request at a time per site,
+        // spaced by at least this much (or the site's Crawl-delay)
+        scrape: {
+          requestIntervalMs: envVars.SCRAPE_REQUEST_INTERVAL_SECONDS * 1000,
+          robotsCacheMs: 24 * 60 * 60 * 1000,
+        },
+        
+        // How long Redis remembers a feed item after it last appeared in the
+        // feed; older items are looked up in MongoDB again if they come back
+        seenItemsRetentionMs: envVars.SEEN_ITEMS_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+        
+        // Feed redirectors and link shorteners (see UrlCanonicalizer) are followed
+        // to the article before its canonical URL is taken
+        redirectWrappers: {
+          resolve: envVars.RESOLVE_REDIRECT_WRAPPERS,
+          maxRedirects: 5,
+          timeoutMs: 10000,
+        },
       },
       
       logging: {
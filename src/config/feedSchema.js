@@ -0,0 +1,62 @@
+const Joi = require('joi');
+
+// Which articles a feed's articles are compared against:
+//   global   - every feed in the same tenant
+//   category - feeds of the same category
+//   feed     - only the feed's own articles
+//   none     - never deduplicated (every article is kept)
+const DEDUP_SCOPES = ['global', 'category', 'feed', 'none'];
+
+// Source format, each read by its adapter in src/adapters
+const FEED_TYPES = ['rss', 'atom', 'jsonfeed', 'news-sitemap', 'scrape'];
+
+// Fields that PUT /api/news/feeds/:id keeps over the config file across restarts
+const OVERRIDE_FIELDS = ['tenant', 'dedupScope', 'dedupTimeWindowHours', 'dedupThreshold'];
+
+const fields = {
+  name: Joi.string(),
+  url: Joi.string().uri(),
+  type: Joi.string().valid(...FEED_TYPES),
+  category: Joi.string(),
+  priority: Joi.string().valid('high', 'medium', 'low'),
+  enabled: Joi.boolean(),
+  tags: Joi.array().items(Joi.string()),
+
+  // CSS selectors of a `scrape` feed's listing page (see adapters/ScrapeAdapter)
+  scrape: Joi.object({
+    item: Joi.string(),
+    link: Joi.string().required(),
+    title: Joi.string(),
+    date: Joi.string(),
+    maxItems: Joi.number().integer().min(1).max(100),
+    // Spacing between requests to the site, if it needs more than SCRAPE_REQUEST_INTERVAL_SECONDS
+    requestIntervalSeconds: Joi.number().min(0)
+  }),
+
+  // Feeds of different tenants never share a deduplication pool
+  tenant: Joi.string().allow(null),
+  dedupScope: Joi.string().valid(...DEDUP_SCOPES),
+  dedupTimeWindowHours: Joi.number().min(1).max(168).allow(null),
+  dedupThreshold: Joi.number().min(0).max(1).allow(null)
+};
+
+// A feed entry in config/rss-feeds.json (or POST /api/news/feeds)
+const feedSchema = Joi.object({
+  ...fields,
+  id: Joi.string().required(),
+  name: fields.name.required(),
+  url: fields.url.required(),
+  type: fields.type.default('rss'),
+  category: fields.category.default('other'),
+  priority: fields.priority.default('medium'),
+  enabled: fields.enabled.default(true),
+  tags: fields.tags.default([]),
+  scrape: fields.scrape.when('type', { is: 'scrape', then: Joi.required() }),
+  dedupScope: fields.dedupScope.default('global')
+}).unknown(true);
+
+// PUT /api/news/feeds/:id: only the given fields change, so nothing defaults;
+// the id and tracking fields are not editable
+const feedUpdateSchema = Joi.object(fields);
+
+module.exports = { DEDUP_SCOPES, FEED_TYPES, OVERRIDE_FIELDS, feedSchema, feedUpdateSchema };
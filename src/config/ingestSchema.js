@@ -0,0 +1,51 @@
+const Joi = require('joi');
+
+// One article from an external producer (POST /api/news/ingest)
+const ingestArticleSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(1000).required(),
+  url: Joi.string().uri().required(),
+  source: Joi.string().trim().min(1).required(),
+
+  // A configured feed id applies that feed's tenant and dedup scope settings
+  sourceId: Joi.string(),
+
+  content: Joi.string().allow(''),
+  summary: Joi.string().allow(''),
+  author: Joi.string(),
+  publishedAt: Joi.date().iso(),
+  category: Joi.string().default('other'),
+  tags: Joi.array().items(Joi.string()).default([]),
+  priority: Joi.string().valid('high', 'medium', 'low').default('medium'),
+  language: Joi.string().lowercase().length(2),
+  imageUrl: Joi.string().uri(),
+  guid: Joi.string(),
+
+  // Re-sending an article with the same key returns the first verdict instead of ingesting it again
+  idempotencyKey: Joi.string().max(200)
+});
+
+// A batch: { articles: [...] }
+const buildIngestBatchSchema = (maxBatchSize) => Joi.object({
+  articles: Joi.array().items(ingestArticleSchema).min(1).max(maxBatchSize).required()
+});
+
+// POST /api/news/similarity: each side is a stored article id, a URL to fetch,
+// or an article payload (title required, everything else optional)
+const articleReferenceSchema = Joi.object({
+  id: Joi.string(),
+  url: Joi.string().uri(),
+  title: Joi.string().trim().min(1).max(1000),
+  source: Joi.string().trim().min(1),
+  sourceId: Joi.string(),
+  content: Joi.string().allow(''),
+  summary: Joi.string().allow(''),
+  publishedAt: Joi.date().iso(),
+  category: Joi.string(),
+  language: Joi.string().lowercase().length(2)
+}).or('id', 'url', 'title').without('id', ['url', 'title', 'content', 'summary']);
+
+const similarityRequestSchema = Joi.object({
+  articles: Joi.array().items(articleReferenceSchema).length(2).required()
+});
+
+module.exports = { ingestArticleSchema, buildIngestBatchSchema, similarityRequestSchema };
@@ -13,6 +13,8 @@ const config = require('./config/config');
 const DatabaseManager = require('./services/DatabaseManager');
 const NewsProcessor = require('./services/NewsProcessor');
 const DeduplicationEngine = require('./services/DeduplicationEngine');
+const DeduplicationBackfill = require('./services/DeduplicationBackfill');
+const IngestService = require('./services/IngestService');
 const AlertManager = require('./services/AlertManager');
 const HealthChecker = require('./utils/healthcheck');
 
@@ -32,6 +34,8 @@ class NewsDeduplicationApp {
     this.dbManager = new DatabaseManager();
     this.newsProcessor = new NewsProcessor();
     this.deduplicationEngine = new DeduplicationEngine();
+    this.backfill = new DeduplicationBackfill();
+    this.ingestService = new IngestService();
     this.alertManager = new AlertManager();
     this.healthChecker = new HealthChecker();
     
@@ -60,6 +64,8 @@ class NewsDeduplicationApp {
         dbManager: this.dbManager,
         newsProcessor: this.newsProcessor,
         deduplicationEngine: this.deduplicationEngine,
+        backfill: this.backfill,
+        ingestService: this.ingestService,
         alertManager: this.alertManager,
         healthChecker: this.healthChecker
       };
@@ -93,6 +99,8 @@ class NewsDeduplicationApp {
     // Initialize services with proper dependency injection
     await this.newsProcessor.initialize(this.dbManager);
     await this.deduplicationEngine.initialize(this.dbManager);
+    this.backfill.initialize(this.dbManager, this.deduplicationEngine);
+    await this.ingestService.initialize(this.dbManager, this.newsProcessor, this.deduplicationEngine);
     await this.alertManager.initialize(this.dbManager);
     
     // Set up service interconnections
@@ -104,6 +112,14 @@ class NewsDeduplicationApp {
       this.alertManager.processAlert(article);
     });
     
+    this.deduplicationEngine.on('storyUpdateDetected', ({ article, original, newFacts }) => {
+      this.alertManager.processUpdateAlert(article, { original, newFacts });
+    });
+    
+    this.deduplicationEngine.on('canonicalChanged', ({ article, superseded }) => {
+      this.alertManager.processCanonicalChange(article, { superseded });
+    });
+    
     this.alertManager.on('alertSent', (alertInfo) => {
       logger.info(`📢 Alert sent: ${alertInfo.title} to ${alertInfo.channels.join(', ')}`);
     });
@@ -268,6 +284,9 @@ class NewsDeduplicationApp {
     // Start deduplication engine
     await this.deduplicationEngine.startProcessing();
     
+    // Resume interrupted ingest jobs
+    await this.ingestService.start();
+    
     // Start health monitoring
     this.healthChecker.startMonitoring({
       dbManager: this.dbManager,
@@ -328,6 +347,8 @@ class NewsDeduplicationApp {
       
       // Stop background processes
       await this.newsProcessor.stop();
+      await this.backfill.stop();
+      await this.ingestService.stop();
       await this.deduplicationEngine.stop();
       await this.alertManager.stop();
       this.healthChecker.stopMonitoring();
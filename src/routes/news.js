@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const config = require('../config/config');
+const { OVERRIDE_FIELDS, feedSchema, feedUpdateSchema } = require('../config/feedSchema');
+const { ingestArticleSchema, buildIngestBatchSchema, similarityRequestSchema } = require('../config/ingestSchema');
 
 // Get all articles with pagination
 router.get('/articles', async (req, res) => {
@@ -31,6 +34,10 @@ router.get('/articles', async (req, res) => {
       query.isDuplicate = req.query.isDuplicate === 'true';
     }
     
+    if (req.query.classification) {
+      query.classification = req.query.classification;
+    }
+    
     // Date range
     if (req.query.from || req.query.to) {
       query.publishedAt = {};
@@ -116,16 +123,30 @@ router.get('/articles/:id/duplicates', async (req, res) => {
     }
 
     const { ObjectId } = require('mongodb');
-    const articleId = new ObjectId(req.params.id);
-    
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid article id' });
+    }
+
+    const article = await dbManager.findArticle({ _id: new ObjectId(req.params.id) });
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    // The whole story group, not just the article's own pairwise links
+    const { group, members } = services.deduplicationEngine
+      ? await services.deduplicationEngine.getStoryGroup(article)
+      : { group: null, members: [article] };
+
+    const memberIds = members.map(member => member._id);
     const duplicates = await dbManager.findDuplicates({
       $or: [
-        { originalArticleId: articleId },
-        { duplicateArticleId: articleId }
+        { originalArticleId: { $in: memberIds } },
+        { duplicateArticleId: { $in: memberIds } }
       ]
     });
 
-    res.json({ duplicates });
+    res.json({ group, members, duplicates });
 
   } catch (error) {
     logger.error('Failed to get article duplicates:', error);
@@ -133,6 +154,58 @@ router.get('/articles/:id/duplicates', async (req, res) => {
   }
 });
 
+// Explain why an article was suppressed as a duplicate
+router.get('/articles/:id/explain', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { dbManager, deduplicationEngine } = services;
+    
+    if (!dbManager || !deduplicationEngine) {
+      return res.status(503).json({ error: 'Deduplication service not available' });
+    }
+
+    const { ObjectId } = require('mongodb');
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid article id' });
+    }
+
+    const article = await dbManager.findArticle({ _id: new ObjectId(req.params.id) });
+    
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (!article.isDuplicate || !article.originalArticleId) {
+      return res.status(409).json({ 
+        error: 'Article is not recorded as a duplicate',
+        isDuplicate: Boolean(article.isDuplicate)
+      });
+    }
+
+    const original = await dbManager.findArticle({ _id: article.originalArticleId });
+    
+    if (!original) {
+      return res.status(404).json({ error: 'Recorded original article no longer exists' });
+    }
+
+    // The stored record holds the original breakdown, including any LLM verdict
+    const [recorded] = await dbManager.findDuplicates({
+      $or: [
+        { originalArticleId: original._id, duplicateArticleId: article._id },
+        { originalArticleId: article._id, duplicateArticleId: original._id }
+      ]
+    }, { sort: { createdAt: -1 }, limit: 1 });
+
+    const explanation = await deduplicationEngine.explainDecision(article, original, recorded);
+
+    res.json({ explanation });
+
+  } catch (error) {
+    logger.error('Failed to explain duplicate decision:', error);
+    res.status(500).json({ error: 'Failed to explain duplicate decision' });
+  }
+});
+
 // Get all duplicate relationships
 router.get('/duplicates', async (req, res) => {
   try {
@@ -181,6 +254,352 @@ router.get('/duplicates', async (req, res) => {
   }
 });
 
+// Reject a duplicate decision and restore the article
+router.post('/duplicates/:id/reject', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { dbManager, deduplicationEngine, alertManager } = services;
+    
+    if (!dbManager || !deduplicationEngine) {
+      return res.status(503).json({ error: 'Deduplication service not available' });
+    }
+
+    const { ObjectId } = require('mongodb');
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid duplicate id' });
+    }
+
+    const record = await dbManager.findDuplicate({ _id: new ObjectId(req.params.id) });
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Duplicate record not found' });
+    }
+
+    if (record.status === 'rejected') {
+      return res.status(409).json({ error: 'Duplicate decision already rejected' });
+    }
+
+    const article = await deduplicationEngine.rejectDuplicate(record, {
+      reason: req.body.reason,
+      reviewer: req.body.reviewer
+    });
+
+    // The article was suppressed as a duplicate, so it never alerted
+    let alert = null;
+    if (alertManager && !article.isDuplicate) {
+      alert = await alertManager.processAlert(article, { force: true, trigger: 'manual_override' });
+    }
+
+    res.json({
+      message: 'Duplicate decision rejected',
+      article,
+      alertQueued: Boolean(alert)
+    });
+
+  } catch (error) {
+    logger.error('Failed to reject duplicate:', error);
+    res.status(500).json({ error: 'Failed to reject duplicate' });
+  }
+});
+
+// Manually mark an article as a duplicate of another
+router.post('/articles/:id/mark-duplicate-of/:otherId', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { dbManager, deduplicationEngine } = services;
+    
+    if (!dbManager || !deduplicationEngine) {
+      return res.status(503).json({ error: 'Deduplication service not available' });
+    }
+
+    const { ObjectId } = require('mongodb');
+    if (!ObjectId.isValid(req.params.id) || !ObjectId.isValid(req.params.otherId)) {
+      return res.status(400).json({ error: 'Invalid article id' });
+    }
+
+    if (req.params.id === req.params.otherId) {
+      return res.status(400).json({ error: 'An article cannot duplicate itself' });
+    }
+
+    const article = await dbManager.findArticle({ _id: new ObjectId(req.params.id) });
+    const original = await dbManager.findArticle({ _id: new ObjectId(req.params.otherId) });
+    
+    if (!article || !original) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (original.isDuplicate) {
+      return res.status(409).json({ 
+        error: 'Target article is itself a duplicate',
+        originalArticleId: original.originalArticleId
+      });
+    }
+
+    const updated = await deduplicationEngine.markDuplicateOf(article, original, {
+      reason: req.body.reason,
+      reviewer: req.body.reviewer
+    });
+
+    res.json({
+      message: 'Article marked as duplicate',
+      article: updated
+    });
+
+  } catch (error) {
+    logger.error('Failed to mark duplicate:', error);
+    res.status(500).json({ error: 'Failed to mark duplicate' });
+  }
+});
+
+// Re-run deduplication over stored articles (or resume a stopped run)
+router.post('/dedup/rerun', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { dbManager, backfill } = services;
+
+    if (!dbManager || !backfill) {
+      return res.status(503).json({ error: 'Backfill service not available' });
+    }
+
+    if (backfill.isRunning()) {
+      return res.status(409).json({ error: 'A backfill run is already in progress' });
+    }
+
+    const { from, to, dryRun = false, resumeRunId } = req.body || {};
+    let request;
+
+    if (resumeRunId) {
+      const { ObjectId } = require('mongodb');
+      if (!ObjectId.isValid(resumeRunId)) {
+        return res.status(400).json({ error: 'Invalid run id' });
+      }
+
+      const previous = await dbManager.findBackfillRun({ _id: new ObjectId(resumeRunId) });
+      if (!previous) {
+        return res.status(404).json({ error: 'Backfill run not found' });
+      }
+      if (previous.status === 'completed') {
+        return res.status(409).json({ error: 'Backfill run already completed' });
+      }
+
+      request = { resumeRunId: previous._id };
+    } else {
+      // Defaults to the last 7 days
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(start) || isNaN(end) || start > end) {
+        return res.status(400).json({ error: 'from and to must be dates with from before to' });
+      }
+
+      request = { from: start, to: end, dryRun: Boolean(dryRun) };
+    }
+
+    const { run } = await backfill.start(request);
+
+    res.status(202).json({
+      message: run.dryRun ? 'Dry run started' : 'Backfill run started',
+      run
+    });
+
+  } catch (error) {
+    logger.error('Failed to start backfill:', error);
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+// Get a backfill run with its changed decisions
+router.get('/dedup/rerun/:id', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { backfill } = services;
+
+    if (!backfill) {
+      return res.status(503).json({ error: 'Backfill service not available' });
+    }
+
+    const { ObjectId } = require('mongodb');
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid run id' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const run = await backfill.getRun(new ObjectId(req.params.id), { changeLimit: limit });
+
+    if (!run) {
+      return res.status(404).json({ error: 'Backfill run not found' });
+    }
+
+    res.json(run);
+
+  } catch (error) {
+    logger.error('Failed to get backfill run:', error);
+    res.status(500).json({ error: 'Failed to retrieve backfill run' });
+  }
+});
+
+// Stop the running backfill after the current article; it can be resumed later
+router.post('/dedup/rerun/:id/stop', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { backfill } = services;
+
+    if (!backfill) {
+      return res.status(503).json({ error: 'Backfill service not available' });
+    }
+
+    if (!backfill.isRunning() || String(backfill.activeRun._id) !== req.params.id) {
+      return res.status(409).json({ error: 'Backfill run is not running' });
+    }
+
+    // Resolves once the checkpoint is saved
+    await backfill.stop();
+
+    res.json({ message: 'Backfill run stopped', runId: req.params.id });
+
+  } catch (error) {
+    logger.error('Failed to stop backfill:', error);
+    res.status(500).json({ error: 'Failed to stop backfill' });
+  }
+});
+
+// Ingest articles from an external producer: one article or { articles: [...] }.
+// ?mode=async stores a job and returns its id right away
+router.post('/ingest', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { ingestService } = services;
+
+    if (!ingestService) {
+      return res.status(503).json({ error: 'Ingest service not available' });
+    }
+
+    const mode = req.query.mode || 'sync';
+    if (!['sync', 'async'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be sync or async' });
+    }
+
+    const body = req.body || {};
+    const isBatch = body.articles !== undefined;
+    const schema = isBatch ? buildIngestBatchSchema(config.ingest.maxBatchSize) : ingestArticleSchema;
+    const { error: validationError, value } = schema.validate(body, { abortEarly: false });
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const articles = isBatch ? value.articles : [value];
+
+    // The Idempotency-Key header covers articles without a key of their own
+    const headerKey = req.get('Idempotency-Key');
+    if (headerKey) {
+      if (headerKey.length > 200) {
+        return res.status(400).json({ error: 'Idempotency-Key must be at most 200 characters' });
+      }
+      articles.forEach((article, index) => {
+        article.idempotencyKey = article.idempotencyKey || (isBatch ? `${headerKey}:${index}` : headerKey);
+      });
+    }
+
+    if (mode === 'async') {
+      const job = await ingestService.submitJob(articles);
+      return res.status(202).json({
+        message: 'Ingest job accepted',
+        jobId: job._id,
+        total: job.total,
+        statusUrl: `/api/news/ingest/jobs/${job._id}`
+      });
+    }
+
+    const results = await ingestService.ingest(articles);
+
+    if (isBatch) {
+      return res.json({ results });
+    }
+
+    const [result] = results;
+    const status = { ingested: 201, conflict: 409, in_progress: 409, failed: 500 }[result.status] || 200;
+    res.status(status).json(result);
+
+  } catch (error) {
+    logger.error('Failed to ingest articles:', error);
+    res.status(500).json({ error: 'Failed to ingest articles' });
+  }
+});
+
+// Get an asynchronous ingest job with the results so far
+router.get('/ingest/jobs/:id', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { ingestService } = services;
+
+    if (!ingestService) {
+      return res.status(503).json({ error: 'Ingest service not available' });
+    }
+
+    const { ObjectId } = require('mongodb');
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+
+    const job = await ingestService.getJob(new ObjectId(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Ingest job not found' });
+    }
+
+    res.json(job);
+
+  } catch (error) {
+    logger.error('Failed to get ingest job:', error);
+    res.status(500).json({ error: 'Failed to retrieve ingest job' });
+  }
+});
+
+// Would two articles be considered duplicates? Each side is a stored id, a URL
+// to fetch or an article payload; nothing is written to the database
+router.post('/similarity', async (req, res) => {
+  try {
+    const services = req.app.locals.services || {};
+    const { ingestService } = services;
+
+    if (!ingestService) {
+      return res.status(503).json({ error: 'Ingest service not available' });
+    }
+
+    const { error: validationError, value } = similarityRequestSchema.validate(req.body || {}, { abortEarly: false });
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { ObjectId } = require('mongodb');
+    const articles = [];
+
+    for (const ref of value.articles) {
+      if (ref.id && !ObjectId.isValid(ref.id)) {
+        return res.status(400).json({ error: `Invalid article id: ${ref.id}` });
+      }
+
+      const article = await ingestService.resolveArticle(ref.id ? { id: new ObjectId(ref.id) } : ref);
+
+      if (!article) {
+        return ref.id
+          ? res.status(404).json({ error: `Article not found: ${ref.id}` })
+          : res.status(422).json({ error: `Could not extract an article from ${ref.url}` });
+      }
+
+      articles.push(article);
+    }
+
+    res.json(await ingestService.checkSimilarity(...articles));
+
+  } catch (error) {
+    logger.error('Failed to check similarity:', error);
+    res.status(500).json({ error: 'Failed to check similarity' });
+  }
+});
+
 // Get RSS feeds
 router.get('/feeds', async (req, res) => {
   try {
@@ -211,23 +630,28 @@ router.post('/feeds', async (req, res) => {
       return res.status(503).json({ error: 'Database service not available' });
     }
 
-    const { id, name, url, category, priority, tags, enabled } = req.body;
+    const { error: validationError, value } = feedSchema.validate(req.body, { abortEarly: false });
     
-    // Validate required fields
-    if (!id || !name || !url) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: id, name, url' 
-      });
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
+    const { id, name, url, type, scrape, category, priority, tags, enabled, tenant, dedupScope, dedupTimeWindowHours, dedupThreshold } = value;
+
     const feed = {
       id,
       name,
       url,
-      category: category || 'other',
-      priority: priority || 'medium',
-      tags: tags || [],
-      enabled: enabled !== false,
+      type,
+      scrape: scrape || null,
+      category,
+      priority,
+      tags,
+      enabled,
+      tenant: tenant || null,
+      dedupScope,
+      dedupTimeWindowHours: dedupTimeWindowHours || null,
+      dedupThreshold: dedupThreshold === undefined ? null : dedupThreshold,
       createdAt: new Date(),
       updatedAt: new Date(),
       lastFetchedAt: null,
@@ -236,6 +660,10 @@ router.post('/feeds', async (req, res) => {
     };
 
     await dbManager.mongodb.collection('feeds').insertOne(feed);
+    
+    if (services.deduplicationEngine) {
+      services.deduplicationEngine.invalidateFeedScopes();
+    }
 
     res.status(201).json({ 
       message: 'Feed added successfully',
@@ -259,20 +687,31 @@ router.put('/feeds/:id', async (req, res) => {
     }
 
     const feedId = req.params.id;
-    const updates = req.body;
+    const { error: validationError, value: updates } = feedUpdateSchema.validate(req.body, { abortEarly: false });
     
-    delete updates._id; // Prevent ID updates
-    updates.updatedAt = new Date();
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    // Recorded separately so NewsProcessor.loadFeeds keeps them over the config file
+    const overrides = OVERRIDE_FIELDS
+      .filter(field => field in updates)
+      .map(field => [`overrides.${field}`, updates[field]]);
 
     const result = await dbManager.mongodb.collection('feeds').updateOne(
       { id: feedId },
-      { $set: updates }
+      { $set: { ...updates, ...Object.fromEntries(overrides), updatedAt: new Date() } }
     );
 
     if (result.matchedCount === 0) {
       return res.status(404).json({ error: 'Feed not found' });
     }
 
+    // Scope, window and threshold changes apply to the next article
+    if (services.deduplicationEngine) {
+      services.deduplicationEngine.invalidateFeedScopes();
+    }
+
     res.json({ message: 'Feed updated successfully' });
 
   } catch (error) {
@@ -375,6 +814,10 @@ router.get('/stats', async (req, res) => {
     if (services.deduplicationEngine) {
       stats.deduplication = services.deduplicationEngine.getStats();
     }
+    
+    if (services.ingestService) {
+      stats.ingest = services.ingestService.getStats();
+    }
 
     res.json(stats);
 
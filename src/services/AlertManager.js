@@ -18,6 +18,8 @@ class AlertManager extends EventEmitter {
       successfulAlerts: 0,
       failedAlerts: 0,
       filteredAlerts: 0,
+      updateAlerts: 0,
+      canonicalRepoints: 0,
       lastAlertSent: null
     };
   }
@@ -45,10 +47,10 @@ class AlertManager extends EventEmitter {
     }, 60 * 60 * 1000);
   }
 
-  async processAlert(article) {
+  async processAlert(article, options = {}) {
     try {
-      // Check if alert should be sent
-      if (!this.shouldSendAlert(article)) {
+      // Check if alert should be sent (manual overrides skip the filters)
+      if (!options.force && !this.shouldSendAlert(article)) {
         this.stats.filteredAlerts++;
         logger.debug(`Alert filtered for article: ${article.title}`);
         return;
@@ -69,20 +71,151 @@ class AlertManager extends EventEmitter {
         tags: article.tags || [],
         createdAt: new Date(),
         channels: this.determineChannels(article),
+        trigger: options.trigger || 'automatic',
         status: 'pending'
       };
       
+      if (options.update) {
+        alert.type = 'update';
+        alert.updateOf = options.update.updateOf;
+        alert.newFacts = options.update.newFacts;
+      }
+      
+      if (options.replaces) {
+        alert.type = 'canonical';
+        alert.replaces = options.replaces;
+      }
+      
       // Add to queue
       this.alertQueue.push(alert);
       this.stats.totalAlerts++;
       
       logger.debug(`Alert queued: ${alert.title}`);
+      return alert;
       
     } catch (error) {
       logger.error('Failed to process alert:', error);
     }
   }
 
+  async processUpdateAlert(article, { original, newFacts }) {
+    try {
+      // Follow-ups resemble the earlier alert by design, so only the rate limit applies
+      if (!this.checkRateLimit()) {
+        this.stats.filteredAlerts++;
+        logger.debug(`Update alert rate limited for article: ${article.title}`);
+        return;
+      }
+      
+      const earlierAlert = await this.findAlertForArticle(original._id);
+      
+      const alert = await this.processAlert(article, {
+        force: true,
+        trigger: 'story_update',
+        update: {
+          updateOf: {
+            alertId: earlierAlert ? earlierAlert.id : null,
+            articleId: original._id,
+            title: original.title,
+            url: original.url
+          },
+          newFacts
+        }
+      });
+      
+      if (alert) {
+        this.stats.updateAlerts++;
+      }
+      return alert;
+      
+    } catch (error) {
+      logger.error('Failed to process update alert:', error);
+    }
+  }
+
+  async processCanonicalChange(article, { superseded }) {
+    try {
+      let earlierAlert = null;
+      let previous = null;
+      for (const candidate of superseded) {
+        earlierAlert = await this.findAlertForArticle(candidate._id);
+        if (earlierAlert) {
+          previous = candidate;
+          break;
+        }
+      }
+      
+      // Nothing went out for the earlier version, so this is a regular alert
+      if (!earlierAlert) {
+        return this.processAlert(article);
+      }
+      
+      // Not sent yet: point the queued alert at the better version instead
+      const queuedIndex = this.alertQueue.indexOf(earlierAlert);
+      if (queuedIndex !== -1) {
+        const alert = {
+          ...earlierAlert,
+          articleId: article._id,
+          title: article.title,
+          summary: article.summary || this.generateSummary(article),
+          source: article.source,
+          url: article.url,
+          publishedAt: article.publishedAt,
+          entities: article.entities || [],
+          tags: article.tags || [],
+          repointedFrom: { articleId: previous._id, title: previous.title, url: previous.url }
+        };
+        this.alertQueue[queuedIndex] = alert;
+        this.stats.canonicalRepoints++;
+        
+        logger.debug(`Queued alert re-pointed to better version: ${article.title}`);
+        return alert;
+      }
+      
+      if (!this.checkRateLimit()) {
+        this.stats.filteredAlerts++;
+        logger.debug(`Canonical alert rate limited for article: ${article.title}`);
+        return;
+      }
+      
+      const alert = await this.processAlert(article, {
+        force: true,
+        trigger: 'canonical_update',
+        replaces: {
+          alertId: earlierAlert.id,
+          articleId: previous._id,
+          title: previous.title,
+          source: previous.source,
+          url: previous.url
+        }
+      });
+      
+      if (alert) {
+        await this.dbManager.updateAlert(
+          { id: earlierAlert.id },
+          { supersededBy: { alertId: alert.id, articleId: article._id } }
+        );
+        this.stats.canonicalRepoints++;
+      }
+      return alert;
+      
+    } catch (error) {
+      logger.error('Failed to process canonical change alert:', error);
+    }
+  }
+
+  async findAlertForArticle(articleId) {
+    // Still queued alerts have not been stored yet
+    const queued = this.alertQueue.find(alert => String(alert.articleId) === String(articleId));
+    if (queued) return queued;
+    
+    const [stored] = await this.dbManager.findAlerts(
+      { articleId },
+      { sort: { createdAt: -1 }, limit: 1 }
+    );
+    return stored || null;
+  }
+
   shouldSendAlert(article) {
     // Check rate limiting
     if (!this.checkRateLimit()) {
@@ -291,7 +424,9 @@ class AlertManager extends EventEmitter {
     }
     
     const payload = {
-      type: 'news_alert',
+      type: alert.type === 'update'
+        ? 'news_update'
+        : alert.type === 'canonical' ? 'news_canonical_update' : 'news_alert',
       alert: {
         id: alert.id,
         title: alert.title,
@@ -303,8 +438,15 @@ class AlertManager extends EventEmitter {
         publishedAt: alert.publishedAt,
         entities: alert.entities.slice(0, 10), // Limit for payload size
         tags: alert.tags,
+        trigger: alert.trigger || 'automatic',
         createdAt: alert.createdAt
       },
+      update: alert.type === 'update'
+        ? { updateOf: alert.updateOf, newFacts: alert.newFacts }
+        : undefined,
+      canonical: alert.type === 'canonical'
+        ? { replaces: alert.replaces }
+        : undefined,
       metadata: {
         system: 'news-deduplication',
         version: '1.0.0',
@@ -354,7 +496,9 @@ class AlertManager extends EventEmitter {
       icon_emoji: ':newspaper:',
       attachments: [{
         color: this.getSlackColor(alert.priority),
-        title: alert.title,
+        title: alert.type === 'update'
+          ? `Update: ${alert.title}`
+          : alert.type === 'canonical' ? `Better version: ${alert.title}` : alert.title,
         title_link: alert.url,
         text: alert.summary,
         fields: [
@@ -377,7 +521,17 @@ class AlertManager extends EventEmitter {
             title: 'Published',
             value: new Date(alert.publishedAt).toLocaleString(),
             short: true
-          }
+          },
+          ...(alert.type === 'update' ? [{
+            title: 'New since earlier alert',
+            value: alert.newFacts.map(fact => fact.value).join(', '),
+            short: false
+          }] : []),
+          ...(alert.type === 'canonical' ? [{
+            title: 'Replaces earlier alert',
+            value: `${alert.replaces.title} (${alert.replaces.source})`,
+            short: false
+          }] : [])
         ],
         footer: 'News Deduplication System',
         ts: Math.floor(Date.now() / 1000)
@@ -427,8 +581,9 @@ class AlertManager extends EventEmitter {
   }
 
   generateArticleKey(article) {
-    // Create a simple key based on title words and source
-    const titleWords = article.title.toLowerCase()
+    // Create a simple key based on title words and source; the canonical title
+    // drops markers like "BREAKING:" so re-published variants share a key
+    const titleWords = (article.canonicalTitle || article.title).toLowerCase()
       .replace(/[^\w\s]/g, '')
       .split(/\s+/)
       .filter(word => word.length > 3)
@@ -3,6 +3,10 @@ const Redis = require('redis');
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const UrlCanonicalizer = require('../utils/UrlCanonicalizer');
+
+// Articles updated per batch by the canonicalUrl migration
+const CANONICAL_URL_BATCH_SIZE = 500;
 
 class DatabaseManager extends EventEmitter {
   constructor() {
@@ -144,13 +148,23 @@ class DatabaseManager extends EventEmitter {
       
       // Articles collection
       const articlesCollection = this.mongodb.collection('articles');
+      await this.dropLegacyUrlIndex(articlesCollection);
+      await this.backfillCanonicalUrls(articlesCollection);
       await this.createIndexes(articlesCollection, [
-        { key: { url: 1 }, options: { unique: true } },
+        // Articles without a usable canonical URL have canonicalUrl null and are not indexed
+        {
+          key: { canonicalUrl: 1 },
+          options: { unique: true, partialFilterExpression: { canonicalUrl: { $type: 'string' } } }
+        },
+        { key: { url: 1 } },
         { key: { contentHash: 1 } },
+        { key: { simhashBlocks: 1, publishedAt: -1 } },
         { key: { publishedAt: -1 } },
         { key: { source: 1, publishedAt: -1 } },
         { key: { processed: 1, createdAt: -1 } },
         { key: { 'entities.name': 1 } },
+        { key: { storyGroupId: 1 } },
+        { key: { sourceId: 1, guid: 1 } },
         { key: { category: 1, publishedAt: -1 } },
         { key: { tags: 1 } },
         
@@ -229,8 +243,19 @@ class DatabaseManager extends EventEmitter {
       await this.createIndexes(queueCollection, [
         { key: { status: 1, priority: -1, createdAt: 1 } },
         { key: { type: 1, status: 1 } },
+        { key: { type: 1, articleId: 1, status: 1 } },
+        // One active or dead-lettered job per article; completed jobs may repeat
+        {
+          key: { type: 1, articleId: 1 },
+          options: {
+            unique: true,
+            partialFilterExpression: { status: { $in: ['pending', 'processing', 'dead_letter'] } },
+            name: 'queue_active_job_unique'
+          }
+        },
         { key: { attempts: 1 } },
         { key: { scheduledFor: 1 } },
+        { key: { status: 1, leaseExpiresAt: 1 } },
         
         // TTL index for completed jobs cleanup (7 days)
         { 
@@ -277,6 +302,92 @@ class DatabaseManager extends EventEmitter {
         }
       ]);
       
+      // Human duplicate/not-duplicate labels
+      const feedbackCollection = this.mongodb.collection('dedup_feedback');
+      await this.createIndexes(feedbackCollection, [
+        { key: { pairKey: 1 }, options: { unique: true } },
+        { key: { urlPairKey: 1 } },
+        { key: { articleIds: 1 } },
+        { key: { urls: 1 } },
+        { key: { label: 1, createdAt: -1 } }
+      ]);
+      
+      // MinHash/LSH candidate index
+      const lshCollection = this.mongodb.collection('lsh_index');
+      await this.createIndexes(lshCollection, [
+        { key: { articleId: 1 }, options: { unique: true } },
+        { key: { buckets: 1, publishedAt: -1 } },
+        { key: { publishedAt: -1 } },
+        
+        // TTL index (7 days, the maximum deduplication time window)
+        { 
+          key: { createdAt: 1 }, 
+          options: { 
+            expireAfterSeconds: 60 * 60 * 24 * 7,
+            name: 'lsh_index_ttl'
+          }
+        }
+      ]);
+      
+      // Corpus TF-IDF model (documents in the dedup window and their term frequencies)
+      const tfidfDocumentsCollection = this.mongodb.collection('tfidf_documents');
+      await this.createIndexes(tfidfDocumentsCollection, [
+        { key: { articleId: 1 }, options: { unique: true } },
+        { key: { publishedAt: 1 } }
+      ]);
+      
+      const tfidfTermsCollection = this.mongodb.collection('tfidf_terms');
+      await this.createIndexes(tfidfTermsCollection, [
+        { key: { term: 1 }, options: { unique: true } },
+        { key: { df: 1 } }
+      ]);
+      
+      // Story groups: one per story, merged union-find style through parentId
+      const storyGroupsCollection = this.mongodb.collection('story_groups');
+      await this.createIndexes(storyGroupsCollection, [
+        { key: { parentId: 1 } },
+        { key: { canonicalArticleId: 1 } },
+        { key: { lastPublishedAt: -1 } }
+      ]);
+      
+      // Re-deduplication backfill runs and the decisions they changed
+      const backfillRunsCollection = this.mongodb.collection('backfill_runs');
+      await this.createIndexes(backfillRunsCollection, [
+        { key: { status: 1, createdAt: -1 } }
+      ]);
+      
+      const backfillChangesCollection = this.mongodb.collection('backfill_changes');
+      await this.createIndexes(backfillChangesCollection, [
+        { key: { runId: 1, articleId: 1 }, options: { unique: true } },
+        { key: { runId: 1, publishedAt: 1 } }
+      ]);
+      
+      // External producer ingestion: idempotency keys and asynchronous jobs
+      const ingestKeysCollection = this.mongodb.collection('ingest_keys');
+      await this.createIndexes(ingestKeysCollection, [
+        { key: { key: 1 }, options: { unique: true } },
+        { 
+          key: { expiresAt: 1 }, 
+          options: { 
+            expireAfterSeconds: 0,
+            name: 'ingest_keys_ttl'
+          }
+        }
+      ]);
+      
+      const ingestJobsCollection = this.mongodb.collection('ingest_jobs');
+      await this.createIndexes(ingestJobsCollection, [
+        { key: { status: 1 } },
+        // TTL index (7 days)
+        { 
+          key: { createdAt: 1 }, 
+          options: { 
+            expireAfterSeconds: 60 * 60 * 24 * 7,
+            name: 'ingest_jobs_ttl'
+          }
+        }
+      ]);
+      
       logger.info('✅ Database collections and indexes initialized');
       
     } catch (error) {
@@ -285,6 +396,85 @@ class DatabaseManager extends EventEmitter {
     }
   }
 
+  // Articles used to be unique by raw URL; variants of one URL now share a
+  // canonicalUrl instead, which is the unique key
+  async dropLegacyUrlIndex(collection) {
+    try {
+      const indexes = await collection.indexes();
+      if (indexes.some(index => index.name === 'url_1' && index.unique)) {
+        await collection.dropIndex('url_1');
+        logger.info('🔧 Dropped unique url index of articles (canonicalUrl is unique now)');
+      }
+    } catch (error) {
+      // A new database has no articles collection yet
+      if (error.codeName !== 'NamespaceNotFound') {
+        logger.warn('⚠️  Failed to check legacy url index:', error.message);
+      }
+    }
+  }
+
+  // Articles stored before canonical URLs existed get one from their URL
+  // (no redirects are followed), before the unique index is built. When several share it, the article that
+  // already has it, or else the oldest, keeps it; the others get null and
+  // point at that article with canonicalUrlOwnerId.
+  async backfillCanonicalUrls(collection) {
+    const canonicalizer = new UrlCanonicalizer();
+    let updated = 0;
+    let conflicts = 0;
+    let lastId = null;
+    
+    try {
+      for (;;) {
+        const query = { canonicalUrl: { $exists: false } };
+        if (lastId) query._id = { $gt: lastId };
+        
+        const batch = await collection
+          .find(query, { projection: { _id: 1, url: 1 }, sort: { _id: 1 }, limit: CANONICAL_URL_BATCH_SIZE })
+          .toArray();
+        if (batch.length === 0) break;
+        
+        // As NewsProcessor stores them: URLs that do not canonicalize are kept as given
+        const canonical = new Map(batch.map(article => [
+          article._id,
+          canonicalizer.canonicalize(article.url) || article.url || null
+        ]));
+        const holders = await collection
+          .find(
+            { canonicalUrl: { $in: [...new Set([...canonical.values()].filter(Boolean))] } },
+            { projection: { _id: 1, canonicalUrl: 1 } }
+          )
+          .toArray();
+        const owners = new Map(holders.map(article => [article.canonicalUrl, article._id]));
+        
+        const operations = batch.map(article => {
+          const canonicalUrl = canonical.get(article._id);
+          const owner = canonicalUrl && owners.get(canonicalUrl);
+          
+          if (owner) {
+            conflicts++;
+            return { updateOne: { filter: { _id: article._id }, update: { $set: { canonicalUrl: null, canonicalUrlOwnerId: owner } } } };
+          }
+          
+          if (canonicalUrl) owners.set(canonicalUrl, article._id);
+          return { updateOne: { filter: { _id: article._id }, update: { $set: { canonicalUrl } } } };
+        });
+        
+        await collection.bulkWrite(operations, { ordered: true });
+        updated += batch.length;
+        
+        if (batch.length < CANONICAL_URL_BATCH_SIZE) break;
+        lastId = batch[batch.length - 1]._id;
+      }
+      
+      if (updated > 0) {
+        logger.info(`🔧 Added canonical URLs to ${updated} stored articles (${conflicts} sharing one with another article)`);
+      }
+      
+    } catch (error) {
+      logger.warn('⚠️  Failed to backfill canonical URLs:', error.message);
+    }
+  }
+
   async createIndexes(collection, indexes) {
     for (const index of indexes) {
       try {
@@ -345,6 +535,39 @@ class DatabaseManager extends EventEmitter {
     });
   }
 
+  async upsertDuplicate(duplicate) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // Re-processing the same pair refreshes the record instead of failing on the unique index
+    const { originalArticleId, duplicateArticleId, ...fields } = duplicate;
+    return this.mongodb.collection('duplicates').updateOne(
+      { originalArticleId, duplicateArticleId },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  async findDuplicate(query) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('duplicates').findOne(query);
+  }
+
+  async updateDuplicate(query, update) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('duplicates').updateOne(query, {
+      $set: { ...update, updatedAt: new Date() }
+    });
+  }
+
   async findDuplicates(query, options = {}) {
     if (!this.mongodb) {
       throw new Error('Database not connected');
@@ -352,6 +575,306 @@ class DatabaseManager extends EventEmitter {
     return this.mongodb.collection('duplicates').find(query, options).toArray();
   }
 
+  async deleteDuplicates(query) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('duplicates').deleteMany(query);
+  }
+
+  async repointDuplicates(previousOriginalId, originalArticleId) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+
+    const duplicates = this.mongodb.collection('duplicates');
+    const records = await duplicates.find({ originalArticleId: previousOriginalId }).toArray();
+
+    // Records move one by one so an existing pair with the new original is merged, not duplicated
+    for (const { _id, createdAt, ...record } of records) {
+      if (String(record.duplicateArticleId) !== String(originalArticleId)) {
+        await duplicates.updateOne(
+          { originalArticleId, duplicateArticleId: record.duplicateArticleId },
+          {
+            $set: { ...record, originalArticleId, repointedFrom: previousOriginalId, updatedAt: new Date() },
+            $setOnInsert: { createdAt: createdAt || new Date() }
+          },
+          { upsert: true }
+        );
+      }
+      await duplicates.deleteOne({ _id });
+    }
+
+    await this.mongodb.collection('articles').updateMany(
+      { originalArticleId: previousOriginalId },
+      { $set: { originalArticleId, updatedAt: new Date() } }
+    );
+
+    return records.length;
+  }
+
+  async insertStoryGroup(group) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('story_groups').insertOne({
+      parentId: null,
+      ...group,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  async findStoryGroup(query) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('story_groups').findOne(query);
+  }
+
+  async findStoryGroups(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('story_groups').find(query, options).toArray();
+  }
+
+  async updateStoryGroup(groupId, update) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('story_groups').updateOne({ _id: groupId }, {
+      $set: { ...update, updatedAt: new Date() }
+    });
+  }
+
+  async deleteStoryGroup(groupId) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // Groups merged into this one go with it
+    return this.mongodb.collection('story_groups').deleteMany({
+      $or: [{ _id: groupId }, { parentId: groupId }]
+    });
+  }
+
+  async mergeStoryGroups(rootId, absorbedIds) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+
+    // Absorbed groups (and groups they absorbed earlier) keep a direct parent
+    // link so stale references still resolve
+    await this.mongodb.collection('story_groups').updateMany(
+      { $or: [{ _id: { $in: absorbedIds } }, { parentId: { $in: absorbedIds } }] },
+      { $set: { parentId: rootId, memberCount: 0, mergedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    // Members move to the root directly, so lookups never walk the chain
+    return this.mongodb.collection('articles').updateMany(
+      { storyGroupId: { $in: absorbedIds } },
+      { $set: { storyGroupId: rootId, updatedAt: new Date() } }
+    );
+  }
+
+  async assignStoryGroup(articleIds, groupId) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('articles').updateMany(
+      { _id: { $in: articleIds } },
+      { $set: { storyGroupId: groupId, updatedAt: new Date() } }
+    );
+  }
+
+  async findFeeds(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('feeds').find(query, options).toArray();
+  }
+
+  // Validators and schedule of a feed's conditional polling (see PollingPolicy)
+  async updateFeedPolling(feedId, polling) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('feeds').updateOne(
+      { id: feedId },
+      { $set: { polling, updatedAt: new Date() } }
+    );
+  }
+
+  // Which of a feed's item URLs (raw or canonical) and GUIDs are already stored,
+  // in one query (the fallback when Redis does not know the items, see findSeenItems)
+  async findStoredItems(feedId, { urls, canonicalUrls, guids }) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('articles').find(
+      {
+        $or: [
+          { url: { $in: urls } },
+          { canonicalUrl: { $in: canonicalUrls } },
+          { sourceId: feedId, guid: { $in: guids } }
+        ]
+      },
+      { projection: { url: 1, canonicalUrl: 1, guid: 1 } }
+    ).toArray();
+  }
+
+  async upsertFeedback(feedback) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // The latest human label for a pair wins
+    return this.mongodb.collection('dedup_feedback').updateOne(
+      { pairKey: feedback.pairKey },
+      {
+        $set: { ...feedback, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  async findFeedback(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('dedup_feedback').find(query, options).toArray();
+  }
+
+  async insertBackfillRun(run) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('backfill_runs').insertOne({
+      ...run,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  async updateBackfillRun(runId, update) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('backfill_runs').updateOne({ _id: runId }, {
+      $set: { ...update, updatedAt: new Date() }
+    });
+  }
+
+  async findBackfillRun(query) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('backfill_runs').findOne(query);
+  }
+
+  async findBackfillRuns(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('backfill_runs').find(query, options).toArray();
+  }
+
+  async upsertBackfillChange(change) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // A later step of the same run (re-pointing) may change an article again
+    const { runId, articleId, before, ...fields } = change;
+    return this.mongodb.collection('backfill_changes').updateOne(
+      { runId, articleId },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $setOnInsert: { before, createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  async findBackfillChanges(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('backfill_changes').find(query, options).toArray();
+  }
+
+  async insertIngestKey(entry) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // Fails with a duplicate key error when the key was already claimed
+    return this.mongodb.collection('ingest_keys').insertOne({
+      ...entry,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  async updateIngestKey(key, update) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_keys').updateOne({ key }, {
+      $set: { ...update, updatedAt: new Date() }
+    });
+  }
+
+  async findIngestKey(key) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_keys').findOne({ key });
+  }
+
+  async deleteIngestKey(key) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_keys').deleteOne({ key });
+  }
+
+  async insertIngestJob(job) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_jobs').insertOne({
+      ...job,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  async updateIngestJob(jobId, update) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_jobs').updateOne({ _id: jobId }, {
+      $set: { ...update, updatedAt: new Date() }
+    });
+  }
+
+  async findIngestJob(query) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_jobs').findOne(query);
+  }
+
+  async findIngestJobs(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('ingest_jobs').find(query, options).toArray();
+  }
+
   async findAlerts(query, options = {}) {
     if (!this.mongodb) {
       throw new Error('Database not connected');
@@ -413,6 +936,272 @@ class DatabaseManager extends EventEmitter {
     return this.mongodb.collection('embeddings').findOne({ articleId });
   }
 
+  async upsertLshEntry(entry) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('lsh_index').replaceOne(
+      { articleId: entry.articleId },
+      { ...entry, createdAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  async findLshEntries(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('lsh_index').find(query, options).toArray();
+  }
+
+  // Corpus TF-IDF operations
+  async insertTfIdfDocument(document) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // Report whether the document is new so term counts are only bumped once
+    const result = await this.mongodb.collection('tfidf_documents').updateOne(
+      { articleId: document.articleId },
+      { $setOnInsert: { ...document, createdAt: new Date() } },
+      { upsert: true }
+    );
+    
+    return result.upsertedCount > 0;
+  }
+
+  async findTfIdfDocuments(query, options = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('tfidf_documents').find(query, options).toArray();
+  }
+
+  async deleteTfIdfDocuments(query) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('tfidf_documents').deleteMany(query);
+  }
+
+  async countTfIdfDocuments() {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('tfidf_documents').countDocuments({});
+  }
+
+  async updateTermFrequencies(deltas) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // deltas: iterable of [term, change]
+    const entries = [...deltas];
+    if (entries.length === 0) return;
+    
+    const collection = this.mongodb.collection('tfidf_terms');
+    await collection.bulkWrite(
+      entries.map(([term, delta]) => ({
+        updateOne: {
+          filter: { term },
+          update: { $inc: { df: delta } },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+    
+    if (entries.some(([, delta]) => delta < 0)) {
+      await collection.deleteMany({ df: { $lte: 0 } });
+    }
+  }
+
+  async loadTermFrequencies() {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    const terms = await this.mongodb.collection('tfidf_terms')
+      .find({ df: { $gt: 0 } }, { projection: { _id: 0, term: 1, df: 1 } })
+      .toArray();
+    
+    return terms.map(({ term, df }) => [term, df]);
+  }
+
+  // Processing queue operations
+  async enqueueJob(job) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    // Only one active job per article and type; a dead-lettered job also
+    // blocks new ones, so a poison article is not retried on every restart
+    const now = new Date();
+    try {
+      return await this.mongodb.collection('processing_queue').updateOne(
+        {
+          type: job.type,
+          articleId: job.articleId,
+          status: { $in: ['pending', 'processing', 'dead_letter'] }
+        },
+        {
+          $setOnInsert: {
+            ...job,
+            status: 'pending',
+            priority: job.priority || 0,
+            attempts: 0,
+            scheduledFor: job.scheduledFor || now,
+            createdAt: now
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent enqueue inserted the job first
+      if (error.code !== 11000) throw error;
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+  }
+
+  async claimJobs(type, limit, leaseMs) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    const jobs = [];
+    
+    for (let i = 0; i < limit; i++) {
+      const now = new Date();
+      const job = await this.mongodb.collection('processing_queue').findOneAndUpdate(
+        {
+          type,
+          status: 'pending',
+          scheduledFor: { $lte: now }
+        },
+        {
+          $set: {
+            status: 'processing',
+            startedAt: now,
+            leaseExpiresAt: new Date(now.getTime() + leaseMs),
+            updatedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        {
+          sort: { priority: -1, createdAt: 1 },
+          returnDocument: 'after'
+        }
+      );
+      
+      if (!job) break;
+      jobs.push(job);
+    }
+    
+    return jobs;
+  }
+
+  async completeJob(jobId, result = {}) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    return this.mongodb.collection('processing_queue').updateOne(
+      { _id: jobId },
+      {
+        $set: {
+          status: 'completed',
+          result,
+          completedAt: new Date(),
+          updatedAt: new Date()
+        },
+        $unset: { leaseExpiresAt: '' }
+      }
+    );
+  }
+
+  async failJob(job, error, { maxAttempts, baseDelayMs }) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    const now = new Date();
+    const update = {
+      lastError: error.message,
+      lastErrorAt: now,
+      updatedAt: now
+    };
+    
+    if (job.attempts >= maxAttempts) {
+      update.status = 'dead_letter';
+      update.deadLetteredAt = now;
+    } else {
+      // Exponential backoff: base, 2x base, 4x base, ...
+      update.status = 'pending';
+      update.scheduledFor = new Date(
+        now.getTime() + baseDelayMs * Math.pow(2, job.attempts - 1)
+      );
+    }
+    
+    await this.mongodb.collection('processing_queue').updateOne(
+      { _id: job._id },
+      { $set: update, $unset: { leaseExpiresAt: '' } }
+    );
+    
+    return update.status;
+  }
+
+  async releaseExpiredJobs(type, maxAttempts) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    const now = new Date();
+    const collection = this.mongodb.collection('processing_queue');
+    const expired = { type, status: 'processing', leaseExpiresAt: { $lt: now } };
+    
+    // Jobs whose worker died on the last attempt go straight to dead letter
+    const deadLettered = await collection.updateMany(
+      { ...expired, attempts: { $gte: maxAttempts } },
+      {
+        $set: {
+          status: 'dead_letter',
+          lastError: 'Lease expired',
+          deadLetteredAt: now,
+          updatedAt: now
+        },
+        $unset: { leaseExpiresAt: '' }
+      }
+    );
+    
+    const released = await collection.updateMany(
+      expired,
+      {
+        $set: { status: 'pending', scheduledFor: now, updatedAt: now },
+        $unset: { leaseExpiresAt: '' }
+      }
+    );
+    
+    return {
+      released: released.modifiedCount,
+      deadLettered: deadLettered.modifiedCount
+    };
+  }
+
+  async countJobsByStatus(type) {
+    if (!this.mongodb) {
+      throw new Error('Database not connected');
+    }
+    
+    const results = await this.mongodb.collection('processing_queue').aggregate([
+      { $match: { type } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).toArray();
+    
+    return results.reduce((counts, { _id, count }) => {
+      counts[_id] = count;
+      return counts;
+    }, {});
+  }
+
   // Redis Operations
   async setCache(key, value, ttl = 3600) {
     if (!this.redisClient) {
@@ -473,6 +1262,42 @@ class DatabaseManager extends EventEmitter {
     }
   }
 
+  // Each feed's processed item keys (GUID or URL), scored by when they were
+  // last in the feed. Returns the known subset of `keys`, or null without
+  // Redis so that the caller falls back to MongoDB.
+  async findSeenItems(feedId, keys) {
+    if (!this.redisClient) {
+      return null;
+    }
+    
+    try {
+      const scores = keys.length > 0 ? await this.redisClient.zmScore(`seen_items:${feedId}`, keys) : [];
+      return new Set(keys.filter((key, index) => scores[index] !== null));
+    } catch (error) {
+      logger.warn('Redis findSeenItems failed:', error.message);
+      return null;
+    }
+  }
+
+  // Keys not seen again within retentionMs are dropped
+  async markSeenItems(feedId, keys, retentionMs) {
+    if (!this.redisClient || keys.length === 0) {
+      return;
+    }
+    
+    const key = `seen_items:${feedId}`;
+    const now = Date.now();
+    try {
+      await this.redisClient.multi()
+        .zAdd(key, keys.map(value => ({ score: now, value })))
+        .zRemRangeByScore(key, 0, now - retentionMs)
+        .pExpire(key, retentionMs)
+        .exec();
+    } catch (error) {
+      logger.warn('Redis markSeenItems failed:', error.message);
+    }
+  }
+
   async incrementCounter(key, ttl = 3600) {
     if (!this.redisClient) {
       return 1; // Default counter value
@@ -541,7 +1366,9 @@ class DatabaseManager extends EventEmitter {
           articles: await this.mongodb.collection('articles').countDocuments(),
           duplicates: await this.mongodb.collection('duplicates').countDocuments(),
           alerts: await this.mongodb.collection('alerts').countDocuments(),
-          feeds: await this.mongodb.collection('feeds').countDocuments()
+          feeds: await this.mongodb.collection('feeds').countDocuments(),
+          feedback: await this.mongodb.collection('dedup_feedback').countDocuments(),
+          processingQueue: await this.mongodb.collection('processing_queue').countDocuments()
         };
       }
       
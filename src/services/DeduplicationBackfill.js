@@ -0,0 +1,371 @@
+// src/services/DeduplicationBackfill.js - Re-deduplication of stored articles
+
+const EventEmitter = require('events');
+
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const QUEUE_JOB_TYPE = 'deduplication';
+
+// Replays stored articles through the current DeduplicationEngine settings in
+// publishedAt order, as if they were arriving again, and records every decision
+// that changes. Dry runs only record the changes.
+class DeduplicationBackfill extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dbManager = null;
+    this.engine = null;
+    this.settings = { ...config.deduplication.backfill, ...options };
+
+    this.activeRun = null;
+    this.completion = null;
+    this.stopRequested = false;
+  }
+
+  initialize(dbManager, engine) {
+    this.dbManager = dbManager;
+    this.engine = engine;
+  }
+
+  isRunning() {
+    return Boolean(this.activeRun);
+  }
+
+  // Starts (or resumes) a run in the background; `completion` settles when it ends
+  async start({ from, to, dryRun = false, resumeRunId = null } = {}) {
+    if (this.activeRun) {
+      throw new Error(`Backfill run ${this.activeRun._id} is already running`);
+    }
+
+    let run;
+    if (resumeRunId) {
+      run = await this.dbManager.findBackfillRun({ _id: resumeRunId });
+      if (!run) throw new Error(`Backfill run ${resumeRunId} not found`);
+      if (run.status === 'completed') throw new Error(`Backfill run ${resumeRunId} already completed`);
+    } else {
+      run = {
+        from: new Date(from),
+        to: new Date(to),
+        dryRun: Boolean(dryRun),
+        status: 'pending',
+        checkpoint: null,
+        processed: 0,
+        changed: 0,
+        skipped: 0,
+        transitions: {},
+        settings: {
+          thresholds: this.engine.thresholds,
+          scoringProfile: this.engine.scoringProfile
+        }
+      };
+      const result = await this.dbManager.insertBackfillRun(run);
+      run._id = result.insertedId;
+    }
+
+    this.activeRun = run;
+    this.stopRequested = false;
+    run.status = 'running';
+    run.startedAt = new Date();
+    await this.dbManager.updateBackfillRun(run._id, { status: run.status, startedAt: run.startedAt, error: null });
+
+    logger.info(`🔁 Backfill ${run.dryRun ? 'dry run' : 'run'} ${run._id} ${resumeRunId ? 'resumed' : 'started'}: ` +
+      `${run.from.toISOString()} → ${run.to.toISOString()}`);
+
+    const completion = this.execute(run)
+      .catch(async (error) => {
+        logger.error(`❌ Backfill run ${run._id} failed:`, error);
+        run.status = 'failed';
+        await this.dbManager.updateBackfillRun(run._id, { status: run.status, error: error.message });
+      })
+      .finally(() => {
+        this.activeRun = null;
+        this.completion = null;
+        this.emit('runFinished', run);
+      });
+    this.completion = completion;
+
+    return { run, completion };
+  }
+
+  async execute(run) {
+    // Dry runs write nothing, so earlier decisions of the run live in an overlay
+    const overlay = run.dryRun ? await this.loadOverlay(run) : null;
+    let batch = [];
+
+    do {
+      await this.waitForLiveQueue();
+      if (this.stopRequested) break;
+
+      batch = await this.dbManager.findArticles(this.buildRangeQuery(run), {
+        sort: { publishedAt: 1, _id: 1 },
+        limit: this.settings.batchSize
+      });
+
+      for (const article of batch) {
+        if (this.stopRequested) break;
+
+        await this.replayArticle(article, run, overlay);
+        run.processed++;
+        run.checkpoint = { publishedAt: article.publishedAt, articleId: article._id };
+      }
+
+      await this.saveProgress(run);
+
+      if (batch.length === this.settings.batchSize && !this.stopRequested) {
+        await this.sleep(this.settings.batchDelayMs);
+      }
+    } while (batch.length === this.settings.batchSize && !this.stopRequested);
+
+    run.status = this.stopRequested ? 'stopped' : 'completed';
+    run.finishedAt = new Date();
+    await this.saveProgress(run);
+
+    logger.info(`✅ Backfill run ${run._id} ${run.status}: ${run.processed} articles, ` +
+      `${run.changed} changed, ${run.skipped} skipped`);
+  }
+
+  buildRangeQuery(run) {
+    const query = { publishedAt: { $gte: run.from, $lte: run.to } };
+
+    // Resume strictly after the last article handled, with _id breaking ties
+    if (run.checkpoint) {
+      const { publishedAt, articleId } = run.checkpoint;
+      query.$or = [
+        { publishedAt: { $gt: publishedAt } },
+        { publishedAt, _id: { $gt: articleId } }
+      ];
+    }
+
+    return query;
+  }
+
+  async waitForLiveQueue() {
+    // Live articles come first: hold off while their queue has a backlog
+    while (!this.stopRequested) {
+      const counts = await this.dbManager.countJobsByStatus(QUEUE_JOB_TYPE);
+      if ((counts.pending || 0) <= this.settings.maxLiveBacklog) return;
+
+      logger.debug(`⏸️  Backfill waiting for ${counts.pending} live jobs`);
+      await this.sleep(this.settings.backlogPollMs);
+    }
+  }
+
+  async replayArticle(article, run, overlay) {
+    // Human decisions are kept as they are
+    if (article.manuallyReviewed) {
+      run.skipped++;
+      return;
+    }
+
+    const before = this.decisionOf(article, overlay);
+
+    if (!run.dryRun) {
+      await this.clearDecision(article);
+    }
+
+    // Scope settings apply as they are now, like the thresholds
+    const scope = await this.engine.getDedupScope(article);
+    const candidates = (await this.engine.getCandidateArticles(article, { replay: true, scope }))
+      .map(candidate => this.withOverlay(candidate, overlay));
+
+    const similarities = candidates.length > 0
+      ? await this.engine.analyzeSimilarities(article, candidates, {
+        llmValidation: this.settings.llmValidation,
+        scope,
+        dryRun: run.dryRun
+      })
+      : [];
+    const duplicates = this.engine.identifyDuplicates(similarities, scope, { dryRun: run.dryRun });
+
+    if (duplicates.length === 0) {
+      if (!run.dryRun) await this.engine.markAsUnique(article);
+      await this.recordChange(run, article, before, { classification: 'unique', originalArticleId: null }, overlay);
+      return;
+    }
+
+    const decision = await this.engine.decideDuplicates(article, duplicates);
+
+    // Originals replaced by a better version take their followers along
+    for (const previous of decision.superseded) {
+      await this.recordRepoint(run, previous, decision.original, overlay);
+    }
+
+    if (!run.dryRun) {
+      await this.engine.processDuplicates(article, duplicates, { decision, replay: true });
+    }
+
+    await this.recordChange(run, article, before, {
+      classification: decision.classification,
+      originalArticleId: decision.classification === 'unique' ? null : decision.original._id
+    }, overlay);
+  }
+
+  async recordRepoint(run, previous, original, overlay) {
+    await this.recordChange(run, previous, this.decisionOf(previous, overlay), {
+      classification: 'duplicate',
+      originalArticleId: original._id
+    }, overlay);
+
+    const previousId = String(previous._id);
+    const followers = (await this.dbManager.findArticles({ originalArticleId: previous._id }))
+      .map(follower => this.withOverlay(follower, overlay))
+      .filter(follower => String(follower.originalArticleId) === previousId);
+
+    // Followers decided earlier in a dry run are only known to the overlay
+    if (overlay) {
+      const known = new Set(followers.map(follower => String(follower._id)));
+      for (const [articleId, state] of overlay) {
+        if (!known.has(articleId) && String(state.originalArticleId) === previousId &&
+            state.classification === 'duplicate') {
+          followers.push({ _id: state.articleId, title: state.title, publishedAt: state.publishedAt, ...state });
+        }
+      }
+    }
+
+    for (const follower of followers) {
+      const before = this.decisionOf(follower, overlay);
+      await this.recordChange(run, follower, before, { ...before, originalArticleId: original._id }, overlay);
+    }
+  }
+
+  // The article's current role: unique, duplicate (of) or update (of)
+  decisionOf(article, overlay) {
+    const state = overlay && overlay.get(String(article._id));
+    if (state) {
+      return { classification: state.classification, originalArticleId: state.originalArticleId };
+    }
+
+    if (article.isDuplicate) {
+      return { classification: 'duplicate', originalArticleId: article.originalArticleId || null };
+    }
+    if (article.classification === 'update') {
+      return { classification: 'update', originalArticleId: article.updateOf || null };
+    }
+    return {
+      classification: article.duplicateChecked ? 'unique' : null,
+      originalArticleId: null
+    };
+  }
+
+  withOverlay(article, overlay) {
+    const state = overlay && overlay.get(String(article._id));
+    if (!state) return article;
+
+    return {
+      ...article,
+      classification: state.classification,
+      isDuplicate: state.classification === 'duplicate',
+      originalArticleId: state.classification === 'duplicate' ? state.originalArticleId : null,
+      updateOf: state.classification === 'update' ? state.originalArticleId : null
+    };
+  }
+
+  async clearDecision(article) {
+    // Manual links survive; everything else is recomputed
+    await this.dbManager.deleteDuplicates({
+      duplicateArticleId: article._id,
+      detectionMethod: { $ne: 'manual' }
+    });
+
+    await this.dbManager.updateArticle(
+      { _id: article._id },
+      {
+        isDuplicate: false,
+        originalArticleId: null,
+        classification: null,
+        updateOf: null,
+        newFacts: null
+      }
+    );
+
+    // Rejoins a group through its matches (or alone) when replayed
+    await this.engine.leaveStoryGroup(article);
+  }
+
+  async recordChange(run, article, before, after, overlay) {
+    const unchanged = before.classification === after.classification &&
+      String(before.originalArticleId) === String(after.originalArticleId);
+    if (unchanged) return;
+
+    const existing = overlay && overlay.get(String(article._id));
+
+    if (overlay) {
+      overlay.set(String(article._id), {
+        ...after,
+        articleId: article._id,
+        title: article.title,
+        publishedAt: article.publishedAt
+      });
+    }
+
+    // Repeat changes to the same article keep its first "before"
+    if (!existing) {
+      run.changed++;
+      const transition = `${before.classification || 'unprocessed'}->${after.classification}`;
+      run.transitions[transition] = (run.transitions[transition] || 0) + 1;
+    }
+
+    await this.dbManager.upsertBackfillChange({
+      runId: run._id,
+      articleId: article._id,
+      title: article.title,
+      publishedAt: article.publishedAt,
+      before,
+      after
+    });
+  }
+
+  async loadOverlay(run) {
+    const overlay = new Map();
+    const changes = await this.dbManager.findBackfillChanges({ runId: run._id });
+
+    for (const change of changes) {
+      overlay.set(String(change.articleId), {
+        ...change.after,
+        articleId: change.articleId,
+        title: change.title,
+        publishedAt: change.publishedAt
+      });
+    }
+
+    return overlay;
+  }
+
+  async saveProgress(run) {
+    await this.dbManager.updateBackfillRun(run._id, {
+      status: run.status,
+      checkpoint: run.checkpoint,
+      processed: run.processed,
+      changed: run.changed,
+      skipped: run.skipped,
+      transitions: run.transitions,
+      finishedAt: run.finishedAt || null
+    });
+  }
+
+  async getRun(runId, { changeLimit = 100 } = {}) {
+    const run = await this.dbManager.findBackfillRun({ _id: runId });
+    if (!run) return null;
+
+    const changes = await this.dbManager.findBackfillChanges(
+      { runId },
+      { sort: { publishedAt: 1 }, limit: changeLimit }
+    );
+
+    return { ...run, isActive: Boolean(this.activeRun && String(this.activeRun._id) === String(runId)), changes };
+  }
+
+  async stop() {
+    // The current article finishes and the checkpoint is saved
+    this.stopRequested = true;
+    if (this.completion) {
+      await this.completion;
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = DeduplicationBackfill;
@@ -1,4 +1,4 @@
-// src/services/DeduplicationEngine.js - Fixed TF-IDF implementation
+// src/services/DeduplicationEngine.js - Multi-layered duplicate detection
 
 const EventEmitter = require('events');
 const natural = require('natural');
@@ -12,101 +12,28 @@ const config = require('../config/config');
 const LLMAnalyzer = require('../utils/LLMAnalyzer');
 const VectorSimilarity = require('../utils/VectorSimilarity');
 const ClusteringEngine = require('../utils/ClusteringEngine');
+const MinHashLSH = require('../utils/MinHashLSH');
+const SimHash = require('../utils/SimHash');
+const CorpusTfIdf = require('../utils/CorpusTfIdf');
+const ScoringProfileStore = require('../utils/ScoringProfileStore');
+const CanonicalSelector = require('../utils/CanonicalSelector');
+const LanguageAnalyzer = require('../utils/LanguageAnalyzer');
+const TitleCanonicalizer = require('../utils/TitleCanonicalizer');
+const SignalRegistry = require('../utils/SignalRegistry');
+const UrlCanonicalizer = require('../utils/UrlCanonicalizer');
 
-// Fixed TF-IDF implementation
-class SimpleTfIdf {
-  constructor() {
-    this.documents = [];
-    this.vocabulary = new Set();
-    this.documentFrequencies = new Map();
-  }
-
-  addDocument(document) {
-    if (!document || typeof document !== 'string') {
-      return;
-    }
-    
-    const words = this.tokenize(document);
-    this.documents.push(words);
-    
-    // Update vocabulary and document frequencies
-    const uniqueWords = new Set(words);
-    uniqueWords.forEach(word => {
-      this.vocabulary.add(word);
-      this.documentFrequencies.set(word, (this.documentFrequencies.get(word) || 0) + 1);
-    });
-  }
-
-  tokenize(text) {
-    if (!text || typeof text !== 'string') return [];
-    
-    return text.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 2 && word.length < 20)
-      .slice(0, 1000); // Limit words to prevent memory issues
-  }
-
-  tf(term, document) {
-    if (!document || document.length === 0) return 0;
-    const termCount = document.filter(word => word === term).length;
-    return termCount / document.length;
-  }
-
-  idf(term) {
-    const docsWithTerm = this.documentFrequencies.get(term) || 0;
-    if (docsWithTerm === 0) return 0;
-    return Math.log(this.documents.length / docsWithTerm);
-  }
-
-  tfidf(term, docIndex) {
-    if (docIndex >= this.documents.length || docIndex < 0) return 0;
-    const document = this.documents[docIndex];
-    if (!document) return 0;
-    
-    return this.tf(term, document) * this.idf(term);
-  }
-
-  getVector(docIndex) {
-    if (docIndex >= this.documents.length || docIndex < 0) return [];
-    
-    const vector = [];
-    const vocab = Array.from(this.vocabulary).slice(0, 500); // Limit vocabulary size
-    
-    for (const term of vocab) {
-      vector.push(this.tfidf(term, docIndex));
-    }
-    
-    return vector;
-  }
-
-  // Calculate cosine similarity between two document vectors
-  calculateSimilarity(docIndex1, docIndex2) {
-    const vector1 = this.getVector(docIndex1);
-    const vector2 = this.getVector(docIndex2);
-    
-    if (vector1.length === 0 || vector2.length === 0) return 0;
-    
-    return this.cosineSimilarity(vector1, vector2);
-  }
-
-  cosineSimilarity(vectorA, vectorB) {
-    if (!vectorA || !vectorB || vectorA.length !== vectorB.length) return 0;
-    
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < vectorA.length; i++) {
-      dotProduct += vectorA[i] * vectorB[i];
-      normA += vectorA[i] * vectorA[i];
-      normB += vectorB[i] * vectorB[i];
-    }
-    
-    const magnitude = Math.sqrt(normA) * Math.sqrt(normB);
-    return magnitude === 0 ? 0 : dotProduct / magnitude;
-  }
-}
+const QUEUE_JOB_TYPE = 'deduplication';
+const PRIORITY_VALUES = { high: 3, medium: 2, low: 1 };
+const NAME_ENTITY_TYPES = ['PERSON', 'ORGANIZATION', 'COMPANY'];
+// Reported when no thresholded signal stands out
+const DEFAULT_METHOD = 'content_similarity';
+const FEED_SCOPE_TTL_MS = 60 * 1000;
+// Unprocessed articles read per query during startup recovery
+const RECOVERY_BATCH_SIZE = 500;
+// Articles read per query while seeding the LSH index; the seed covers the
+// longest feed time window, which is also the lsh_index TTL
+const LSH_SEED_BATCH_SIZE = 500;
+const LSH_SEED_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
 
 class DeduplicationEngine extends EventEmitter {
   constructor() {
@@ -115,99 +42,318 @@ class DeduplicationEngine extends EventEmitter {
     this.llmAnalyzer = new LLMAnalyzer();
     this.vectorSimilarity = new VectorSimilarity();
     this.clusteringEngine = new ClusteringEngine();
+    this.minHash = new MinHashLSH(config.deduplication.lsh);
+    this.simHash = new SimHash(config.deduplication.simhash);
+    this.languageAnalyzer = new LanguageAnalyzer();
+    this.titleCanonicalizer = new TitleCanonicalizer();
+    this.urlCanonicalizer = new UrlCanonicalizer();
+    this.tfidf = new CorpusTfIdf({
+      ...config.deduplication.tfidf,
+      stopWords: config.deduplication.stopWords,
+      languageAnalyzer: this.languageAnalyzer
+    });
+    this.corpusPruneInterval = null;
+    this.signatureCache = new WeakMap();
+    this.canonicalSelector = new CanonicalSelector(config.deduplication.canonical);
     
-    this.processingQueue = [];
     this.isProcessing = false;
+    this.queueInterval = null;
+    this.queueCounts = {};
     
     // Statistics
     this.stats = {
       articlesProcessed: 0,
       duplicatesDetected: 0,
+      updatesDetected: 0,
+      crossLanguageDuplicates: 0,
+      canonicalRepoints: 0,
+      storyGroupMerges: 0,
+      outOfScopeArticles: 0,
+      simhashMatches: 0,
+      feedbackApplied: 0,
+      manualOverrides: 0,
       uniqueArticles: 0,
       averageProcessingTime: 0,
       lastProcessedAt: null,
-      errors: 0
+      errors: 0,
+      deadLettered: 0,
+      llmValidations: 0,
+      llmCacheHits: 0,
+      llmBudgetExhausted: 0,
+      llmFailures: 0,
+      llmOverrides: 0,
+      // Work the cost-ordered cascade saved (see calculateComponentScores)
+      cascade: {
+        pairsScored: 0,
+        earlyExits: 0,
+        skippedSignals: {},
+        embeddingCallsSkipped: 0,
+        llmValidationsSkipped: 0,
+        timeSavedMs: 0
+      }
+    };
+    
+    // Running average cost of each signal, to estimate the time early exits save
+    this.signalTimings = new Map(); // name -> { count, averageMs }
+    
+    // LSH candidate lookup statistics
+    this.lshStats = {
+      lookups: 0,
+      fallbacks: 0,
+      totalLatencyMs: 0,
+      lastLatencyMs: 0,
+      totalCandidates: 0,
+      recallSamples: 0,
+      relevantPairs: 0,
+      foundPairs: 0
     };
     
+    // Until stored articles are indexed, LSH lookups also take metadata candidates
+    this.lshCold = true;
+    this.lshSeeding = null;
+    
+    // LLM validation budget tracking and pair-level result cache
+    this.llmCallHistory = [];
+    this.llmValidationCache = new Map();
+    this.maxLlmCacheSize = 1000;
+    
     // Time window for clustering (in milliseconds)
     this.timeWindow = config.deduplication.timeWindowHours * 60 * 60 * 1000;
     
-    // Similarity thresholds for different methods
+    // Per-feed deduplication scope, reloaded from the feeds collection
+    this.feedScopes = null;
+    this.feedScopesLoadedAt = 0;
+    
+    // Similarity signals, their weights and thresholds (see configureSignals)
+    this.signalRegistry = new SignalRegistry();
+    this.configureSignals();
+    
+    // Set when a tuned profile replaces the default weights and thresholds
+    this.scoringProfile = null;
+  }
+
+  // Plugins add their signals before initialize(), so a scoring profile still applies on top
+  registerSignal(signal) {
+    this.signalRegistry.register(signal);
+    this.configureSignals();
+  }
+
+  // Active signals, weights and thresholds: the signals' defaults with the
+  // config overrides (SIMILARITY_SIGNALS, SIMILARITY_SIGNAL_WEIGHTS/_THRESHOLDS).
+  // Names of plugin signals not registered yet are ignored until they are;
+  // disabled signals (simhash when turned off) are never scored
+  configureSignals() {
+    const settings = config.deduplication.signals;
+    const active = settings.active && settings.active.filter(name => this.signalRegistry.get(name));
+    
+    this.signals = this.signalRegistry.list(active).filter(signal => signal.enabled !== false);
+    this.activeSignalNames = new Set(this.signals.map(signal => signal.name));
+    
+    // Thresholds of every registered signal, so any method can still be looked up
     this.thresholds = {
-      contentHash: 1.0,
-      titleSimilarity: 0.9,
-      contentSimilarity: config.deduplication.similarityThreshold,
-      entitySimilarity: 0.8,
-      semanticSimilarity: config.deduplication.similarityThreshold,
-      llmValidation: 0.85
+      ...Object.fromEntries(this.signalRegistry.list()
+        .filter(signal => signal.threshold !== undefined)
+        .map(signal => [signal.name, signal.threshold])),
+      llmValidation: 0.85,
+      crossLanguage: config.deduplication.crossLanguage.threshold,
+      ...settings.thresholds
     };
+    
+    // Weights for the overall score. The built-in defaults sum to 1.5 and the
+    // thresholds were set against them; a tuned scoring profile replaces both
+    this.weights = this.activeWeights({
+      ...Object.fromEntries(this.signals.map(signal => [signal.name, signal.weight])),
+      ...settings.weights
+    });
+    
+    // Pairs in different languages are scored on language-agnostic signals instead
+    this.crossLanguageWeights = this.activeWeights({ ...config.deduplication.crossLanguage.weights });
+    
+    // Detection methods: fingerprints decide outright, the rest by priority
+    this.fingerprintSignals = this.signals.filter(signal => signal.fingerprint);
+    this.methodSignals = this.signals
+      .filter(signal => signal.method && !signal.fingerprint)
+      .sort((a, b) => a.methodPriority - b.methodPriority);
+    this.methodThresholdNames = new Map(this.signalRegistry.list()
+      .filter(signal => signal.method)
+      .map(signal => [signal.method, signal.name]));
+  }
+
+  // Only active signals with a weight count towards the overall score
+  activeWeights(weights) {
+    return Object.fromEntries(Object.entries(weights).filter(([name, weight]) =>
+      weight > 0 && this.activeSignalNames.has(name)
+    ));
+  }
+
+  // By initialize() every plugin has registered, so a name still unknown is a typo
+  validateSignalSettings() {
+    const settings = config.deduplication.signals;
+    const names = [
+      ...(settings.active || []),
+      ...Object.keys(settings.weights),
+      ...Object.keys(settings.thresholds)
+    ];
+    const unknown = [...new Set(names.filter(name => !this.signalRegistry.get(name)))];
+    
+    if (unknown.length > 0) {
+      throw new Error(`Unknown similarity signals in config: ${unknown.join(', ')}`);
+    }
   }
 
   async initialize(dbManager) {
+    this.validateSignalSettings();
     this.dbManager = dbManager;
     await this.llmAnalyzer.initialize();
     await this.vectorSimilarity.initialize();
     await this.clusteringEngine.initialize();
+    await this.loadScoringProfile();
+    await this.loadCorpusModel();
+    
+    // Runs in the background; lookups stay cold until it finishes
+    this.lshSeeding = this.seedLshIndex();
     
     logger.info('🔍 Deduplication engine initialized');
   }
 
+  async loadScoringProfile() {
+    const settings = config.deduplication.scoringProfile;
+    if (!settings.name) return;
+    
+    try {
+      const store = new ScoringProfileStore(settings.directory);
+      const profile = await store.load(settings.name);
+      this.applyScoringProfile(profile);
+      
+      logger.info(`🎚️  Scoring profile loaded: ${profile.name} v${profile.version}`);
+    } catch (error) {
+      // Keep the default weights rather than refusing to start
+      logger.error(`❌ Failed to load scoring profile "${settings.name}": ${error.message}`);
+    }
+  }
+
+  applyScoringProfile(profile) {
+    // Signals the profile does not know (plugins) keep their weights
+    this.weights = this.activeWeights({ ...this.weights, ...profile.weights });
+    this.thresholds = { ...this.thresholds, ...profile.thresholds };
+    this.scoringProfile = {
+      name: profile.name,
+      version: profile.version,
+      createdAt: profile.createdAt,
+      file: profile.file
+    };
+  }
+
   async startProcessing() {
+    // Re-queue anything that was inserted but never checked before a restart
+    await this.recoverUnprocessedArticles();
+    
     // Start processing queue worker
-    setInterval(() => {
-      if (!this.isProcessing && this.processingQueue.length > 0) {
+    this.queueInterval = setInterval(() => {
+      if (!this.isProcessing) {
         this.processQueue();
       }
-    }, 1000);
+    }, config.deduplication.queue.pollIntervalMs);
+    
+    // Roll old documents out of the TF-IDF corpus
+    this.corpusPruneInterval = setInterval(() => {
+      this.pruneCorpus();
+    }, config.deduplication.tfidf.pruneIntervalMs);
     
     logger.info('🚀 Deduplication processing started');
   }
 
   async processArticle(article) {
-    // Add to processing queue
-    this.processingQueue.push({
-      article,
-      timestamp: Date.now(),
-      retryCount: 0
-    });
-    
-    logger.debug(`📥 Article queued for deduplication: ${article.title}`);
+    try {
+      // Add to the durable processing queue
+      await this.dbManager.enqueueJob({
+        type: QUEUE_JOB_TYPE,
+        articleId: article._id,
+        priority: PRIORITY_VALUES[article.priority] || PRIORITY_VALUES.medium
+      });
+      
+      logger.debug(`📥 Article queued for deduplication: ${article.title}`);
+      
+    } catch (error) {
+      // The article stays processed:false and is recovered on next startup
+      logger.error(`❌ Failed to queue article ${article._id}:`, error.message);
+      this.stats.errors++;
+    }
+  }
+
+  async recoverUnprocessedArticles() {
+    try {
+      let recovered = 0;
+      let lastId = null;
+      
+      // Paged by _id so a large backlog is never loaded at once
+      for (;;) {
+        const batch = await this.dbManager.findArticles(
+          lastId ? { processed: false, _id: { $gt: lastId } } : { processed: false },
+          { projection: { _id: 1, priority: 1 }, sort: { _id: 1 }, limit: RECOVERY_BATCH_SIZE }
+        );
+        if (batch.length === 0) break;
+        
+        for (const article of batch) {
+          const result = await this.dbManager.enqueueJob({
+            type: QUEUE_JOB_TYPE,
+            articleId: article._id,
+            priority: PRIORITY_VALUES[article.priority] || PRIORITY_VALUES.medium
+          });
+          // Articles that already have a job (or a dead-lettered one) are left as they are
+          recovered += result.upsertedCount || 0;
+        }
+        
+        if (batch.length < RECOVERY_BATCH_SIZE) break;
+        lastId = batch[batch.length - 1]._id;
+      }
+      
+      if (recovered > 0) {
+        logger.info(`♻️  Recovered ${recovered} unprocessed articles into the deduplication queue`);
+      }
+      
+    } catch (error) {
+      logger.error('❌ Failed to recover unprocessed articles:', error);
+    }
   }
 
   async processQueue() {
-    if (this.processingQueue.length === 0) return;
-    
     this.isProcessing = true;
     const startTime = Date.now();
+    const queueSettings = config.deduplication.queue;
     
     try {
-      const batchSize = Math.min(config.performance.batchSize, this.processingQueue.length);
-      const batch = this.processingQueue.splice(0, batchSize);
-      
-      logger.info(`🔄 Processing deduplication batch of ${batch.length} articles`);
-      
-      for (const item of batch) {
-        try {
-          await this.performDeduplication(item.article);
-          this.stats.articlesProcessed++;
-        } catch (error) {
-          logger.error(`❌ Failed to process article ${item.article._id}:`, error);
-          this.stats.errors++;
-          
-          // Retry logic
-          if (item.retryCount < 3) {
-            item.retryCount++;
-            this.processingQueue.push(item);
-          }
-        }
+      // Return jobs from crashed or stuck workers to the queue
+      const { released, deadLettered } = await this.dbManager.releaseExpiredJobs(
+        QUEUE_JOB_TYPE,
+        queueSettings.maxAttempts
+      );
+      if (released > 0 || deadLettered > 0) {
+        logger.warn(`⚠️  Expired queue leases: ${released} released, ${deadLettered} dead-lettered`);
       }
       
-      const duration = Date.now() - startTime;
-      this.stats.averageProcessingTime = 
-        (this.stats.averageProcessingTime + duration) / 2;
-      this.stats.lastProcessedAt = new Date();
+      const batch = await this.dbManager.claimJobs(
+        QUEUE_JOB_TYPE,
+        config.performance.batchSize,
+        queueSettings.leaseTimeoutMs
+      );
+      
+      if (batch.length > 0) {
+        logger.info(`🔄 Processing deduplication batch of ${batch.length} articles`);
+        
+        for (const job of batch) {
+          await this.processJob(job);
+        }
+        
+        const duration = Date.now() - startTime;
+        this.stats.averageProcessingTime = 
+          (this.stats.averageProcessingTime + duration) / 2;
+        this.stats.lastProcessedAt = new Date();
+        
+        logger.info(`✅ Processed batch in ${duration}ms`);
+      }
       
-      logger.info(`✅ Processed batch in ${duration}ms`);
+      this.queueCounts = await this.dbManager.countJobsByStatus(QUEUE_JOB_TYPE);
       
     } catch (error) {
       logger.error('❌ Batch processing failed:', error);
@@ -217,14 +363,56 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
+  async processJob(job) {
+    try {
+      const article = await this.dbManager.findArticle({ _id: job.articleId });
+      
+      if (!article) {
+        // Article expired or was removed while queued
+        await this.dbManager.completeJob(job._id, { skipped: 'article_not_found' });
+        return;
+      }
+      
+      await this.performDeduplication(article);
+      await this.dbManager.completeJob(job._id);
+      this.stats.articlesProcessed++;
+      
+    } catch (error) {
+      logger.error(`❌ Failed to process article ${job.articleId}:`, error);
+      this.stats.errors++;
+      
+      const status = await this.dbManager.failJob(job, error, {
+        maxAttempts: config.deduplication.queue.maxAttempts,
+        baseDelayMs: config.deduplication.queue.baseRetryDelayMs
+      });
+      
+      if (status === 'dead_letter') {
+        this.stats.deadLettered++;
+        logger.error(`💀 Article ${job.articleId} moved to dead letter after ${job.attempts} attempts`);
+      }
+    }
+  }
+
   async performDeduplication(article) {
     const startTime = Date.now();
     
     try {
       logger.debug(`🔍 Analyzing article for duplicates: ${article.title}`);
       
+      // Feeds with dedupScope "none" keep every article
+      const scope = await this.getDedupScope(article);
+      if (scope.scope === 'none') {
+        await this.markAsUnique(article);
+        this.stats.outOfScopeArticles++;
+        return;
+      }
+      
       // Step 1: Get candidate articles within time window
-      const candidates = await this.getCandidateArticles(article);
+      const candidates = await this.getCandidateArticles(article, { scope });
+      
+      // Make the article findable by later arrivals
+      await this.indexArticle(article);
+      await this.addToCorpus(article);
       
       if (candidates.length === 0) {
         await this.markAsUnique(article);
@@ -234,14 +422,19 @@ class DeduplicationEngine extends EventEmitter {
       logger.debug(`📋 Found ${candidates.length} candidate articles for comparison`);
       
       // Step 2: Multi-layered similarity analysis
-      const similarities = await this.analyzeSimilarities(article, candidates);
+      // (the feed's own threshold also sets where scoring may stop early)
+      const similarities = await this.analyzeSimilarities(article, candidates, { scope });
       
       // Step 3: Identify duplicates using combined scoring
-      const duplicates = this.identifyDuplicates(similarities);
+      const duplicates = this.identifyDuplicates(similarities, scope);
       
       if (duplicates.length > 0) {
-        await this.processDuplicates(article, duplicates);
-        this.stats.duplicatesDetected++;
+        const classification = await this.processDuplicates(article, duplicates);
+        if (classification === 'update') {
+          this.stats.updatesDetected++;
+        } else {
+          this.stats.duplicatesDetected++;
+        }
       } else {
         await this.markAsUnique(article);
         this.stats.uniqueArticles++;
@@ -260,13 +453,419 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
-  async getCandidateArticles(article) {
-    const timeThreshold = new Date(Date.now() - this.timeWindow);
+  async getCandidateArticles(article, options = {}) {
+    const scope = options.scope || await this.getDedupScope(article);
+    if (scope.scope === 'none') return [];
+    
+    options = { ...options, scope, poolQuery: await this.getPoolQuery(article, scope) };
+    let candidates = null;
+    
+    if (config.deduplication.lsh.enabled) {
+      try {
+        candidates = await this.getLshCandidates(article, options);
+      } catch (error) {
+        this.lshStats.fallbacks++;
+        logger.warn('⚠️  LSH candidate lookup failed, falling back to metadata query:', error.message);
+      }
+    }
+    
+    if (!candidates) {
+      candidates = await this.getMetadataCandidates(article, options);
+    } else if (options.replay || this.lshCold) {
+      // LSH entries expire after a week, so replays of older articles also use
+      // metadata, as does everything until the index is seeded
+      const lshIds = new Set(candidates.map(c => String(c._id)));
+      const metadata = await this.getMetadataCandidates(article, options);
+      candidates = [...candidates, ...metadata.filter(c => !lshIds.has(String(c._id)))];
+    }
+    
+    // SimHash near-duplicates are always compared, whatever the strategy returned
+    const simhashMatches = await this.getSimhashCandidates(article, options);
+    const seen = new Set(simhashMatches.map(c => String(c._id)));
+    const merged = [
+      ...simhashMatches,
+      ...candidates.filter(c => !seen.has(String(c._id)))
+    ];
+    merged.forEach(c => seen.add(String(c._id)));
+    
+    // Shingles never overlap across languages, so translations come in by shared names
+    const translations = await this.getCrossLanguageCandidates(article, options);
+    
+    const all = [
+      ...merged,
+      ...translations.filter(c => !seen.has(String(c._id)))
+    ];
+    
+    // The candidate's own feed must also accept the pairing
+    const feedScopes = await this.getFeedScopes();
+    return all.filter(candidate =>
+      this.sharesPool(article, scope, candidate, feedScopes.get(candidate.sourceId) || this.defaultScope())
+    );
+  }
+
+  defaultScope() {
+    return { scope: 'global', tenant: null, timeWindowMs: null, threshold: null };
+  }
+
+  async getFeedScopes() {
+    if (!this.feedScopes || Date.now() - this.feedScopesLoadedAt > FEED_SCOPE_TTL_MS) {
+      const feeds = await this.dbManager.findFeeds({});
+      
+      this.feedScopes = new Map(feeds.map(feed => [feed.id, {
+        feedId: feed.id,
+        category: feed.category,
+        scope: feed.dedupScope || 'global',
+        tenant: feed.tenant || null,
+        timeWindowMs: feed.dedupTimeWindowHours ? feed.dedupTimeWindowHours * 60 * 60 * 1000 : null,
+        threshold: typeof feed.dedupThreshold === 'number' ? feed.dedupThreshold : null
+      }]));
+      this.feedScopesLoadedAt = Date.now();
+    }
+    
+    return this.feedScopes;
+  }
+
+  // Feed settings changed (PUT /api/news/feeds/:id); reload on next use
+  invalidateFeedScopes() {
+    this.feedScopes = null;
+  }
+
+  async getDedupScope(article) {
+    const feedScopes = await this.getFeedScopes();
+    return feedScopes.get(article.sourceId) || this.defaultScope();
+  }
+
+  // Narrows candidate queries to the article's pool; sharesPool has the final say
+  async getPoolQuery(article, scope) {
+    if (scope.scope === 'feed') return { sourceId: article.sourceId };
+    
+    const feedScopes = await this.getFeedScopes();
+    const excluded = [...feedScopes.values()]
+      .filter(other => other.feedId !== article.sourceId &&
+        (other.tenant !== scope.tenant || other.scope === 'none' || other.scope === 'feed'))
+      .map(other => other.feedId);
+    
+    const query = excluded.length > 0 ? { sourceId: { $nin: excluded } } : {};
+    if (scope.scope === 'category') query.category = article.category;
+    return query;
+  }
+
+  sharesPool(article, scope, candidate, candidateScope) {
+    if (scope.tenant !== candidateScope.tenant) return false;
+    
+    return [[scope, article, candidate], [candidateScope, candidate, article]].every(([own, self, other]) => {
+      switch (own.scope) {
+        case 'none':
+          return false;
+        case 'feed':
+          return self.sourceId === other.sourceId;
+        case 'category':
+          return self.category === other.category;
+        case 'global':
+        default:
+          return true;
+      }
+    });
+  }
+
+  // Live lookups look back from now; a replay looks back from the article itself
+  getCandidateWindow(article, options = {}) {
+    const timeWindow = (options.scope && options.scope.timeWindowMs) || this.timeWindow;
+    
+    if (options.replay) {
+      const publishedAt = new Date(article.publishedAt);
+      return { $gte: new Date(publishedAt.getTime() - timeWindow), $lte: publishedAt };
+    }
+    return { $gte: new Date(Date.now() - timeWindow) };
+  }
+
+  async getCrossLanguageCandidates(article, options = {}) {
+    const settings = config.deduplication.crossLanguage;
+    if (!settings.enabled) return [];
+    
+    const names = (article.entities || [])
+      .filter(entity => NAME_ENTITY_TYPES.includes(entity.type))
+      .map(entity => entity.name);
+    if (names.length === 0) return [];
+    
+    const language = this.languageAnalyzer.languageOf(article);
+    
+    try {
+      return await this.dbManager.findArticles(
+        {
+          _id: { $ne: article._id },
+          ...options.poolQuery,
+          language: { $in: LanguageAnalyzer.LANGUAGES.filter(other => other !== language) },
+          publishedAt: this.getCandidateWindow(article, options),
+          'entities.name': { $in: names }
+        },
+        { sort: { publishedAt: -1 }, limit: settings.maxCandidates }
+      );
+    } catch (error) {
+      logger.warn('⚠️  Cross-language candidate lookup failed:', error.message);
+      return [];
+    }
+  }
+
+  async getSimhashCandidates(article, options = {}) {
+    if (!config.deduplication.simhash.enabled) return [];
+    
+    const fingerprint = this.getSimHash(article);
+    if (!fingerprint) return [];
+    
+    try {
+      // Block index narrows the scan, Hamming distance confirms
+      const matches = await this.dbManager.findArticles(
+        {
+          ...options.poolQuery,
+          _id: { $ne: article._id },
+          simhashBlocks: { $in: this.simHash.getBlocks(fingerprint) },
+          publishedAt: this.getCandidateWindow(article, options)
+        },
+        { sort: { publishedAt: -1 }, limit: 200 }
+      );
+      
+      return matches.filter(candidate =>
+        this.simHash.isNearDuplicate(fingerprint, candidate.simhash)
+      );
+      
+    } catch (error) {
+      logger.warn('⚠️  SimHash candidate lookup failed:', error.message);
+      return [];
+    }
+  }
+
+  async loadCorpusModel() {
+    try {
+      const [termFrequencies, documentCount] = await Promise.all([
+        this.dbManager.loadTermFrequencies(),
+        this.dbManager.countTfIdfDocuments()
+      ]);
+      
+      this.tfidf.load(termFrequencies, documentCount);
+      logger.info(`📚 TF-IDF corpus loaded: ${documentCount} documents, ${termFrequencies.length} terms`);
+      
+    } catch (error) {
+      logger.warn('⚠️  Failed to load TF-IDF corpus, starting empty:', error.message);
+    }
+  }
+
+  async addToCorpus(article) {
+    try {
+      const language = this.languageAnalyzer.languageOf(article);
+      const terms = [...new Set(this.tfidf.tokenize(article.content || article.summary || '', language))];
+      if (terms.length === 0) return;
+      
+      const isNew = await this.dbManager.insertTfIdfDocument({
+        articleId: article._id,
+        terms,
+        publishedAt: new Date(article.publishedAt)
+      });
+      
+      // Retried jobs must not count the same article twice
+      if (isNew) {
+        this.tfidf.addDocument(article.content || article.summary || '', language);
+        await this.dbManager.updateTermFrequencies(terms.map(term => [term, 1]));
+      }
+    } catch (error) {
+      logger.warn('⚠️  Failed to add article to TF-IDF corpus:', error.message);
+    }
+  }
+
+  async pruneCorpus() {
+    try {
+      const cutoff = new Date(Date.now() - await this.getCorpusWindowMs());
+      const expired = await this.dbManager.findTfIdfDocuments(
+        { publishedAt: { $lt: cutoff } },
+        { projection: { terms: 1 } }
+      );
+      
+      if (expired.length === 0) return;
+      
+      // Aggregate term decrements so each term is written once
+      const decrements = new Map();
+      for (const document of expired) {
+        for (const term of document.terms) {
+          decrements.set(term, (decrements.get(term) || 0) - 1);
+        }
+      }
+      await this.dbManager.updateTermFrequencies(decrements);
+      
+      await this.dbManager.deleteTfIdfDocuments({ _id: { $in: expired.map(d => d._id) } });
+      
+      // Reload so every instance converges on the persisted counts
+      await this.loadCorpusModel();
+      logger.debug(`🧹 Pruned ${expired.length} documents from the TF-IDF corpus`);
+      
+    } catch (error) {
+      logger.warn('⚠️  TF-IDF corpus pruning failed:', error.message);
+    }
+  }
+
+  // Corpus documents stay as long as any feed's time window can still reach them
+  async getCorpusWindowMs() {
+    const feedScopes = await this.getFeedScopes();
+    return Math.max(this.timeWindow, ...[...feedScopes.values()].map(scope => scope.timeWindowMs || 0));
+  }
+
+  getSimHash(article) {
+    if (article.simhash) return article.simhash;
+    return this.simHash.compute(`${article.title || ''} ${article.content || article.summary || ''}`);
+  }
+
+  async getLshCandidates(article, options = {}) {
+    const startTime = Date.now();
+    const settings = config.deduplication.lsh;
+    
+    const signature = this.getMinHashSignature(article);
+    if (!signature) return [];
+    
+    // Any shared band bucket makes an article a candidate, across all sources
+    const entries = await this.dbManager.findLshEntries(
+      {
+        articleId: { $ne: article._id },
+        buckets: { $in: this.minHash.getBuckets(signature) },
+        publishedAt: this.getCandidateWindow(article, options)
+      },
+      { projection: { articleId: 1, signature: 1 } }
+    );
     
+    // Keep the closest matches by estimated Jaccard similarity
+    const ranked = entries
+      .map(entry => ({
+        articleId: entry.articleId,
+        estimate: this.minHash.estimateSimilarity(signature, entry.signature)
+      }))
+      .sort((a, b) => b.estimate - a.estimate)
+      .slice(0, settings.maxCandidates);
+    
+    const candidates = ranked.length > 0
+      ? await this.dbManager.findArticles({ ...options.poolQuery, _id: { $in: ranked.map(r => r.articleId) } })
+      : [];
+    
+    const duration = Date.now() - startTime;
+    this.lshStats.lookups++;
+    this.lshStats.totalLatencyMs += duration;
+    this.lshStats.lastLatencyMs = duration;
+    this.lshStats.totalCandidates += candidates.length;
+    
+    if (!options.replay && Math.random() < settings.recallSampleRate) {
+      await this.sampleLshRecall(article, signature, new Set(ranked.map(r => String(r.articleId))));
+    }
+    
+    return candidates;
+  }
+
+  async sampleLshRecall(article, signature, returnedIds) {
+    try {
+      // Brute-force scan of the window to see which near-duplicates LSH missed
+      const entries = await this.dbManager.findLshEntries(
+        {
+          articleId: { $ne: article._id },
+          publishedAt: { $gte: new Date(Date.now() - this.timeWindow) }
+        },
+        { projection: { articleId: 1, signature: 1 }, sort: { publishedAt: -1 }, limit: 1000 }
+      );
+      
+      const relevant = entries.filter(entry =>
+        this.minHash.estimateSimilarity(signature, entry.signature) >=
+          config.deduplication.lsh.similarityThreshold
+      );
+      
+      this.lshStats.recallSamples++;
+      this.lshStats.relevantPairs += relevant.length;
+      this.lshStats.foundPairs += relevant.filter(entry =>
+        returnedIds.has(String(entry.articleId))
+      ).length;
+      
+    } catch (error) {
+      logger.warn('⚠️  LSH recall sampling failed:', error.message);
+    }
+  }
+
+  async indexArticle(article) {
+    if (!config.deduplication.lsh.enabled) return;
+    
+    try {
+      const signature = this.getMinHashSignature(article);
+      if (!signature) return;
+      
+      await this.dbManager.upsertLshEntry({
+        articleId: article._id,
+        signature,
+        buckets: this.minHash.getBuckets(signature),
+        source: article.source,
+        publishedAt: new Date(article.publishedAt)
+      });
+    } catch (error) {
+      logger.warn('⚠️  Failed to index article in LSH:', error.message);
+    }
+  }
+
+  // Index in-window articles stored before LSH was enabled (or while it was
+  // off), so candidate lookups do not miss them
+  async seedLshIndex() {
+    if (!config.deduplication.lsh.enabled) return;
+    
+    const startTime = Date.now();
+    const since = new Date(startTime - LSH_SEED_WINDOW_MS);
+    let seeded = 0;
+    let lastId = null;
+    
+    try {
+      for (;;) {
+        const batch = await this.dbManager.findArticles(
+          lastId ? { publishedAt: { $gte: since }, _id: { $gt: lastId } } : { publishedAt: { $gte: since } },
+          {
+            projection: { _id: 1, title: 1, content: 1, summary: 1, source: 1, publishedAt: 1 },
+            sort: { _id: 1 },
+            limit: LSH_SEED_BATCH_SIZE
+          }
+        );
+        if (batch.length === 0) break;
+        
+        const entries = await this.dbManager.findLshEntries(
+          { articleId: { $in: batch.map(article => article._id) } },
+          { projection: { articleId: 1 } }
+        );
+        const indexed = new Set(entries.map(entry => String(entry.articleId)));
+        
+        for (const article of batch) {
+          if (indexed.has(String(article._id))) continue;
+          await this.indexArticle(article);
+          seeded++;
+        }
+        
+        if (batch.length < LSH_SEED_BATCH_SIZE) break;
+        lastId = batch[batch.length - 1]._id;
+      }
+      
+      this.lshCold = false;
+      if (seeded > 0) {
+        logger.info(`🗂️  LSH index seeded with ${seeded} articles in ${Date.now() - startTime}ms`);
+      }
+      
+    } catch (error) {
+      // Lookups keep taking metadata candidates as well
+      logger.warn('⚠️  Failed to seed LSH index:', error.message);
+    }
+  }
+
+  getMinHashSignature(article) {
+    if (!this.signatureCache.has(article)) {
+      const text = `${article.title || ''} ${article.content || article.summary || ''}`;
+      this.signatureCache.set(article, this.minHash.computeSignature(text));
+    }
+    
+    return this.signatureCache.get(article);
+  }
+
+  async getMetadataCandidates(article, options = {}) {
     // Build query to find potential duplicates
     const query = {
+      ...options.poolQuery,
       _id: { $ne: article._id },
-      publishedAt: { $gte: timeThreshold },
+      publishedAt: this.getCandidateWindow(article, options),
       $or: [
         // Same source (different timing)
         { source: article.source },
@@ -287,12 +886,44 @@ class DeduplicationEngine extends EventEmitter {
     return candidates;
   }
 
-  async analyzeSimilarities(article, candidates) {
+  // options.dryRun: nothing is stored or counted (backfill dry runs)
+  async analyzeSimilarities(article, candidates, options = {}) {
     const similarities = [];
+    const feedback = await this.getFeedbackForArticle(article);
     
     for (const candidate of candidates) {
       try {
-        const similarity = await this.calculateSimilarityScore(article, candidate);
+        const similarity = await this.calculateSimilarityScore(article, candidate, {
+          earlyExit: config.deduplication.signals.earlyExit,
+          scope: options.scope,
+          dryRun: options.dryRun
+        });
+        
+        // A human label for this pair (by id or URL) is final
+        const label = this.findFeedbackLabel(feedback, article, candidate);
+        if (label) {
+          similarity.humanLabel = {
+            label: label.label,
+            feedbackId: label._id,
+            labeledAt: label.updatedAt || label.createdAt
+          };
+          if (!options.dryRun) this.stats.feedbackApplied++;
+          if (label.label === 'duplicate') {
+            similarities.push({ candidate, ...similarity });
+          }
+          continue;
+        }
+        
+        // Borderline pairs get a second opinion from the LLM, the last and
+        // most expensive stage of the cascade
+        if (options.llmValidation !== false && this.isInGrayZone(similarity.overallScore)) {
+          const validation = await this.validateWithLLM(article, candidate, { dryRun: options.dryRun });
+          if (validation) {
+            similarity.llmValidation = validation;
+          }
+        } else if (options.llmValidation !== false && config.deduplication.llmValidation.enabled && !options.dryRun) {
+          this.stats.cascade.llmValidationsSkipped++;
+        }
         
         if (similarity.overallScore > 0.3) { // Only keep promising candidates
           similarities.push({
@@ -310,65 +941,32 @@ class DeduplicationEngine extends EventEmitter {
     return similarities.sort((a, b) => b.overallScore - a.overallScore);
   }
 
-  async calculateSimilarityScore(article1, article2) {
+  // options.dryRun: nothing is stored or counted (ad-hoc similarity checks)
+  // options.earlyExit: stop once the remaining signals cannot change the decision
+  // (options.scope supplies a feed's own threshold); skipped signals are listed
+  async calculateSimilarityScore(article1, article2, options = {}) {
     const scores = {};
     
     try {
-      // 1. Content Hash Comparison (fastest)
-      scores.contentHash = article1.contentHash === article2.contentHash ? 1.0 : 0.0;
-      
-      // If content hashes match, it's definitely a duplicate
-      if (scores.contentHash === 1.0) {
-        return {
-          ...scores,
-          overallScore: 1.0,
-          method: 'content_hash'
-        };
-      }
-      
-      // 2. Title Similarity
-      scores.titleSimilarity = this.calculateTextSimilarity(
-        article1.title, 
-        article2.title
-      );
-      
-      // 3. Content Similarity (TF-IDF based) - Fixed implementation
-      scores.contentSimilarity = await this.calculateContentSimilarity(
-        article1, 
-        article2
-      );
-      
-      // 4. Entity Similarity
-      scores.entitySimilarity = this.calculateEntitySimilarity(
-        article1.entities || [], 
-        article2.entities || []
-      );
-      
-      // 5. Semantic Similarity (Vector embeddings)
-      scores.semanticSimilarity = await this.calculateSemanticSimilarity(
-        article1, 
-        article2
-      );
-      
-      // 6. Temporal Proximity
-      scores.temporalProximity = this.calculateTemporalProximity(
-        article1.publishedAt, 
-        article2.publishedAt
-      );
+      // 1. Fingerprints (content hash, SimHash): an exact match decides on its own
+      for (const signal of this.fingerprintSignals) {
+        Object.assign(scores, await this.computeSignal(signal, article1, article2, options));
+        
+        if (scores[signal.field] >= this.thresholds[signal.name]) {
+          if (signal.stat && !options.dryRun) this.stats[signal.stat]++;
+          return {
+            ...scores,
+            overallScore: scores[signal.field],
+            method: signal.method
+          };
+        }
+      }
       
-      // 7. Source and Category Alignment
-      scores.sourceAlignment = this.calculateSourceAlignment(article1, article2);
+      // 2. Weighted signals, cheapest first
+      Object.assign(scores, await this.calculateComponentScores(article1, article2, options));
       
       // Calculate weighted overall score
-      const weights = config.deduplication;
-      scores.overallScore = (
-        scores.titleSimilarity * weights.titleWeight +
-        scores.contentSimilarity * weights.contentWeight +
-        scores.entitySimilarity * weights.entityWeight +
-        scores.semanticSimilarity * 0.3 +
-        scores.temporalProximity * 0.1 +
-        scores.sourceAlignment * 0.1
-      );
+      scores.overallScore = this.calculateWeightedScore(scores);
       
       // Determine primary detection method
       scores.method = this.determinePrimaryMethod(scores);
@@ -379,6 +977,8 @@ class DeduplicationEngine extends EventEmitter {
       logger.warn('⚠️  Similarity calculation error:', error.message);
       return {
         contentHash: 0,
+        simhashDistance: null,
+        simhashSimilarity: 0,
         titleSimilarity: 0,
         contentSimilarity: 0,
         entitySimilarity: 0,
@@ -391,13 +991,156 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
-  calculateTextSimilarity(text1, text2) {
+  // Every active signal but the fingerprints, in cost order. With
+  // options.earlyExit the cascade stops as soon as the upper bound of the
+  // reachable score (the score so far plus the weights of the signals left)
+  // shows the remaining signals cannot change the decision
+  async calculateComponentScores(article1, article2, options = {}) {
+    const scores = {};
+    
+    if (config.deduplication.crossLanguage.enabled &&
+        this.languageAnalyzer.languageOf(article1) !== this.languageAnalyzer.languageOf(article2)) {
+      scores.crossLanguage = true;
+    }
+    
+    const signals = this.signals.filter(signal =>
+      !signal.fingerprint && (!signal.crossLanguageOnly || scores.crossLanguage)
+    );
+    const weights = this.getWeightsFor(scores);
+    
+    let partialScore = 0;
+    let remainingWeight = signals.reduce((total, signal) => total + (weights[signal.name] || 0), 0);
+    
+    for (const [index, signal] of signals.entries()) {
+      if (options.earlyExit) {
+        const bounds = this.getDecisionBounds(scores, options.scope);
+        if (partialScore + remainingWeight < bounds.unique || partialScore >= bounds.duplicate) {
+          scores.skippedSignals = signals.slice(index).map(skipped => skipped.name);
+          if (!options.dryRun) this.recordEarlyExit(signals.slice(index));
+          break;
+        }
+      }
+      
+      Object.assign(scores, await this.computeSignal(signal, article1, article2, options));
+      
+      const weight = weights[signal.name] || 0;
+      partialScore += (scores[signal.field] || 0) * weight;
+      remainingWeight -= weight;
+    }
+    
+    if (options.earlyExit && !options.dryRun) this.stats.cascade.pairsScored++;
+    
+    return scores;
+  }
+
+  async computeSignal(signal, article1, article2, options = {}) {
+    const started = performance.now();
+    
+    try {
+      const result = await signal.compute(article1, article2, this, options);
+      return typeof result === 'object' && result !== null ? result : { [signal.field]: result };
+    } catch (error) {
+      // One failing signal scores 0 instead of failing the whole pair
+      logger.warn(`⚠️  Similarity signal ${signal.name} failed:`, error.message);
+      return { [signal.field]: 0 };
+    } finally {
+      const timing = this.signalTimings.get(signal.name) || { count: 0, averageMs: 0 };
+      timing.count++;
+      timing.averageMs += (performance.now() - started - timing.averageMs) / timing.count;
+      this.signalTimings.set(signal.name, timing);
+    }
+  }
+
+  recordEarlyExit(skipped) {
+    const cascade = this.stats.cascade;
+    cascade.earlyExits++;
+    
+    for (const signal of skipped) {
+      cascade.skippedSignals[signal.name] = (cascade.skippedSignals[signal.name] || 0) + 1;
+      if (signal.usesEmbeddings) cascade.embeddingCallsSkipped++;
+      
+      // A signal never computed yet has no cost estimate
+      const timing = this.signalTimings.get(signal.name);
+      if (timing) cascade.timeSavedMs = Math.round((cascade.timeSavedMs + timing.averageMs) * 100) / 100;
+    }
+  }
+
+  // Overall scores that settle the decision whatever the remaining signals score:
+  // below `unique` no reachable threshold (nor the LLM gray zone) can be met, and
+  // from `duplicate` on every reachable threshold is met and the LLM would not
+  // be consulted. Signals already computed narrow down the detection method.
+  getDecisionBounds(scores, scope = null) {
+    let thresholds;
+    if (scope && scope.threshold !== null && scope.threshold !== undefined) {
+      thresholds = [scope.threshold];
+    } else if (scores.crossLanguage) {
+      thresholds = [this.thresholds.crossLanguage];
+    } else {
+      thresholds = this.getReachableMethods(scores).map(method => this.getThresholdForMethod(method));
+    }
+    
+    const llm = config.deduplication.llmValidation;
+    if (llm.enabled) {
+      thresholds.push(llm.lowerBound, llm.upperBound);
+    }
+    
+    return { unique: Math.min(...thresholds), duplicate: Math.max(...thresholds) };
+  }
+
+  // Methods determinePrimaryMethod may still pick: a computed signal above its
+  // threshold decides, one below rules itself out, one not computed yet may go either way
+  getReachableMethods(scores) {
+    const methods = [];
+    
+    for (const signal of this.methodSignals) {
+      const score = scores[signal.field];
+      if (score === undefined) {
+        methods.push(signal.method);
+      } else if (score > this.thresholds[signal.name]) {
+        methods.push(signal.method);
+        return methods;
+      }
+    }
+    
+    methods.push(DEFAULT_METHOD);
+    return methods;
+  }
+
+  // Articles stored before canonical titles existed get one computed on the fly,
+  // with source-name suffixes stripped but without the learned affixes
+  canonicalTitleOf(article) {
+    return article.canonicalTitle || this.titleCanonicalizer.canonicalize(article.title, article.source);
+  }
+
+  getWeightsFor(scores) {
+    return scores.crossLanguage ? this.crossLanguageWeights : this.weights;
+  }
+
+  calculateWeightedScore(scores) {
+    return Object.entries(this.getWeightsFor(scores)).reduce(
+      (total, [name, weight]) => total + (scores[this.fieldOf(name)] || 0) * weight,
+      0
+    );
+  }
+
+  // Score field of a weighted signal (a signal may report several fields)
+  fieldOf(name) {
+    const signal = this.signalRegistry.get(name);
+    return signal ? signal.field : name;
+  }
+
+  calculateTextSimilarity(text1, text2, language = 'en') {
     if (!text1 || !text2) return 0;
     
     try {
-      // Normalize texts
-      const norm1 = this.normalizeText(text1);
-      const norm2 = this.normalizeText(text2);
+      // English keeps the raw tokens its thresholds were set on; other
+      // languages compare stemmed tokens without their stopwords
+      const norm1 = language === 'en'
+        ? this.normalizeText(text1)
+        : this.languageAnalyzer.tokenize(text1, language).join(' ');
+      const norm2 = language === 'en'
+        ? this.normalizeText(text2)
+        : this.languageAnalyzer.tokenize(text2, language).join(' ');
       
       if (norm1.length === 0 || norm2.length === 0) return 0;
       
@@ -415,21 +1158,22 @@ class DeduplicationEngine extends EventEmitter {
 
   async calculateContentSimilarity(article1, article2) {
     try {
-      // Use TF-IDF for content similarity
-      const content1 = this.preprocessContent(article1.content || article1.summary || '');
-      const content2 = this.preprocessContent(article2.content || article2.summary || '');
+      const content1 = article1.content || article1.summary || '';
+      const content2 = article2.content || article2.summary || '';
       
-      if (!content1 || !content2 || content1.length < 10 || content2.length < 10) {
+      if (content1.length < 10 || content2.length < 10) {
         return 0;
       }
       
-      // Create temporary TF-IDF instance for comparison
-      const tfidf = new SimpleTfIdf();
-      tfidf.addDocument(content1);
-      tfidf.addDocument(content2);
+      // Vectors are weighted by corpus IDF and cached per stored article
+      const vector1 = this.tfidf.getVector(
+        article1._id ? String(article1._id) : null, content1, this.languageAnalyzer.languageOf(article1)
+      );
+      const vector2 = this.tfidf.getVector(
+        article2._id ? String(article2._id) : null, content2, this.languageAnalyzer.languageOf(article2)
+      );
       
-      // Calculate similarity between the two documents
-      return tfidf.calculateSimilarity(0, 1);
+      return this.tfidf.similarity(vector1, vector2);
       
     } catch (error) {
       logger.warn('⚠️  Content similarity calculation failed:', error.message);
@@ -454,11 +1198,11 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
-  async calculateSemanticSimilarity(article1, article2) {
+  async calculateSemanticSimilarity(article1, article2, options = {}) {
     try {
       // Get or generate embeddings for both articles
-      const embedding1 = await this.getOrGenerateEmbedding(article1);
-      const embedding2 = await this.getOrGenerateEmbedding(article2);
+      const embedding1 = await this.getOrGenerateEmbedding(article1, { persist: !options.dryRun });
+      const embedding2 = await this.getOrGenerateEmbedding(article2, { persist: !options.dryRun });
       
       if (!embedding1 || !embedding2) return 0;
       
@@ -482,111 +1226,760 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
-  calculateSourceAlignment(article1, article2) {
+  calculateSourceAlignment(article1, article2) {
+    try {
+      let score = 0;
+      
+      // Same source
+      if (article1.source === article2.source) score += 0.4;
+      
+      // Same category
+      if (article1.category === article2.category) score += 0.3;
+      
+      // Overlapping tags
+      const tags1 = new Set(article1.tags || []);
+      const tags2 = new Set(article2.tags || []);
+      const tagOverlap = [...tags1].filter(tag => tags2.has(tag)).length;
+      const maxTags = Math.max(tags1.size, tags2.size);
+      if (maxTags > 0) score += (tagOverlap / maxTags) * 0.3;
+      
+      return Math.min(score, 1.0);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  identifyDuplicates(similarities, scope = null, options = {}) {
+    const duplicates = [];
+    
+    for (const similarity of similarities) {
+      const { candidate, overallScore, method } = similarity;
+      
+      const threshold = this.getDecisionThreshold(method, scope);
+      
+      let isDuplicate = overallScore >= threshold;
+      
+      // Human feedback wins, then a confident LLM verdict on a gray-zone pair
+      const llm = similarity.llmValidation;
+      if (similarity.humanLabel) {
+        isDuplicate = similarity.humanLabel.label === 'duplicate';
+      } else if (llm && llm.confidence >= this.thresholds.llmValidation) {
+        if (llm.isDuplicate !== isDuplicate) {
+          similarity.decisionOverridden = true;
+          if (!options.dryRun) this.stats.llmOverrides++;
+          logger.debug(`🤖 LLM overrode decision for ${candidate._id}: ${llm.reasoning}`);
+        }
+        isDuplicate = llm.isDuplicate;
+      }
+      
+      if (isDuplicate) {
+        if (method === 'cross_language' && !options.dryRun) this.stats.crossLanguageDuplicates++;
+        duplicates.push({
+          article: candidate,
+          similarity: similarity,
+          confidence: overallScore
+        });
+      }
+    }
+    
+    return duplicates;
+  }
+
+  async getFeedbackForArticle(article) {
+    try {
+      const query = article._id ? [{ articleIds: article._id }] : [];
+      const urls = this.getFeedbackUrls(article);
+      if (urls.length > 0) query.push({ urls: { $in: urls } });
+      if (query.length === 0) return [];
+      
+      return await this.dbManager.findFeedback({ $or: query });
+    } catch (error) {
+      logger.warn('⚠️  Failed to load duplicate feedback:', error.message);
+      return [];
+    }
+  }
+
+  findFeedbackLabel(feedback, article, candidate) {
+    if (feedback.length === 0) return null;
+    
+    const pairKey = this.getPairKey(article._id, candidate._id);
+    const urlPairKey = this.getUrlPairKey(article, candidate);
+    // Labels recorded before URLs were canonicalized carry the raw URL pair
+    const rawUrlPairKey = article.url && candidate.url
+      ? this.getPairKey(article.url, candidate.url)
+      : null;
+    
+    return feedback.find(entry =>
+      entry.pairKey === pairKey ||
+      (urlPairKey && entry.urlPairKey === urlPairKey) ||
+      (rawUrlPairKey && entry.urlPairKey === rawUrlPairKey)
+    ) || null;
+  }
+
+  getPairKey(first, second) {
+    return [String(first), String(second)].sort().join('|');
+  }
+
+  // Feedback follows the canonical URL so a label holds across tracking and AMP variants
+  getFeedbackUrl(article) {
+    if (!article.url && !article.canonicalUrl) return null;
+    return article.canonicalUrl || this.urlCanonicalizer.canonicalize(article.url) || article.url;
+  }
+
+  getUrlPairKey(article, other) {
+    const first = this.getFeedbackUrl(article);
+    const second = this.getFeedbackUrl(other);
+    return first && second ? this.getPairKey(first, second) : null;
+  }
+
+  getFeedbackUrls(article) {
+    return [...new Set([this.getFeedbackUrl(article), article.url].filter(Boolean))];
+  }
+
+  async recordFeedback(article, other, label, details = {}) {
+    await this.dbManager.upsertFeedback({
+      pairKey: this.getPairKey(article._id, other._id),
+      urlPairKey: this.getUrlPairKey(article, other),
+      articleIds: [article._id, other._id],
+      urls: [...new Set([...this.getFeedbackUrls(article), ...this.getFeedbackUrls(other)])],
+      label,
+      reason: details.reason || null,
+      reviewer: details.reviewer || null,
+      source: 'manual'
+    });
+  }
+
+  async rejectDuplicate(record, details = {}) {
+    const duplicate = await this.dbManager.findArticle({ _id: record.duplicateArticleId });
+    const original = await this.dbManager.findArticle({ _id: record.originalArticleId });
+    
+    if (!duplicate || !original) {
+      throw new Error('Articles for this duplicate record no longer exist');
+    }
+    
+    await this.dbManager.updateDuplicate(
+      { _id: record._id },
+      {
+        status: 'rejected',
+        rejectedAt: new Date(),
+        rejectionReason: details.reason || null
+      }
+    );
+    
+    // Only restore the article if it still points at this original
+    if (duplicate.isDuplicate &&
+        String(duplicate.originalArticleId) === String(original._id)) {
+      await this.dbManager.updateArticle(
+        { _id: duplicate._id },
+        {
+          isDuplicate: false,
+          classification: 'unique',
+          originalArticleId: null,
+          manuallyReviewed: true
+        }
+      );
+      duplicate.isDuplicate = false;
+      duplicate.originalArticleId = null;
+      
+      await this.leaveStoryGroup(duplicate);
+      await this.joinStoryGroup(duplicate, [], duplicate);
+    }
+    
+    await this.recordFeedback(duplicate, original, 'not_duplicate', details);
+    this.stats.manualOverrides++;
+    
+    logger.info(`👤 Duplicate decision rejected: ${duplicate.title}`);
+    return duplicate;
+  }
+
+  async markDuplicateOf(article, original, details = {}) {
+    await this.dbManager.updateArticle(
+      { _id: article._id },
+      {
+        processed: true,
+        duplicateChecked: true,
+        isDuplicate: true,
+        classification: 'duplicate',
+        originalArticleId: original._id,
+        manuallyReviewed: true,
+        processedAt: new Date()
+      }
+    );
+    
+    await this.dbManager.upsertDuplicate({
+      originalArticleId: original._id,
+      duplicateArticleId: article._id,
+      similarityScore: 1.0,
+      detectionMethod: 'manual',
+      status: 'confirmed',
+      metadata: {
+        originalTitle: original.title,
+        duplicateTitle: article.title,
+        originalSource: original.source,
+        duplicateSource: article.source,
+        originalUrl: original.url,
+        duplicateUrl: article.url,
+        reason: details.reason || null
+      }
+    });
+    
+    // Only this article moves; the rest of its old group stays where it was
+    await this.leaveStoryGroup(article);
+    await this.joinStoryGroup(article, [original], original);
+    
+    await this.recordFeedback(article, original, 'duplicate', details);
+    this.stats.manualOverrides++;
+    
+    logger.info(`👤 Article manually marked as duplicate: ${article.title}`);
+    return { ...article, isDuplicate: true, originalArticleId: original._id };
+  }
+
+  getThresholdForMethod(method) {
+    if (method === 'cross_language') {
+      return this.thresholds.crossLanguage;
+    }
+    
+    const name = this.methodThresholdNames.get(method) || this.methodThresholdNames.get(DEFAULT_METHOD);
+    return this.thresholds[name];
+  }
+
+  // Exact fingerprint matches keep their own threshold even where a feed sets one
+  isFingerprintMethod(method) {
+    return this.signalRegistry.list().some(signal => signal.fingerprint && signal.method === method);
+  }
+
+  // Threshold based on detection method; a feed's own threshold replaces it
+  // for everything but exact fingerprints
+  getDecisionThreshold(method, scope = null) {
+    return scope && scope.threshold !== null && !this.isFingerprintMethod(method)
+      ? scope.threshold
+      : this.getThresholdForMethod(method);
+  }
+
+  isInGrayZone(score) {
+    const settings = config.deduplication.llmValidation;
+    if (!settings.enabled) return false;
+    
+    return score >= settings.lowerBound && score < settings.upperBound;
+  }
+
+  // options.dryRun: cached verdicts are used, new ones are neither cached nor
+  // counted (provider calls still spend the hourly budget)
+  async validateWithLLM(article, candidate, options = {}) {
+    const cacheKey = this.getLLMCacheKey(article, candidate);
+    
     try {
-      let score = 0;
+      // Check in-memory cache, then Redis
+      let cached = this.llmValidationCache.get(cacheKey);
+      if (!cached && this.dbManager) {
+        cached = await this.dbManager.getCache(cacheKey);
+      }
       
-      // Same source
-      if (article1.source === article2.source) score += 0.4;
+      if (cached) {
+        if (!options.dryRun) this.stats.llmCacheHits++;
+        return { ...cached, cached: true };
+      }
       
-      // Same category
-      if (article1.category === article2.category) score += 0.3;
+      // Mock validation is free, only real provider calls count towards the budget
+      const usesProvider = this.llmAnalyzer.isAvailable();
+      if (usesProvider && !this.consumeLLMBudget()) {
+        if (!options.dryRun) this.stats.llmBudgetExhausted++;
+        logger.debug('⚠️  Hourly LLM validation budget exhausted, using score threshold');
+        return null;
+      }
       
-      // Overlapping tags
-      const tags1 = new Set(article1.tags || []);
-      const tags2 = new Set(article2.tags || []);
-      const tagOverlap = [...tags1].filter(tag => tags2.has(tag)).length;
-      const maxTags = Math.max(tags1.size, tags2.size);
-      if (maxTags > 0) score += (tagOverlap / maxTags) * 0.3;
+      const result = await this.llmAnalyzer.validateDuplicate(article, candidate);
+      
+      // A failed provider call answers with the mock verdict: not cached or
+      // applied, so the score decides and the pair is asked again next time
+      if (result.fallback) {
+        if (!options.dryRun) this.stats.llmFailures++;
+        logger.debug(`⚠️  LLM validation unavailable (${result.error}), using score threshold`);
+        return null;
+      }
+      
+      const validation = {
+        isDuplicate: result.isDuplicate,
+        confidence: result.confidence,
+        reasoning: result.reasoning,
+        category: result.category,
+        provider: usesProvider ? this.llmAnalyzer.getAvailableProviders()[0] : 'mock',
+        validatedAt: new Date()
+      };
+      
+      if (options.dryRun) {
+        return { ...validation, cached: false };
+      }
+      
+      this.stats.llmValidations++;
+      this.cacheLLMValidation(cacheKey, validation);
+      if (this.dbManager) {
+        await this.dbManager.setCache(
+          cacheKey,
+          validation,
+          config.deduplication.llmValidation.cacheTtl
+        );
+      }
+      
+      return { ...validation, cached: false };
       
-      return Math.min(score, 1.0);
     } catch (error) {
-      return 0;
+      logger.warn('⚠️  LLM validation failed:', error.message);
+      return null;
     }
   }
 
-  identifyDuplicates(similarities) {
-    const duplicates = [];
+  consumeLLMBudget() {
+    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+    this.llmCallHistory = this.llmCallHistory.filter(time => time > oneHourAgo);
     
-    for (const similarity of similarities) {
-      const { candidate, overallScore, method } = similarity;
-      
-      // Apply threshold based on detection method
-      let threshold;
-      switch (method) {
-        case 'content_hash':
-          threshold = this.thresholds.contentHash;
-          break;
-        case 'title_similarity':
-          threshold = this.thresholds.titleSimilarity;
-          break;
-        case 'semantic_similarity':
-          threshold = this.thresholds.semanticSimilarity;
-          break;
-        default:
-          threshold = this.thresholds.contentSimilarity;
-      }
-      
-      if (overallScore >= threshold) {
-        duplicates.push({
-          article: candidate,
-          similarity: similarity,
-          confidence: overallScore
-        });
-      }
+    if (this.llmCallHistory.length >= config.deduplication.llmValidation.maxCallsPerHour) {
+      return false;
     }
     
-    return duplicates;
+    this.llmCallHistory.push(Date.now());
+    return true;
+  }
+
+  getLLMCacheKey(article1, article2) {
+    // Order-independent so (A, B) and (B, A) share an entry
+    const ids = [String(article1._id), String(article2._id)].sort();
+    return `llm_validation:${ids[0]}:${ids[1]}`;
+  }
+
+  cacheLLMValidation(key, validation) {
+    if (this.llmValidationCache.size >= this.maxLlmCacheSize) {
+      const firstKey = this.llmValidationCache.keys().next().value;
+      this.llmValidationCache.delete(firstKey);
+    }
+    
+    this.llmValidationCache.set(key, validation);
+  }
+
+  // Decides the article's role in its duplicate group without writing anything
+  async decideDuplicates(article, duplicates) {
+    // Pick the best version among the article and the current originals of its matches
+    const roots = await this.getGroupRoots(article, duplicates);
+    const { canonical, superseded } = this.selectCanonical(article, roots);
+    const isOriginal = String(article._id) === String(canonical._id);
+    
+    // A later article that adds facts none of its matches carry is a follow-up
+    const newFacts = isOriginal
+      ? []
+      : this.detectNewFacts(article, duplicates);
+    
+    let classification = 'duplicate';
+    if (isOriginal) classification = 'unique';
+    else if (newFacts.length > 0) classification = 'update';
+    
+    return { original: canonical, superseded, newFacts, classification };
   }
 
-  async processDuplicates(article, duplicates) {
+  async processDuplicates(article, duplicates, options = {}) {
     logger.info(`🔍 Found ${duplicates.length} duplicates for article: ${article.title}`);
     
-    // Find the original article (earliest publication)
+    const decision = options.decision || await this.decideDuplicates(article, duplicates);
+    const { original: originalArticle, superseded, newFacts } = decision;
     const allArticles = [article, ...duplicates.map(d => d.article)];
-    const originalArticle = allArticles.reduce((earliest, current) => 
-      new Date(current.publishedAt) < new Date(earliest.publishedAt) ? current : earliest
-    );
     
-    // Record duplicate relationships
-    for (const duplicate of duplicates) {
-      await this.dbManager.insertDuplicate({
+    const isOriginal = decision.classification === 'unique';
+    const isUpdate = decision.classification === 'update';
+    const bestMatch = duplicates.reduce((best, d) => d.confidence > best.confidence ? d : best);
+    
+    // Earlier originals that lost to a better version hand over their duplicates
+    for (const previous of superseded) {
+      await this.repointOriginal(previous, originalArticle, duplicates);
+    }
+    
+    // Record a relationship for every member that is not the original
+    for (const member of allArticles) {
+      if (String(member._id) === String(originalArticle._id)) continue;
+      if (isUpdate && member === article) continue;
+      
+      // Candidates were scored against the current article; the current
+      // article itself is linked through its match with the original
+      const match = member === article
+        ? duplicates.find(d => d.article === originalArticle) || bestMatch
+        : duplicates.find(d => d.article === member);
+      
+      await this.dbManager.upsertDuplicate({
         originalArticleId: originalArticle._id,
-        duplicateArticleId: duplicate.article._id,
-        similarityScore: duplicate.confidence,
-        detectionMethod: duplicate.similarity.method,
-        similarityBreakdown: duplicate.similarity,
+        duplicateArticleId: member._id,
+        similarityScore: match.confidence,
+        detectionMethod: match.similarity.method,
+        similarityBreakdown: this.toBreakdown(match.similarity),
         metadata: {
           originalTitle: originalArticle.title,
-          duplicateTitle: duplicate.article.title,
+          duplicateTitle: member.title,
           originalSource: originalArticle.source,
-          duplicateSource: duplicate.article.source,
+          duplicateSource: member.source,
+          originalUrl: originalArticle.url,
+          duplicateUrl: member.url,
           timeDifference: Math.abs(
-            new Date(originalArticle.publishedAt) - new Date(duplicate.article.publishedAt)
+            new Date(originalArticle.publishedAt) - new Date(member.publishedAt)
           )
-        },
-        createdAt: new Date()
+        }
       });
     }
     
-    // Mark the current article appropriately
-    if (article._id.toString() === originalArticle._id.toString()) {
+    // Every matched article's story group becomes one
+    await this.joinStoryGroup(article, duplicates.map(d => d.article), originalArticle);
+    
+    // Mark the current article appropriately; replays of history never alert
+    if (isOriginal) {
       // This is the original article
       await this.markAsUnique(article);
-      this.emit('uniqueArticleDetected', article);
+      if (options.replay) return 'unique';
+      if (superseded.length > 0) {
+        this.emit('canonicalChanged', { article, superseded });
+      } else {
+        this.emit('uniqueArticleDetected', article);
+      }
+      return 'unique';
+    }
+    
+    if (isUpdate) {
+      const match = duplicates.find(d => d.article === originalArticle) || bestMatch;
+      await this.markAsUpdate(article, originalArticle, newFacts, match.confidence);
+      if (!options.replay) {
+        this.emit('storyUpdateDetected', { article, original: originalArticle, newFacts });
+      }
+      return 'update';
+    }
+    
+    // This is a duplicate
+    await this.markAsDuplicate(article, originalArticle._id);
+    return 'duplicate';
+  }
+
+  async getGroupRoots(article, duplicates) {
+    const roots = new Map();
+    const missing = new Map();
+    
+    for (const { article: member } of duplicates) {
+      if (member.isDuplicate && member.originalArticleId) {
+        missing.set(String(member.originalArticleId), member.originalArticleId);
+      } else if (member.classification !== 'update') {
+        roots.set(String(member._id), member);
+      }
+    }
+    
+    // Matched duplicates stand in for originals that were not candidates themselves
+    const ids = [...missing.keys()]
+      .filter(id => !roots.has(id) && id !== String(article._id))
+      .map(id => missing.get(id));
+    
+    if (ids.length > 0) {
+      const loaded = await this.dbManager.findArticles({ _id: { $in: ids } });
+      loaded.forEach(root => roots.set(String(root._id), root));
+    }
+    
+    return [...roots.values()];
+  }
+
+  selectCanonical(article, roots) {
+    const windowMs = config.deduplication.canonical.repointWindowHours * 60 * 60 * 1000;
+    
+    // Originals past the window or settled by a reviewer keep their role
+    const locked = roots.filter(root =>
+      root.manuallyReviewed ||
+      new Date(article.publishedAt) - new Date(root.publishedAt) > windowMs
+    );
+    
+    const canonical = this.canonicalSelector.select(
+      locked.length > 0 ? locked : [article, ...roots],
+      article.category
+    );
+    
+    return {
+      canonical,
+      superseded: roots.filter(root => root !== canonical && !locked.includes(root))
+    };
+  }
+
+  async repointOriginal(previous, canonical, duplicates) {
+    const moved = await this.dbManager.repointDuplicates(previous._id, canonical._id);
+    
+    // Originals reached only through one of their duplicates get their own record
+    const match = duplicates.find(d => d.article === previous) ||
+      duplicates.find(d => String(d.article.originalArticleId) === String(previous._id));
+    
+    if (match && match.article !== previous) {
+      await this.dbManager.upsertDuplicate({
+        originalArticleId: canonical._id,
+        duplicateArticleId: previous._id,
+        similarityScore: match.confidence,
+        detectionMethod: 'canonical_repoint',
+        similarityBreakdown: this.toBreakdown(match.similarity),
+        metadata: {
+          originalTitle: canonical.title,
+          duplicateTitle: previous.title,
+          originalSource: canonical.source,
+          duplicateSource: previous.source,
+          originalUrl: canonical.url,
+          duplicateUrl: previous.url,
+          timeDifference: Math.abs(
+            new Date(canonical.publishedAt) - new Date(previous.publishedAt)
+          )
+        }
+      });
+    }
+    
+    await this.markAsDuplicate(previous, canonical._id);
+    this.stats.canonicalRepoints++;
+    
+    logger.info(`🔀 Better version selected (${this.canonicalSelector.policyFor(canonical.category)}): "${canonical.title}" replaces "${previous.title}", ${moved} duplicate(s) re-pointed`);
+  }
+
+  // Union-find over story groups: the article and all matched members end up
+  // in one root group, absorbing the smaller groups into the largest
+  async joinStoryGroup(article, members, canonical) {
+    const roots = new Map();
+    const ungrouped = [article._id];
+    
+    for (const member of [article, ...members]) {
+      if (member.storyGroupId) {
+        const root = await this.findStoryGroupRoot(member.storyGroupId);
+        if (root) {
+          roots.set(String(root._id), root);
+          continue;
+        }
+      }
+      // Articles stored before story groups existed join as they are met
+      if (member !== article) ungrouped.push(member._id);
+    }
+    
+    let root;
+    if (roots.size === 0) {
+      const result = await this.dbManager.insertStoryGroup({ canonicalArticleId: canonical._id });
+      root = { _id: result.insertedId };
     } else {
-      // This is a duplicate
-      await this.markAsDuplicate(article, originalArticle._id);
+      const [largest, ...absorbed] = [...roots.values()].sort((a, b) =>
+        b.memberCount - a.memberCount || new Date(a.createdAt) - new Date(b.createdAt)
+      );
+      root = largest;
+      
+      if (absorbed.length > 0) {
+        await this.dbManager.mergeStoryGroups(root._id, absorbed.map(group => group._id));
+        this.stats.storyGroupMerges += absorbed.length;
+        logger.info(`🧩 Merged ${absorbed.length} story group(s) into ${root._id} via: ${article.title}`);
+      }
+    }
+    
+    await this.dbManager.assignStoryGroup(ungrouped, root._id);
+    article.storyGroupId = root._id;
+    
+    return this.refreshStoryGroup(root._id, canonical._id);
+  }
+  
+  // Follows parent links to the root group, pointing visited groups at it
+  async findStoryGroupRoot(groupId) {
+    const visited = [];
+    let group = await this.dbManager.findStoryGroup({ _id: groupId });
+    
+    while (group && group.parentId) {
+      visited.push(group._id);
+      group = await this.dbManager.findStoryGroup({ _id: group.parentId });
+    }
+    
+    if (group) {
+      for (const id of visited.slice(0, -1)) {
+        await this.dbManager.updateStoryGroup(id, { parentId: group._id });
+      }
+    }
+    
+    return group;
+  }
+  
+  async leaveStoryGroup(article) {
+    if (!article.storyGroupId) return;
+    
+    const root = await this.findStoryGroupRoot(article.storyGroupId);
+    await this.dbManager.updateArticle({ _id: article._id }, { storyGroupId: null });
+    article.storyGroupId = null;
+    
+    if (root) {
+      const canonicalId = String(root.canonicalArticleId) === String(article._id)
+        ? null
+        : root.canonicalArticleId;
+      await this.refreshStoryGroup(root._id, canonicalId);
+    }
+  }
+  
+  // The article's whole story, transitively; articles stored before story
+  // groups existed are resolved by walking their duplicate records
+  async getStoryGroup(article, limit = 500) {
+    const projection = {
+      title: 1, url: 1, source: 1, language: 1, publishedAt: 1,
+      isDuplicate: 1, originalArticleId: 1, classification: 1, updateOf: 1, storyGroupId: 1
+    };
+    
+    const group = article.storyGroupId
+      ? await this.findStoryGroupRoot(article.storyGroupId)
+      : null;
+    
+    if (group) {
+      const members = await this.dbManager.findArticles(
+        { storyGroupId: group._id },
+        { sort: { publishedAt: 1 }, limit, projection }
+      );
+      return { group, members };
+    }
+    
+    const seen = new Map([[String(article._id), article._id]]);
+    let frontier = [article._id];
+    
+    while (frontier.length > 0 && seen.size < limit) {
+      const records = await this.dbManager.findDuplicates({
+        $or: [
+          { originalArticleId: { $in: frontier } },
+          { duplicateArticleId: { $in: frontier } }
+        ],
+        status: { $ne: 'rejected' }
+      });
+      
+      frontier = [];
+      for (const record of records) {
+        for (const id of [record.originalArticleId, record.duplicateArticleId]) {
+          if (!seen.has(String(id))) {
+            seen.set(String(id), id);
+            frontier.push(id);
+          }
+        }
+      }
+    }
+    
+    const ids = [...seen.values()].slice(0, limit);
+    const members = await this.dbManager.findArticles(
+      { _id: { $in: ids } },
+      { sort: { publishedAt: 1 }, projection }
+    );
+    return { group: null, members };
+  }
+  
+  // Member count, sources and time span are derived from the members themselves
+  async refreshStoryGroup(groupId, canonicalArticleId) {
+    const members = await this.dbManager.findArticles(
+      { storyGroupId: groupId },
+      { projection: { source: 1, publishedAt: 1, isDuplicate: 1, classification: 1 } }
+    );
+    
+    if (members.length === 0) {
+      await this.dbManager.deleteStoryGroup(groupId);
+      return null;
+    }
+    
+    const published = members.map(member => new Date(member.publishedAt)).sort((a, b) => a - b);
+    
+    // Without a canonical, fall back to the earliest member not marked as a copy
+    const canonicalId = canonicalArticleId || (
+      members
+        .filter(member => !member.isDuplicate && member.classification !== 'update')
+        .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt))[0] ||
+      members.find(member => new Date(member.publishedAt).getTime() === published[0].getTime())
+    )._id;
+    
+    const update = {
+      canonicalArticleId: canonicalId,
+      memberCount: members.length,
+      sources: [...new Set(members.map(member => member.source).filter(Boolean))],
+      firstPublishedAt: published[0],
+      lastPublishedAt: published[published.length - 1]
+    };
+    
+    await this.dbManager.updateStoryGroup(groupId, update);
+    return { _id: groupId, ...update };
+  }
+  
+  detectNewFacts(article, duplicates) {
+    const settings = config.deduplication.updateDetection;
+    if (!settings.enabled) return [];
+    
+    // Byte-identical content cannot carry anything new
+    if (duplicates.some(d => d.similarity.method === 'content_hash')) return [];
+    
+    // Every word of a translation is new, so only same-language coverage counts
+    const sameLanguage = duplicates.filter(d => d.similarity.method !== 'cross_language');
+    if (sameLanguage.length === 0) return [];
+    
+    const known = new Set();
+    const knownWords = new Set(this.normalizeText(article.source).split(' '));
+    
+    for (const { article: match } of sameLanguage) {
+      (match.entities || []).forEach(entity => known.add(this.factKey(entity)));
+      this.normalizeText(`${match.title} ${match.content || match.summary || ''} ${match.source}`)
+        .split(' ')
+        .forEach(word => knownWords.add(word));
+    }
+    
+    const newFacts = [];
+    
+    for (const entity of article.entities || []) {
+      if (!settings.factTypes.includes(entity.type)) continue;
+      
+      const key = this.factKey(entity);
+      if (known.has(key) || newFacts.some(fact => fact.key === key)) continue;
+      
+      // Extracted names are noisy ("TechCrunch Acme Corp"), so a name only
+      // counts when it has a word the earlier coverage never used
+      if (key.startsWith('NAME:')) {
+        const words = this.normalizeText(entity.name).split(' ').filter(Boolean);
+        if (words.every(word => knownWords.has(word))) continue;
+      }
+      
+      newFacts.push({ key, type: entity.type, value: entity.name.replace(/[.,;:]+$/, '') });
+    }
+    
+    // "Gamma" adds nothing once "Gamma Corp" is reported
+    const facts = newFacts
+      .filter(fact => !newFacts.some(other => other !== fact &&
+        fact.key.startsWith('NAME:') && other.key.startsWith('NAME:') &&
+        other.key.length > fact.key.length && other.key.includes(fact.key.slice(5))))
+      .map(({ type, value }) => ({ type, value }));
+    
+    return facts.length >= settings.minNewFacts ? facts : [];
+  }
+
+  factKey(entity) {
+    const name = entity.name.toLowerCase().trim();
+    
+    switch (entity.type) {
+      case 'MONEY':
+        // "$1.2 billion", "$1.2bn" and "$1.2B" compare equal
+        return `MONEY:${name
+          .replace(/[\s,]/g, '')
+          .replace(/^usd/, '$')
+          .replace(/(million|mn)$/, 'm')
+          .replace(/(billion|bn)$/, 'b')
+          .replace(/trillion$/, 't')}`;
+      case 'PERCENTAGE':
+        return `PERCENTAGE:${parseFloat(name)}`;
+      default:
+        // People, organizations and companies share one namespace
+        return `NAME:${name.replace(/\s+/g, ' ')}`;
     }
   }
 
+  toBreakdown(similarity) {
+    // The candidate article itself is stored separately, not in the breakdown
+    const breakdown = { ...similarity };
+    delete breakdown.candidate;
+    return breakdown;
+  }
+
   async markAsUnique(article) {
+    // An article without matches starts its own story
+    if (!article.storyGroupId) {
+      await this.joinStoryGroup(article, [], article);
+    }
+    
     await this.dbManager.updateArticle(
       { _id: article._id },
       { 
         processed: true,
         duplicateChecked: true,
         isDuplicate: false,
+        classification: 'unique',
         processedAt: new Date()
       }
     );
@@ -594,6 +1987,24 @@ class DeduplicationEngine extends EventEmitter {
     logger.debug(`✅ Article marked as unique: ${article.title}`);
   }
 
+  async markAsUpdate(article, original, newFacts, similarityScore) {
+    await this.dbManager.updateArticle(
+      { _id: article._id },
+      {
+        processed: true,
+        duplicateChecked: true,
+        isDuplicate: false,
+        classification: 'update',
+        updateOf: original._id,
+        newFacts,
+        updateSimilarity: similarityScore,
+        processedAt: new Date()
+      }
+    );
+    
+    logger.info(`🆕 Story update detected (${newFacts.map(f => f.value).join(', ')}): ${article.title}`);
+  }
+
   async markAsDuplicate(article, originalArticleId) {
     await this.dbManager.updateArticle(
       { _id: article._id },
@@ -601,6 +2012,7 @@ class DeduplicationEngine extends EventEmitter {
         processed: true,
         duplicateChecked: true,
         isDuplicate: true,
+        classification: 'duplicate',
         originalArticleId: originalArticleId,
         processedAt: new Date()
       }
@@ -618,8 +2030,16 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
-  async getOrGenerateEmbedding(article) {
+  async getOrGenerateEmbedding(article, { persist = true } = {}) {
     try {
+      // Offline callers (the scoring tuner) run without a database, and
+      // ad-hoc articles that were never stored have nothing to cache under
+      if (!this.dbManager || !article._id) {
+        return await this.vectorSimilarity.generateEmbedding(
+          `${article.title} ${article.content || article.summary}`
+        );
+      }
+      
       // Check if embedding already exists
       let embedding = await this.dbManager.findEmbedding(article._id);
       
@@ -630,13 +2050,15 @@ class DeduplicationEngine extends EventEmitter {
         
         if (vector) {
           // Store embedding
-          await this.dbManager.insertEmbedding({
-            articleId: article._id,
-            vector: vector,
-            model: config.deduplication.semanticModel,
-            textLength: text.length,
-            createdAt: new Date()
-          });
+          if (persist) {
+            await this.dbManager.insertEmbedding({
+              articleId: article._id,
+              vector: vector,
+              model: config.deduplication.semanticModel,
+              textLength: text.length,
+              createdAt: new Date()
+            });
+          }
           
           return vector;
         }
@@ -712,27 +2134,238 @@ class DeduplicationEngine extends EventEmitter {
     }
   }
 
-  determinePrimaryMethod(scores) {
-    if (scores.contentHash === 1.0) return 'content_hash';
-    if (scores.titleSimilarity > 0.9) return 'title_similarity';
-    if (scores.semanticSimilarity > 0.85) return 'semantic_similarity';
-    if (scores.entitySimilarity > 0.8) return 'entity_similarity';
-    return 'content_similarity';
+  // Scores a pair the way live deduplication would, without writing anything or
+  // counting it in the stats. `article` is the later arrival. LLM validation is
+  // not run (it spends the hourly budget); gray-zone pairs are flagged instead.
+  async checkSimilarity(article, candidate) {
+    const scope = await this.getDedupScope(article);
+    const candidateScope = await this.getDedupScope(candidate);
+    
+    const similarity = await this.calculateSimilarityScore(article, candidate, { dryRun: true });
+    
+    // A human label for the pair (by id or URL) decides, as it would live
+    const label = this.findFeedbackLabel(await this.getFeedbackForArticle(article), article, candidate);
+    if (label) {
+      similarity.humanLabel = {
+        label: label.label,
+        feedbackId: label._id,
+        labeledAt: label.updatedAt || label.createdAt
+      };
+    }
+    
+    const threshold = this.getDecisionThreshold(similarity.method, scope);
+    const [duplicate] = this.identifyDuplicates([{ candidate, ...similarity }], scope, { dryRun: true });
+    
+    return {
+      similarity: this.toBreakdown(similarity),
+      method: similarity.method,
+      overallScore: similarity.overallScore,
+      threshold,
+      components: this.describeComponents(similarity),
+      isDuplicate: Boolean(duplicate),
+      // Live, the LLM would get a say on this pair before the decision
+      inGrayZone: !label && this.isInGrayZone(similarity.overallScore),
+      // Feeds whose scopes keep them apart are never compared live
+      wouldBeCompared: this.sharesPool(article, scope, candidate, candidateScope)
+    };
+  }
+
+  // Re-scores a stored decision without writing anything or counting it, and
+  // decides it as identifyDuplicates would: human label, then the recorded LLM
+  // verdict, then the feed's threshold
+  async explainDecision(article, original, recorded = null) {
+    const scope = await this.getDedupScope(article);
+    const similarity = await this.calculateSimilarityScore(article, original, { dryRun: true, scope });
+    const threshold = this.getDecisionThreshold(similarity.method, scope);
+    
+    const label = this.findFeedbackLabel(await this.getFeedbackForArticle(article), article, original);
+    if (label) {
+      similarity.humanLabel = {
+        label: label.label,
+        feedbackId: label._id,
+        labeledAt: label.updatedAt || label.createdAt
+      };
+    }
+    const llm = recorded?.similarityBreakdown?.llmValidation;
+    if (llm) similarity.llmValidation = llm;
+    
+    const [duplicate] = this.identifyDuplicates([{ candidate: original, ...similarity }], scope, { dryRun: true });
+    const isDuplicate = Boolean(duplicate);
+    
+    const components = this.describeComponents(similarity);
+    
+    const titleTokens1 = new Set(this.normalizeText(this.canonicalTitleOf(article)).split(' ').filter(Boolean));
+    const titleTokens2 = new Set(this.normalizeText(this.canonicalTitleOf(original)).split(' ').filter(Boolean));
+    
+    const entityNames2 = new Map(
+      (original.entities || []).map(e => [e.name.toLowerCase(), e])
+    );
+    const sharedEntities = (article.entities || [])
+      .filter(e => entityNames2.has(e.name.toLowerCase()))
+      .map(e => ({ name: e.name, type: e.type }));
+    
+    const topTerms = this.tfidf.topOverlappingTerms(
+      this.tfidf.getVector(
+        String(article._id), article.content || article.summary || '', this.languageAnalyzer.languageOf(article)
+      ),
+      this.tfidf.getVector(
+        String(original._id), original.content || original.summary || '', this.languageAnalyzer.languageOf(original)
+      ),
+      10
+    );
+    
+    return {
+      articleId: article._id,
+      originalArticleId: original._id,
+      method: similarity.method,
+      overallScore: similarity.overallScore,
+      threshold,
+      isDuplicate,
+      components,
+      simhashDistance: similarity.simhashDistance,
+      matchedTitleTokens: [...titleTokens1].filter(token => titleTokens2.has(token)),
+      sharedEntities,
+      topOverlappingTerms: topTerms,
+      recorded: recorded ? {
+        similarityScore: recorded.similarityScore,
+        detectionMethod: recorded.detectionMethod,
+        llmValidation: recorded.similarityBreakdown?.llmValidation || null,
+        decisionOverridden: Boolean(recorded.similarityBreakdown?.decisionOverridden),
+        createdAt: recorded.createdAt
+      } : null,
+      humanLabel: similarity.humanLabel || null,
+      verdict: this.buildVerdict(original, similarity, threshold, components, isDuplicate)
+    };
+  }
+
+  // Per-component score, weight and contribution to the overall score
+  describeComponents(similarity) {
+    return Object.entries(this.getWeightsFor(similarity)).map(([name, weight]) => {
+      const score = similarity[this.fieldOf(name)];
+      return {
+        name,
+        score: score ?? null,
+        weight,
+        contribution: score === undefined ? null : score * weight
+      };
+    });
+  }
+
+  buildVerdict(original, similarity, threshold, components, isDuplicate) {
+    const score = similarity.overallScore.toFixed(2);
+    const method = similarity.method.replace(/_/g, ' ');
+    
+    if (similarity.humanLabel) {
+      return isDuplicate
+        ? `Duplicate of "${original.title}" (${original.source}): a reviewer labeled this pair a duplicate (overall score ${score}).`
+        : `Not a duplicate of "${original.title}" (${original.source}): a reviewer labeled this pair distinct (overall score ${score}).`;
+    }
+    
+    if (isDuplicate && similarity.method === 'content_hash') {
+      return `Suppressed as an exact copy of "${original.title}" (${original.source}): the normalized text hashes are identical.`;
+    }
+    
+    if (isDuplicate && similarity.method === 'simhash') {
+      return `Suppressed as a near-identical copy of "${original.title}" (${original.source}): ` +
+        `SimHash fingerprints differ by only ${similarity.simhashDistance} of 64 bits.`;
+    }
+    
+    const strongest = components
+      .filter(c => c.contribution !== null)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, 2)
+      .map(c => `${c.name} ${c.score.toFixed(2)}`)
+      .join(' and ');
+    
+    const meetsThreshold = similarity.overallScore >= threshold;
+    let verdict = meetsThreshold
+      ? `Duplicate of "${original.title}" (${original.source}): overall score ${score} meets the ${method} threshold of ${threshold.toFixed(2)}.`
+      : `Now scores ${score}, below the ${method} threshold of ${threshold.toFixed(2)}, against "${original.title}" (${original.source}).`;
+    
+    verdict += ` Strongest signals: ${strongest}.`;
+    
+    // A confident LLM verdict decides against the threshold
+    const llm = similarity.llmValidation;
+    if (llm && isDuplicate !== meetsThreshold) {
+      verdict += ` The decision was made by LLM validation (${(llm.confidence * 100).toFixed(0)}% confidence): ${llm.reasoning}`;
+    }
+    
+    return verdict;
+  }
+
+  // Fingerprint matches first, then pairs across languages, then the
+  // highest-priority signal above its threshold
+  determinePrimaryMethod(scores, thresholds = this.thresholds) {
+    const fingerprint = this.fingerprintSignals.find(signal =>
+      scores[signal.field] !== undefined && scores[signal.field] >= thresholds[signal.name]
+    );
+    if (fingerprint) return fingerprint.method;
+    if (scores.crossLanguage) return 'cross_language';
+    
+    const signal = this.methodSignals.find(candidate => scores[candidate.field] > thresholds[candidate.name]);
+    return signal ? signal.method : DEFAULT_METHOD;
   }
 
   async stop() {
+    // Queued jobs stay in processing_queue and are picked up after restart
+    if (this.queueInterval) {
+      clearInterval(this.queueInterval);
+      this.queueInterval = null;
+    }
+    
+    if (this.corpusPruneInterval) {
+      clearInterval(this.corpusPruneInterval);
+      this.corpusPruneInterval = null;
+    }
+    
     this.isProcessing = false;
-    this.processingQueue = [];
     logger.info('🔍 Deduplication engine stopped');
   }
 
+  getLshStats() {
+    const settings = config.deduplication.lsh;
+    const { lookups, recallSamples, relevantPairs, foundPairs } = this.lshStats;
+    
+    return {
+      enabled: settings.enabled,
+      bands: this.minHash.bands,
+      rowsPerBand: this.minHash.rowsPerBand,
+      cold: this.lshCold,
+      lookups,
+      fallbacks: this.lshStats.fallbacks,
+      averageLatencyMs: lookups > 0 ? this.lshStats.totalLatencyMs / lookups : 0,
+      lastLatencyMs: this.lshStats.lastLatencyMs,
+      averageCandidates: lookups > 0 ? this.lshStats.totalCandidates / lookups : 0,
+      recallSamples,
+      sampledRecall: relevantPairs > 0 ? foundPairs / relevantPairs : null,
+      theoreticalRecall: this.minHash.candidateProbability(settings.similarityThreshold)
+    };
+  }
+
   getStats() {
     return {
       ...this.stats,
-      queueSize: this.processingQueue.length,
+      queueSize: (this.queueCounts.pending || 0) + (this.queueCounts.processing || 0),
+      queue: this.queueCounts,
       isProcessing: this.isProcessing,
       thresholds: this.thresholds,
-      timeWindow: this.timeWindow
+      weights: this.weights,
+      signals: this.signals.map(signal => signal.name),
+      signalCostMs: Object.fromEntries([...this.signalTimings].map(([name, timing]) =>
+        [name, Math.round(timing.averageMs * 100) / 100]
+      )),
+      scoringProfile: this.scoringProfile,
+      canonical: config.deduplication.canonical,
+      timeWindow: this.timeWindow,
+      lsh: this.getLshStats(),
+      tfidf: this.tfidf.getStats(),
+      llmValidation: {
+        ...config.deduplication.llmValidation,
+        callsLastHour: this.llmCallHistory.filter(
+          time => time > Date.now() - 60 * 60 * 1000
+        ).length,
+        cacheSize: this.llmValidationCache.size
+      }
     };
   }
 }
@@ -0,0 +1,384 @@
+// src/services/IngestService.js - Deduplication for articles pushed by external producers
+
+const crypto = require('crypto');
+
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+// A key still "processing" after this long belongs to a crashed request
+const KEY_LEASE_MS = 10 * 60 * 1000;
+
+// Runs articles from POST /api/news/ingest through the same pipeline as feed
+// items (normalization, entity extraction, hashing, DeduplicationEngine scoring)
+// and reports each verdict. Articles are handled one at a time, in order, so
+// articles of the same batch (or of concurrent requests) can match each other.
+class IngestService {
+  constructor(options = {}) {
+    this.dbManager = null;
+    this.newsProcessor = null;
+    this.engine = null;
+    this.settings = { ...config.ingest, ...options };
+
+    this.queueTail = Promise.resolve();
+    this.activeJobs = new Map(); // jobId -> completion promise
+    this.stopRequested = false;
+
+    this.stats = {
+      articlesReceived: 0,
+      articlesIngested: 0,
+      replayed: 0,
+      failed: 0,
+      jobsCompleted: 0
+    };
+  }
+
+  async initialize(dbManager, newsProcessor, engine) {
+    this.dbManager = dbManager;
+    this.newsProcessor = newsProcessor;
+    this.engine = engine;
+  }
+
+  // Called once alerting listens to the engine, so resumed jobs' events are not lost
+  async start() {
+    // Jobs interrupted by a restart continue after their last finished article
+    const unfinished = await this.dbManager.findIngestJobs(
+      { status: { $in: ['pending', 'running'] } },
+      { sort: { createdAt: 1 } }
+    );
+    for (const job of unfinished) {
+      this.startJob(job);
+    }
+    if (unfinished.length > 0) {
+      logger.info(`🔄 Resumed ${unfinished.length} ingest jobs`);
+    }
+  }
+
+  // Synchronous ingestion: resolves with one result per article
+  async ingest(articles) {
+    const results = [];
+    for (const [index, input] of articles.entries()) {
+      results.push(await this.ingestArticle(input, index));
+    }
+    return results;
+  }
+
+  // Asynchronous ingestion: the job is stored first, so it survives a restart
+  async submitJob(articles) {
+    const job = {
+      status: 'pending',
+      total: articles.length,
+      processed: 0,
+      articles,
+      results: []
+    };
+    const result = await this.dbManager.insertIngestJob(job);
+    job._id = result.insertedId;
+
+    this.startJob(job);
+    return job;
+  }
+
+  startJob(job) {
+    const completion = this.runJob(job)
+      .catch(async (error) => {
+        logger.error(`❌ Ingest job ${job._id} failed:`, error);
+        await this.dbManager.updateIngestJob(job._id, { status: 'failed', error: error.message });
+      })
+      .finally(() => this.activeJobs.delete(String(job._id)));
+
+    this.activeJobs.set(String(job._id), completion);
+  }
+
+  async runJob(job) {
+    await this.dbManager.updateIngestJob(job._id, { status: 'running', startedAt: job.startedAt || new Date() });
+
+    for (let index = job.results.length; index < job.articles.length; index++) {
+      if (this.stopRequested) {
+        await this.dbManager.updateIngestJob(job._id, { status: 'pending' });
+        return;
+      }
+
+      job.results.push(await this.ingestArticle(job.articles[index], index));
+      await this.dbManager.updateIngestJob(job._id, { results: job.results, processed: job.results.length });
+    }
+
+    await this.dbManager.updateIngestJob(job._id, { status: 'completed', finishedAt: new Date() });
+    this.stats.jobsCompleted++;
+    logger.info(`✅ Ingest job ${job._id} completed: ${job.total} articles`);
+  }
+
+  async getJob(jobId) {
+    const job = await this.dbManager.findIngestJob({ _id: jobId });
+    if (!job) return null;
+
+    // The submitted articles are only kept to resume the job
+    delete job.articles;
+    return job;
+  }
+
+  // Never throws: a failed article is reported in its result
+  async ingestArticle(input, index) {
+    this.stats.articlesReceived++;
+    const key = input.idempotencyKey || null;
+
+    try {
+      if (key) {
+        const earlier = await this.claimKey(key, this.fingerprintOf(input));
+        if (earlier) {
+          return { index, idempotencyKey: key, ...earlier };
+        }
+      }
+
+      const result = await this.enqueue(() => this.processArticle(input));
+
+      if (key) {
+        await this.dbManager.updateIngestKey(key, { status: 'completed', result });
+      }
+      return { index, idempotencyKey: key, ...result };
+
+    } catch (error) {
+      logger.error(`❌ Failed to ingest article "${input.title}":`, error.message);
+      this.stats.failed++;
+
+      // Nothing was decided, so the producer may retry with the same key
+      if (key) {
+        await this.dbManager.deleteIngestKey(key).catch(() => {});
+      }
+      return { index, idempotencyKey: key, status: 'failed', error: error.message };
+    }
+  }
+
+  // Claims a new key and returns null, or returns what the key was first used for
+  async claimKey(key, fingerprint) {
+    try {
+      await this.dbManager.insertIngestKey({
+        key,
+        fingerprint,
+        status: 'processing',
+        expiresAt: new Date(Date.now() + this.settings.idempotencyTtlHours * HOUR_MS)
+      });
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const entry = await this.dbManager.findIngestKey(key);
+    if (!entry) {
+      throw new Error(`Idempotency key "${key}" was released while being claimed; retry the request`);
+    }
+
+    if (entry.fingerprint !== fingerprint) {
+      return { status: 'conflict', error: 'Idempotency key was already used for a different article' };
+    }
+    if (entry.status !== 'completed') {
+      if (Date.now() - entry.updatedAt.getTime() < KEY_LEASE_MS) {
+        return { status: 'in_progress' };
+      }
+      // A stored article under the same URL is still found, so nothing is ingested twice
+      await this.dbManager.updateIngestKey(key, { status: 'processing' });
+      return null;
+    }
+
+    this.stats.replayed++;
+    return { ...entry.result, status: 'replayed', firstStatus: entry.result.status };
+  }
+
+  // The same key must always describe the same article
+  fingerprintOf(input) {
+    return crypto.createHash('sha256')
+      .update([input.url, input.title, input.content || '', input.summary || ''].join('\n'))
+      .digest('hex');
+  }
+
+  // Runs `task` after every article handed in before it
+  enqueue(task) {
+    const run = this.queueTail.then(task);
+    this.queueTail = run.catch(() => {});
+    return run;
+  }
+
+  async processArticle(input) {
+    const article = await this.buildArticle(input);
+    const stored = await this.newsProcessor.storeArticle(article);
+
+    if (!stored) {
+      // Already stored under this (canonical) URL, by a feed or an earlier ingest
+      const existing = await this.newsProcessor.findExistingArticle(article);
+      if (existing) {
+        return { status: 'exists', ...await this.describe(existing) };
+      }
+
+      // Exact copies are dropped before storage, like feed items
+      const original = await this.dbManager.findArticle({ contentHash: article.contentHash });
+      return {
+        status: 'dropped',
+        articleId: null,
+        verdict: 'duplicate',
+        originalArticleId: original ? original._id : null,
+        storyGroupId: original ? original.storyGroupId || null : null,
+        score: 1.0,
+        method: 'content_hash',
+        breakdown: null
+      };
+    }
+
+    try {
+      await this.engine.performDeduplication(stored);
+    } catch (error) {
+      // The queue retries it like a feed article; the verdict can be read later
+      logger.warn(`⚠️  Ingested article queued after scoring failed: ${error.message}`);
+      await this.engine.processArticle(stored);
+      this.stats.articlesIngested++;
+      return { status: 'queued', ...await this.describe(stored) };
+    }
+
+    this.stats.articlesIngested++;
+    const processed = await this.dbManager.findArticle({ _id: stored._id });
+    return { status: 'ingested', ...await this.describe(processed) };
+  }
+
+  // Verdict of a stored article with its matched original and score breakdown
+  async describe(article) {
+    const result = {
+      articleId: article._id,
+      verdict: article.duplicateChecked ? article.classification || (article.isDuplicate ? 'duplicate' : 'unique') : null,
+      originalArticleId: null,
+      storyGroupId: article.storyGroupId || null,
+      score: null,
+      method: null,
+      breakdown: null
+    };
+
+    const originalId = article.isDuplicate
+      ? article.originalArticleId
+      : article.classification === 'update' ? article.updateOf : null;
+    if (!originalId) return result;
+
+    result.originalArticleId = originalId;
+
+    const record = await this.dbManager.findDuplicate({
+      originalArticleId: originalId,
+      duplicateArticleId: article._id
+    });
+
+    if (record) {
+      result.score = record.similarityScore;
+      result.method = record.detectionMethod;
+      result.breakdown = record.similarityBreakdown || null;
+    } else {
+      // Updates are not stored as duplicate records
+      const original = await this.dbManager.findArticle({ _id: originalId });
+      if (original) {
+        const similarity = await this.engine.calculateSimilarityScore(article, original, { dryRun: true });
+        result.score = article.updateSimilarity ?? similarity.overallScore;
+        result.method = similarity.method;
+        result.breakdown = this.engine.toBreakdown(similarity);
+      }
+    }
+
+    if (article.classification === 'update') {
+      result.newFacts = article.newFacts || [];
+    }
+
+    return result;
+  }
+
+  // Dry-run similarity check: a stored article, a fetched URL or a payload,
+  // prepared like an ingested article but never stored. Null when not found.
+  async resolveArticle(ref) {
+    if (ref.id) {
+      return this.dbManager.findArticle({ _id: ref.id });
+    }
+
+    let input = { ...ref, source: ref.source || (ref.url ? new URL(ref.url).hostname : 'Ad hoc') };
+
+    if (!ref.title) {
+      const extracted = await this.newsProcessor.extractFullContent(ref.url);
+      if (!extracted || !extracted.title) return null;
+
+      input = {
+        ...input,
+        title: extracted.title,
+        content: extracted.content,
+        author: extracted.author || undefined,
+        publishedAt: ref.publishedAt || extracted.publishDate || undefined
+      };
+    }
+
+    return this.newsProcessor.enrichArticle(await this.buildArticle(input));
+  }
+
+  // Would the two articles be considered duplicates? Nothing is written
+  async checkSimilarity(first, second) {
+    // The later arrival is compared against the earlier one, as in live deduplication
+    const [candidate, article] = [first, second]
+      .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+    return {
+      article: this.summarize(article),
+      candidate: this.summarize(candidate),
+      ...await this.engine.checkSimilarity(article, candidate)
+    };
+  }
+
+  summarize(article) {
+    return {
+      _id: article._id || null,
+      title: article.title,
+      canonicalTitle: article.canonicalTitle || null,
+      source: article.source,
+      url: article.url || null,
+      publishedAt: article.publishedAt,
+      language: article.language
+    };
+  }
+
+  async buildArticle(input) {
+    const article = await this.newsProcessor.extractArticleData(this.toFeedItem(input), this.feedFor(input));
+
+    // Producers know these better than the feed heuristics
+    if (input.language) article.language = input.language;
+    if (input.imageUrl) article.imageUrl = input.imageUrl;
+
+    return article;
+  }
+
+  // Ingested articles go through the feed pipeline as if their source were a feed
+  feedFor(input) {
+    return {
+      id: input.sourceId || input.source,
+      name: input.source,
+      category: input.category,
+      tags: input.tags,
+      priority: input.priority
+    };
+  }
+
+  toFeedItem(input) {
+    return {
+      title: input.title,
+      link: input.url,
+      guid: input.guid || input.url,
+      content: input.content,
+      summary: input.summary,
+      creator: input.author,
+      isoDate: input.publishedAt
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      activeJobs: this.activeJobs.size
+    };
+  }
+
+  async stop() {
+    // Running jobs finish their current article and resume after restart
+    this.stopRequested = true;
+    await Promise.all(this.activeJobs.values());
+  }
+}
+
+module.exports = IngestService;
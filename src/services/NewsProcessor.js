@@ -1,52 +1,46 @@
-const RSSParser = require('rss-parser');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const crypto = require('crypto');
 const EventEmitter = require('events');
-const cron = require('node-cron');
 const fs = require('fs').promises;
 
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const ContentExtractor = require('../utils/ContentExtractor');
 const EntityExtractor = require('../utils/EntityExtractor');
+const SimHash = require('../utils/SimHash');
+const PollingPolicy = require('../utils/PollingPolicy');
+const TitleCanonicalizer = require('../utils/TitleCanonicalizer');
+const UrlCanonicalizer = require('../utils/UrlCanonicalizer');
+const SiteFetcher = require('./SiteFetcher');
+const { OVERRIDE_FIELDS, feedSchema } = require('../config/feedSchema');
+const { createAdapter } = require('../adapters');
 
 class NewsProcessor extends EventEmitter {
   constructor() {
     super();
     this.dbManager = null;
-    this.rssParser = new RSSParser({
-      timeout: config.feeds.timeoutMs,
-      headers: {
-        'User-Agent': config.feeds.userAgent,
-      },
-      customFields: {
-        item: [
-          ['media:content', 'mediaContent'],
-          ['media:thumbnail', 'mediaThumbnail'],
-          ['dc:creator', 'creator'],
-          ['content:encoded', 'contentEncoded'],
-          ['excerpt:encoded', 'excerptEncoded'],
-          ['wfw:commentRss', 'commentRss'],
-          ['slash:comments', 'commentCount']
-        ],
-        feed: [
-          ['language', 'language'],
-          ['sy:updatePeriod', 'updatePeriod'],
-          ['sy:updateFrequency', 'updateFrequency']
-        ]
-      }
-    });
+    this.adapters = new Map(); // feed type -> source adapter
     
     this.contentExtractor = new ContentExtractor();
     this.entityExtractor = new EntityExtractor();
+    this.simHash = new SimHash(config.deduplication.simhash);
+    this.titleCanonicalizer = new TitleCanonicalizer();
+    this.urlCanonicalizer = new UrlCanonicalizer();
+    this.siteFetcher = new SiteFetcher(); // robots.txt and rate limits of scrape feeds
+    this.pollingPolicy = new PollingPolicy({
+      ...config.feeds.polling,
+      defaultIntervalMs: config.feeds.refreshIntervalMs
+    });
     this.feeds = [];
-    this.cronJob = null;
+    this.pollTimer = null;
     this.isProcessing = false;
     this.processingStats = {
       totalProcessed: 0,
       totalDuplicates: 0,
       totalErrors: 0,
+      notModified: 0,
+      itemsSeen: 0, // Feed items skipped because an earlier poll processed them
       lastProcessedAt: null
     };
   }
@@ -54,6 +48,7 @@ class NewsProcessor extends EventEmitter {
   async initialize(dbManager) {
     this.dbManager = dbManager;
     await this.loadFeeds();
+    await this.learnTitleAffixes();
     logger.info('📰 News processor initialized');
   }
 
@@ -62,14 +57,28 @@ class NewsProcessor extends EventEmitter {
       const feedsConfig = await fs.readFile(config.feeds.configFile, 'utf8');
       const { feeds } = JSON.parse(feedsConfig);
       
-      this.feeds = feeds.filter(feed => feed.enabled);
+      this.feeds = feeds.map(feed => this.validateFeed(feed)).filter(feed => feed.enabled);
+      
+      // Validators, schedules and settings changed through the API survive a restart
+      const stored = await this.dbManager.findFeeds(
+        { id: { $in: this.feeds.map(feed => feed.id) } },
+        { projection: { id: 1, polling: 1, overrides: 1 } }
+      );
+      const storedById = new Map(stored.map(feed => [feed.id, feed]));
       
       // Store feeds in database for tracking
       for (const feed of this.feeds) {
+        const { polling = null, overrides = {} } = storedById.get(feed.id) || {};
+        feed.polling = polling;
+        OVERRIDE_FIELDS.filter(field => field in overrides).forEach(field => {
+          feed[field] = overrides[field];
+        });
+        
         await this.dbManager.mongodb.collection('feeds').replaceOne(
           { id: feed.id },
           {
             ...feed,
+            overrides,
             lastFetchedAt: null,
             articlesProcessed: 0,
             errorCount: 0,
@@ -88,46 +97,86 @@ class NewsProcessor extends EventEmitter {
     }
   }
 
-  async startFeedMonitoring() {
-    if (this.cronJob) {
-      this.cronJob.stop();
+  // Publisher suffixes and section prefixes are learned from each source's recent titles
+  async learnTitleAffixes() {
+    try {
+      const recent = await this.dbManager.findArticles({}, {
+        projection: { source: 1, title: 1 },
+        sort: { publishedAt: -1 },
+        limit: 2000
+      });
+      
+      recent.reverse().forEach(article => this.titleCanonicalizer.observe(article.source, article.title));
+    } catch (error) {
+      logger.warn('⚠️  Failed to learn title affixes from stored articles:', error.message);
     }
+  }
 
-    // Calculate cron pattern based on refresh interval
-    const intervalMinutes = Math.floor(config.feeds.refreshIntervalMs / 60000);
-    const cronPattern = `*/${intervalMinutes} * * * *`;
+  validateFeed(feed) {
+    const { error, value } = feedSchema.validate(feed, { abortEarly: false });
+    
+    if (error) {
+      throw new Error(`Invalid feed "${feed.id || feed.name || feed.url}": ${error.message}`);
+    }
     
-    this.cronJob = cron.schedule(cronPattern, async () => {
+    return value;
+  }
+
+  // Each feed keeps its own schedule (see PollingPolicy); a timer polls the due ones
+  async startFeedMonitoring() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+    }
+
+    this.pollTimer = setInterval(async () => {
       if (!this.isProcessing) {
-        await this.processAllFeeds();
-      } else {
-        logger.warn('⚠️  Previous feed processing still in progress, skipping this cycle');
+        await this.processDueFeeds();
       }
-    }, {
-      scheduled: true,
-      timezone: 'UTC'
-    });
+    }, config.feeds.polling.tickMs);
+
+    logger.info(`⏰ Feed monitoring started with per-feed schedules (${this.feeds.length} feeds)`);
+    
+    // Feeds never polled, or due while the service was down, are polled right away
+    await this.processDueFeeds();
+  }
 
-    logger.info(`⏰ Feed monitoring started with ${intervalMinutes} minute intervals`);
+  async processDueFeeds() {
+    const now = Date.now();
+    const due = this.feeds.filter(feed =>
+      !feed.polling || !feed.polling.nextPollAt || new Date(feed.polling.nextPollAt).getTime() <= now
+    );
     
-    // Process feeds immediately on startup
-    await this.processAllFeeds();
+    if (due.length > 0) {
+      await this.processFeeds(due);
+    }
   }
 
+  // Polls every feed now, whatever its schedule
   async processAllFeeds() {
+    await this.processFeeds(this.feeds);
+  }
+
+  async processFeeds(feeds) {
     this.isProcessing = true;
     const startTime = Date.now();
     
-    logger.info('🔄 Starting RSS feed processing cycle...');
+    logger.info(`🔄 Starting RSS feed processing cycle (${feeds.length} feeds due)...`);
     
     try {
       // Process feeds in batches to avoid overwhelming the system
       const batchSize = config.performance.maxConcurrentFeeds;
-      const feedBatches = this.chunkArray(this.feeds, batchSize);
+      const feedBatches = this.chunkArray(feeds, batchSize);
       
+      const items = { new: 0, seen: 0 };
       for (const batch of feedBatches) {
         const promises = batch.map(feed => this.processFeed(feed));
-        await Promise.allSettled(promises);
+        const results = await Promise.allSettled(promises);
+        for (const result of results) {
+          if (result.status === 'fulfilled' && result.value) {
+            items.new += result.value.newItems;
+            items.seen += result.value.seenItems;
+          }
+        }
       }
       
       const duration = Date.now() - startTime;
@@ -139,10 +188,12 @@ class NewsProcessor extends EventEmitter {
       await this.recordMetrics({
         type: 'feed_processing_cycle',
         duration,
-        feedsProcessed: this.feeds.length,
+        feedsProcessed: feeds.length,
         articlesProcessed: this.processingStats.totalProcessed,
         duplicatesFound: this.processingStats.totalDuplicates,
-        errorsEncountered: this.processingStats.totalErrors
+        errorsEncountered: this.processingStats.totalErrors,
+        itemsNew: items.new,
+        itemsSeen: items.seen
       });
       
     } catch (error) {
@@ -152,6 +203,8 @@ class NewsProcessor extends EventEmitter {
     }
   }
 
+  // Resolves with the poll's { newItems, seenItems } counts (undefined when
+  // the feed was not modified or failed)
   async processFeed(feed) {
     const startTime = Date.now();
     let articlesProcessed = 0;
@@ -159,32 +212,59 @@ class NewsProcessor extends EventEmitter {
     try {
       logger.info(`📡 Processing feed: ${feed.name} (${feed.url})`);
       
-      // Parse RSS feed
-      const feedData = await this.rssParser.parseURL(feed.url);
+      const response = await this.fetchFeed(feed);
+      
+      if (response.notModified) {
+        logger.info(`💤 Feed not modified: ${feed.name}`);
+        this.processingStats.notModified++;
+        await this.dbManager.mongodb.collection('feeds').updateOne(
+          { id: feed.id },
+          { $set: { lastFetchedAt: new Date(), updatedAt: new Date() } }
+        );
+        await this.schedulePoll(feed, { notModified: true, retryAfter: response.retryAfter }, response.validators);
+        return;
+      }
+      
+      // Parse the feed into rss-parser's shape, whatever its format
+      const feedData = await this.adapterFor(feed).parse(response.body, feed);
       
       // Update feed metadata
       await this.updateFeedMetadata(feed, feedData);
       
+      // Items processed on an earlier poll are skipped before extraction and hashing
+      const seen = await this.findSeenItems(feed, feedData.items);
+      const newItems = feedData.items.filter(item => !seen.has(this.itemKey(item)));
+      const done = [...seen];
+      
       // Process each article
-      for (const item of feedData.items) {
+      for (const item of newItems) {
         try {
           const article = await this.processArticle(item, feed);
           if (article) {
             articlesProcessed++;
             this.emit('articleProcessed', article);
           }
+          // Duplicates count as seen too; failed items are retried next poll
+          if (this.itemKey(item)) done.push(this.itemKey(item));
         } catch (error) {
           logger.error(`❌ Failed to process article from ${feed.name}:`, error.message);
           this.processingStats.totalErrors++;
         }
       }
       
+      // Refreshes the items still in the feed, so only vanished ones expire
+      await this.dbManager.markSeenItems(feed.id, done, config.feeds.seenItemsRetentionMs);
+      
+      const seenItems = feedData.items.length - newItems.length;
+      this.processingStats.itemsSeen += seenItems;
+      
       // Update feed statistics
       await this.dbManager.mongodb.collection('feeds').updateOne(
         { id: feed.id },
         {
           $set: {
             lastFetchedAt: new Date(),
+            lastPollItems: { new: newItems.length, seen: seenItems },
             updatedAt: new Date()
           },
           $inc: {
@@ -193,12 +273,26 @@ class NewsProcessor extends EventEmitter {
         }
       );
       
+      await this.schedulePoll(feed, {
+        newArticles: articlesProcessed,
+        retryAfter: response.retryAfter,
+        hints: this.pollingPolicy.readHints(feedData)
+      }, response.validators);
+      
       const duration = Date.now() - startTime;
-      logger.info(`✅ Processed ${articlesProcessed} articles from ${feed.name} in ${duration}ms`);
+      logger.info(`✅ Processed ${articlesProcessed} articles from ${feed.name} in ${duration}ms (${newItems.length} new items, ${seenItems} already seen)`);
+      
+      return { newItems: newItems.length, seenItems };
       
     } catch (error) {
       logger.error(`❌ Failed to process feed ${feed.name}:`, error.message);
       
+      // 429 and 503 responses may say when to come back
+      const retryAfter = this.pollingPolicy.parseRetryAfter(error.response?.headers?.['retry-after']);
+      await this.schedulePoll(feed, { error: error.message, retryAfter }).catch(scheduleError =>
+        logger.warn(`⚠️  Failed to schedule feed ${feed.name}:`, scheduleError.message)
+      );
+      
       // Update error count
       await this.dbManager.mongodb.collection('feeds').updateOne(
         { id: feed.id },
@@ -216,19 +310,164 @@ class NewsProcessor extends EventEmitter {
     }
   }
 
+  // Conditional GET with the validators of the last download: an unchanged
+  // feed answers 304 and is neither downloaded nor parsed again
+  async fetchFeed(feed) {
+    const validators = (feed.polling && feed.polling.validators) || {};
+    const headers = {
+      'User-Agent': config.feeds.userAgent,
+      Accept: this.adapterFor(feed).accept
+    };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+    
+    const request = {
+      headers,
+      timeout: config.feeds.timeoutMs,
+      maxRedirects: config.feeds.maxRedirects,
+      responseType: 'text',
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    };
+    const response = feed.type === 'scrape'
+      ? await this.siteFetcher.get(feed.url, { ...request, minIntervalMs: this.scrapeIntervalMs(feed) })
+      : await axios.get(feed.url, request);
+    
+    return {
+      notModified: response.status === 304,
+      body: response.data,
+      retryAfter: this.pollingPolicy.parseRetryAfter(response.headers['retry-after']),
+      // A 304 may omit the validators; the stored ones still apply
+      validators: {
+        etag: response.headers.etag || validators.etag || null,
+        lastModified: response.headers['last-modified'] || validators.lastModified || null
+      }
+    };
+  }
+
+  adapterFor(feed) {
+    const type = feed.type || 'rss';
+    if (!this.adapters.has(type)) {
+      this.adapters.set(type, createAdapter(type));
+    }
+    return this.adapters.get(type);
+  }
+
+  async schedulePoll(feed, outcome, validators = null) {
+    const polling = this.pollingPolicy.next(feed.polling, outcome);
+    if (validators) polling.validators = validators;
+    
+    feed.polling = polling;
+    await this.dbManager.updateFeedPolling(feed.id, polling);
+  }
+
+  // Keys of the feed's items that an earlier poll already processed: Redis
+  // remembers them per feed, and whatever it does not know (everything,
+  // without Redis) is looked up among the stored articles in one query
+  async findSeenItems(feed, items) {
+    const keys = items.map(item => this.itemKey(item)).filter(Boolean);
+    const seen = (await this.dbManager.findSeenItems(feed.id, keys)) || new Set();
+    
+    const unknown = items.filter(item => this.itemKey(item) && !seen.has(this.itemKey(item)));
+    if (unknown.length === 0) {
+      return seen;
+    }
+    
+    // Redirect wrappers are only resolved for new items, in storeArticle
+    const canonical = new Map(unknown.map(item => [item, this.urlCanonicalizer.canonicalize(item.link || item.guid)]));
+    const stored = await this.dbManager.findStoredItems(feed.id, {
+      urls: unknown.map(item => item.link || item.guid),
+      canonicalUrls: [...canonical.values()].filter(Boolean),
+      guids: unknown.map(item => item.guid).filter(Boolean)
+    });
+    const storedUrls = new Set(stored.flatMap(article => [article.url, article.canonicalUrl]).filter(Boolean));
+    const storedGuids = new Set(stored.map(article => article.guid).filter(Boolean));
+    
+    for (const item of unknown) {
+      if (storedUrls.has(item.link || item.guid) || storedUrls.has(canonical.get(item)) || storedGuids.has(item.guid)) {
+        seen.add(this.itemKey(item));
+      }
+    }
+    return seen;
+  }
+
+  // GUIDs identify items even when their URL changes; the URL serves otherwise
+  itemKey(item) {
+    return item.guid || item.link;
+  }
+
   async processArticle(item, feed) {
+    let fullContent = null;
+    if (feed.type === 'scrape') {
+      // Listing pages only give a link, title and date: the rest is on the article page
+      try {
+        fullContent = await this.scrapeArticle(item.link, feed);
+      } catch (error) {
+        // Listings often link to sections robots.txt excludes; that is not a failure
+        if (error.code !== 'ROBOTS_DISALLOWED') throw error;
+        logger.debug(`🤖 Skipping ${item.link}: disallowed by robots.txt`);
+        return null;
+      }
+      item = this.scrapedItem(item, fullContent);
+    }
+    
+    // Extract basic article data
+    const article = await this.extractArticleData(item, feed);
+    if (fullContent) {
+      article.fullContent = fullContent;
+    }
+    return this.storeArticle(article);
+  }
+
+  async scrapeArticle(url, feed) {
+    const response = await this.siteFetcher.get(url, { minIntervalMs: this.scrapeIntervalMs(feed) });
+    const extracted = await this.contentExtractor.extractComplete(response.data, url);
+    if (!extracted || !extracted.content) {
+      throw new Error(`No article content found at ${url}`);
+    }
+    return extracted;
+  }
+
+  // An rss-parser style item from the listing entry and the extracted article page
+  scrapedItem(item, extracted) {
+    const meta = extracted.metaTags || {};
+    const publishDate = extracted.publishDate ? extracted.publishDate.toISOString() : undefined;
+    
+    return {
+      ...item,
+      title: item.title || extracted.title,
+      content: extracted.content,
+      contentSnippet: meta['og:description'] || meta.description,
+      creator: extracted.author || meta.author,
+      isoDate: item.isoDate || publishDate,
+      pubDate: item.pubDate || publishDate,
+      categories: (meta.keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+      imageUrl: meta['og:image'] || (extracted.images[0] && extracted.images[0].url)
+    };
+  }
+
+  scrapeIntervalMs(feed) {
+    return ((feed.scrape && feed.scrape.requestIntervalSeconds) || 0) * 1000;
+  }
+
+  // Hashes, enriches and stores an extracted article. Returns null when the URL
+  // is already stored or the content hash matches a stored article (article.contentHash
+  // is set by then, so callers can look up the match).
+  async storeArticle(article) {
     try {
-      // Extract basic article data
-      const article = await this.extractArticleData(item, feed);
+      // Tracking parameters, AMP and mobile variants and redirect wrappers share one canonical URL
+      article.canonicalUrl = await this.canonicalUrlOf(article.url);
       
       // Check if article already exists
-      const existingArticle = await this.dbManager.findArticle({ url: article.url });
+      const existingArticle = await this.findExistingArticle(article);
       if (existingArticle) {
         logger.debug(`⚠️  Article already exists: ${article.title}`);
         this.processingStats.totalDuplicates++;
         return null;
       }
       
+      // Each new title counts once towards its source's learned affixes
+      this.titleCanonicalizer.observe(article.source, article.title);
+      
       // Generate content hash for deduplication
       article.contentHash = this.generateContentHash(article);
       
@@ -257,28 +496,36 @@ class NewsProcessor extends EventEmitter {
         return null;
       }
       
-      // Extract full content if enabled
-      if (config.feeds.extractFullContent) {
+      // Extract full content if enabled (scraped articles already have it)
+      if (config.feeds.extractFullContent && !article.fullContent) {
         article.fullContent = await this.extractFullContent(article.url);
       }
       
-      // Extract entities
-      article.entities = await this.entityExtractor.extract(
-        `${article.title} ${article.content || article.summary}`
-      );
-      
-      // Generate summary if not present
-      if (!article.summary && article.content) {
-        article.summary = this.generateSummary(article.content);
+      // The page may name another URL as its canonical one, which may be stored already
+      if (this.adoptDeclaredCanonical(article) && await this.findExistingArticle(article)) {
+        logger.debug(`⚠️  Article already exists under its canonical URL: ${article.title}`);
+        this.processingStats.totalDuplicates++;
+        return null;
       }
       
+      await this.enrichArticle(article);
+      
       // Add metadata
       article.processed = false;
       article.alertSent = false;
       article.duplicateChecked = false;
       
       // Insert article into database
-      const result = await this.dbManager.insertArticle(article);
+      let result;
+      try {
+        result = await this.dbManager.insertArticle(article);
+      } catch (error) {
+        // Another feed stored the same canonical URL in the meantime
+        if (error.code !== 11000) throw error;
+        logger.debug(`⚠️  Article already exists: ${article.title}`);
+        this.processingStats.totalDuplicates++;
+        return null;
+      }
       article._id = result.insertedId;
       
       this.processingStats.totalProcessed++;
@@ -292,9 +539,90 @@ class NewsProcessor extends EventEmitter {
     }
   }
 
+  // Stored under the same canonical URL, or under the same raw URL (articles
+  // stored before canonical URLs existed have none)
+  async findExistingArticle(article) {
+    return this.dbManager.findArticle({
+      $or: [{ canonicalUrl: article.canonicalUrl }, { url: article.url }]
+    });
+  }
+
+  async canonicalUrlOf(url) {
+    const target = await this.resolveRedirectWrapper(url);
+    return this.urlCanonicalizer.canonicalize(target) || url;
+  }
+
+  // Feed redirectors and link shorteners are followed to the article; on any
+  // failure the wrapper URL is kept
+  async resolveRedirectWrapper(url) {
+    const unwrapped = this.urlCanonicalizer.unwrap(url);
+    const settings = config.feeds.redirectWrappers;
+    if (!settings.resolve || !this.urlCanonicalizer.isRedirectWrapper(unwrapped)) {
+      return unwrapped;
+    }
+    
+    try {
+      const response = await axios.head(unwrapped, {
+        timeout: settings.timeoutMs,
+        maxRedirects: settings.maxRedirects,
+        headers: { 'User-Agent': config.feeds.userAgent },
+        validateStatus: () => true
+      });
+      const finalUrl = response.request?.res?.responseUrl || unwrapped;
+      
+      // Consent pages and JavaScript redirects leave the wrapper unresolved
+      return this.urlCanonicalizer.isRedirectWrapper(finalUrl) ? unwrapped : this.urlCanonicalizer.unwrap(finalUrl);
+    } catch (error) {
+      logger.debug(`⚠️  Failed to resolve redirect wrapper ${unwrapped}:`, error.message);
+      return unwrapped;
+    }
+  }
+
+  // Takes the page's rel="canonical" as the canonical URL when it points to an
+  // article on the same site. Cross-site canonicals (syndicated copies) are left
+  // to deduplication, and canonicals to a home page are site template mistakes.
+  // Returns whether the canonical URL changed.
+  adoptDeclaredCanonical(article) {
+    const declared = article.fullContent && article.fullContent.canonicalUrl;
+    const canonicalUrl = declared && this.urlCanonicalizer.canonicalize(declared);
+    
+    if (!canonicalUrl || canonicalUrl === article.canonicalUrl ||
+        !this.urlCanonicalizer.sameSite(canonicalUrl, article.canonicalUrl) ||
+        new URL(canonicalUrl).pathname === '/') {
+      return false;
+    }
+    
+    article.canonicalUrl = canonicalUrl;
+    return true;
+  }
+
+  // Fingerprints, entities and summary: what deduplication compares articles on
+  async enrichArticle(article) {
+    article.contentHash = article.contentHash || this.generateContentHash(article);
+    
+    // Near-duplicate fingerprint for syndicated rewrites
+    article.simhash = this.generateSimHash(article);
+    article.simhashBlocks = this.simHash.getBlocks(article.simhash);
+    
+    // Extract entities
+    article.entities = await this.entityExtractor.extract(
+      `${article.title} ${article.content || article.summary}`
+    );
+    
+    // Generate summary if not present
+    if (!article.summary && article.content) {
+      article.summary = this.generateSummary(article.content);
+    }
+    
+    return article;
+  }
+
   async extractArticleData(item, feed) {
+    const title = this.cleanText(item.title);
+    
     const article = {
-      title: this.cleanText(item.title),
+      title,
+      canonicalTitle: this.titleCanonicalizer.canonicalize(title, feed.name),
       url: item.link || item.guid,
       source: feed.name,
       sourceId: feed.id,
@@ -312,14 +640,17 @@ class NewsProcessor extends EventEmitter {
       guid: item.guid,
       
       // Media
-      imageUrl: this.extractImageUrl(item),
+      imageUrl: item.imageUrl || this.extractImageUrl(item),
       
       // RSS specific - FIXED: Safely handle categories
       categories: this.extractCategories(item.categories),
       
       // Processing metadata
       fetchedAt: new Date(),
-      language: this.detectLanguage(item.title + ' ' + (item.summary || '')),
+      // Atom, JSON Feed and news sitemaps may declare the language
+      language: item.language || this.detectLanguage(
+        item.title + ' ' + (item.summary || item.contentSnippet || item.content || '')
+      ),
     };
     
     // Add location if extractable
@@ -450,6 +781,10 @@ class NewsProcessor extends EventEmitter {
       .digest('hex');
   }
 
+  generateSimHash(article) {
+    return this.simHash.compute(`${article.title} ${article.content || article.summary || ''}`);
+  }
+
   normalizeForHashing(text) {
     return text
       .toLowerCase()
@@ -574,9 +909,9 @@ class NewsProcessor extends EventEmitter {
   }
 
   async stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
     }
     
     this.isProcessing = false;
@@ -588,9 +923,24 @@ class NewsProcessor extends EventEmitter {
       ...this.processingStats,
       isProcessing: this.isProcessing,
       feedCount: this.feeds.length,
-      nextProcessingTime: this.cronJob ? this.cronJob.nextDates().toISOString() : null
+      nextProcessingTime: this.pollTimer ? this.nextPollTime() : null,
+      scraping: this.siteFetcher.getStats(),
+      feeds: this.feeds.map(feed => ({
+        id: feed.id,
+        intervalMinutes: feed.polling ? Math.round(feed.polling.intervalMs / 60000 * 10) / 10 : null,
+        articlesPerHour: feed.polling?.articlesPerHour ?? null,
+        lastStatus: feed.polling?.lastStatus || null,
+        nextPollAt: feed.polling?.nextPollAt || null
+      }))
     };
   }
+
+  nextPollTime() {
+    const times = this.feeds.map(feed =>
+      feed.polling && feed.polling.nextPollAt ? new Date(feed.polling.nextPollAt).getTime() : Date.now()
+    );
+    return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+  }
 }
 
 module.exports = NewsProcessor;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const ContentExtractor = require('./ContentExtractor');
+
+const PRIORITY_VALUES = { high: 3, medium: 2, low: 1 };
+
+// Picks the "best version" of a story from a group of duplicate articles.
+// Every policy scores each article; ties fall back to the earliest publication.
+class CanonicalSelector {
+  constructor(options = {}) {
+    this.defaultPolicy = options.defaultPolicy || 'earliest';
+    this.categoryPolicies = options.categoryPolicies || {};
+    this.trustedSources = (options.trustedSources || []).map(source => source.toLowerCase());
+    this.contentExtractor = new ContentExtractor();
+  }
+
+  policyFor(category) {
+    return this.categoryPolicies[category] || this.defaultPolicy;
+  }
+
+  select(articles, category) {
+    const policy = this.policyFor(category);
+
+    const ranked = articles
+      .map(article => ({ article, score: this.score(article, policy) }))
+      .sort((a, b) =>
+        b.score - a.score ||
+        new Date(a.article.publishedAt) - new Date(b.article.publishedAt) ||
+        String(a.article._id).localeCompare(String(b.article._id))
+      );
+
+    return ranked[0].article;
+  }
+
+  score(article, policy) {
+    switch (policy) {
+      case 'most_complete':
+        return this.wordCount(article);
+      case 'feed_priority':
+        return PRIORITY_VALUES[article.priority] || PRIORITY_VALUES.medium;
+      case 'trusted_source':
+        return this.trustRank(article);
+      case 'quality':
+        return this.contentExtractor.assessContentQuality(this.toExtracted(article));
+      case 'earliest':
+      default:
+        // Ordering alone decides
+        return 0;
+    }
+  }
+
+  wordCount(article) {
+    const content = (article.fullContent && article.fullContent.content) ||
+      article.content || article.summary || '';
+    return this.contentExtractor.countWords(content);
+  }
+
+  // Earlier entries in the trusted list rank higher; unlisted sources score 0
+  trustRank(article) {
+    const source = (article.source || '').toLowerCase();
+    let hostname = '';
+    try {
+      hostname = new URL(article.url).hostname.toLowerCase();
+    } catch {
+      // Articles without a parseable URL are matched by source name only
+    }
+
+    const index = this.trustedSources.findIndex(trusted =>
+      source === trusted || hostname === trusted || hostname.endsWith(`.${trusted}`)
+    );
+    return index === -1 ? 0 : this.trustedSources.length - index;
+  }
+
+  // assessContentQuality expects an extraction result; fill it from the feed item
+  toExtracted(article) {
+    const extracted = article.fullContent || {};
+
+    return {
+      wordCount: extracted.wordCount || this.wordCount(article),
+      title: extracted.title || article.title,
+      author: extracted.author || article.author,
+      publishDate: extracted.publishDate || article.publishedAt,
+      images: extracted.images || (article.imageUrl ? [article.imageUrl] : []),
+      structuredData: extracted.structuredData || []
+    };
+  }
+}
+
+module.exports = CanonicalSelector;
@@ -85,6 +85,7 @@ class ContentExtractor {
         publishDate,
         images,
         links,
+        canonicalUrl: this.extractCanonicalUrl($, url),
         wordCount: this.countWords(content),
         readingTime: this.estimateReadingTime(content)
       };
@@ -252,6 +253,15 @@ class ContentExtractor {
     return images.slice(0, 10); // Limit to 10 images
   }
 
+  // The page's own <link rel="canonical">, or its og:url
+  extractCanonicalUrl($, baseUrl) {
+    const href = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+    if (!href) return null;
+    
+    const url = this.makeAbsoluteUrl(href.trim(), baseUrl);
+    return this.isValidLink(url) ? url : null;
+  }
+
   extractLinks($, baseUrl) {
     const links = [];
     const seenUrls = new Set();
@@ -442,6 +452,7 @@ class ContentExtractor {
         publishDate: this.extractPublishDate($),
         images: this.extractImages($, url),
         links: this.extractLinks($, url),
+        canonicalUrl: this.extractCanonicalUrl($, url),
         metaTags: this.extractMetaTags($),
         structuredData: this.extractStructuredData($)
       };
@@ -0,0 +1,160 @@
+const natural = require('natural');
+const stopword = require('stopword');
+
+// Rolling corpus TF-IDF model. Document frequencies cover every article in
+// the deduplication time window; the owner persists them and feeds updates in.
+class CorpusTfIdf {
+  constructor(options = {}) {
+    this.stopWords = new Set([...stopword.eng, ...(options.stopWords || [])]);
+    this.stemmer = options.stemmer || natural.PorterStemmer;
+    this.languageAnalyzer = options.languageAnalyzer || null;
+    this.maxCachedVectors = options.maxCachedVectors || 5000;
+    this.cacheRefreshRatio = options.cacheRefreshRatio || 0.1;
+
+    this.documentFrequencies = new Map();
+    this.documentCount = 0;
+    this.vectorCache = new Map();
+  }
+
+  load(termFrequencies, documentCount) {
+    this.documentFrequencies = new Map(termFrequencies);
+    this.documentCount = documentCount;
+    this.vectorCache.clear();
+  }
+
+  tokenize(text, language = 'en') {
+    if (!text || typeof text !== 'string') return [];
+
+    // Other languages get their own stopwords and stemmer; all share one vocabulary
+    if (language !== 'en' && this.languageAnalyzer && this.languageAnalyzer.supports(language)) {
+      return this.languageAnalyzer.tokenize(text, language).slice(0, 1000);
+    }
+
+    return text.toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && word.length < 20 && !/^\d+$/.test(word))
+      .filter(word => !this.stopWords.has(word))
+      .slice(0, 1000) // Limit words to prevent memory issues
+      .map(word => this.stemmer.stem(word));
+  }
+
+  // Returns the unique terms so the caller can persist the document
+  addDocument(text, language) {
+    const terms = [...new Set(this.tokenize(text, language))];
+    if (terms.length === 0) return terms;
+
+    this.applyTerms(terms, 1);
+    return terms;
+  }
+
+  removeDocument(terms) {
+    if (!terms || terms.length === 0) return;
+    this.applyTerms(terms, -1);
+  }
+
+  applyTerms(terms, delta) {
+    for (const term of terms) {
+      const frequency = (this.documentFrequencies.get(term) || 0) + delta;
+      if (frequency > 0) {
+        this.documentFrequencies.set(term, frequency);
+      } else {
+        this.documentFrequencies.delete(term);
+      }
+    }
+    this.documentCount = Math.max(0, this.documentCount + delta);
+  }
+
+  idf(term) {
+    // Smoothed so terms unseen in the corpus still carry weight
+    const frequency = this.documentFrequencies.get(term) || 0;
+    return Math.log((this.documentCount + 1) / (frequency + 1)) + 1;
+  }
+
+  buildVector(text, language) {
+    const tokens = this.tokenize(text, language);
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [term, count] of counts) {
+      const weight = (count / tokens.length) * this.idf(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    // L2-normalize so similarity is a plain dot product
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (const [term, weight] of vector) {
+        vector.set(term, weight / norm);
+      }
+    }
+
+    return vector;
+  }
+
+  // A null key (an article that was never stored) is not cached
+  getVector(key, text, language) {
+    if (key === null) return this.buildVector(text, language);
+
+    const cached = this.vectorCache.get(key);
+
+    // Reuse while the corpus has not drifted too far since the vector was built
+    if (cached && Math.abs(this.documentCount - cached.documentCount) <=
+        Math.max(1, cached.documentCount * this.cacheRefreshRatio)) {
+      return cached.vector;
+    }
+
+    const vector = this.buildVector(text, language);
+
+    if (this.vectorCache.size >= this.maxCachedVectors) {
+      const firstKey = this.vectorCache.keys().next().value;
+      this.vectorCache.delete(firstKey);
+    }
+    this.vectorCache.set(key, { vector, documentCount: this.documentCount });
+
+    return vector;
+  }
+
+  similarity(vectorA, vectorB) {
+    if (!vectorA || !vectorB || vectorA.size === 0 || vectorB.size === 0) return 0;
+
+    const [smaller, larger] = vectorA.size <= vectorB.size ? [vectorA, vectorB] : [vectorB, vectorA];
+    let dotProduct = 0;
+
+    for (const [term, weight] of smaller) {
+      const other = larger.get(term);
+      if (other) dotProduct += weight * other;
+    }
+
+    return Math.min(1, dotProduct);
+  }
+
+  topOverlappingTerms(vectorA, vectorB, limit = 10) {
+    const overlap = [];
+
+    for (const [term, weight] of vectorA) {
+      const other = vectorB.get(term);
+      if (other) {
+        overlap.push({ term, contribution: weight * other });
+      }
+    }
+
+    return overlap
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, limit);
+  }
+
+  getStats() {
+    return {
+      documentCount: this.documentCount,
+      vocabularySize: this.documentFrequencies.size,
+      cachedVectors: this.vectorCache.size
+    };
+  }
+}
+
+module.exports = CorpusTfIdf;
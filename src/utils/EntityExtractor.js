@@ -12,7 +12,7 @@ class EntityExtractor {
       
       // Money amounts
       money: [
-        /\$[\d,]+(?:\.\d{2})?(?:\s*(?:million|billion|trillion|M|B|T))?/gi,
+        /\$[\d,]+(?:\.\d+)?(?:\s*(?:million|billion|trillion|bn|mn|[MBT])\b)?/gi,
         /(?:USD|EUR|GBP|JPY)\s*[\d,]+(?:\.\d{2})?/gi
       ],
       
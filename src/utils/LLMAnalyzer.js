@@ -55,8 +55,9 @@ class LLMAnalyzer {
       return this.parseValidationResponse(response);
       
     } catch (error) {
+      // Still answers, but flagged so callers do not take it for the provider's verdict
       logger.warn('⚠️  LLM duplicate validation failed:', error.message);
-      return this.getMockValidation(article1, article2);
+      return { ...this.getMockValidation(article1, article2), fallback: true, error: error.message };
     }
   }
 
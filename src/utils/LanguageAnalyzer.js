@@ -0,0 +1,160 @@
+const natural = require('natural');
+const stopword = require('stopword');
+
+// Per-language text processing plus the language-agnostic signals (money,
+// percentages, tickers, names) that still line up when two articles report
+// the same story in different languages.
+const LANGUAGES = {
+  en: { stemmer: natural.PorterStemmer, stopWords: stopword.eng, decimal: '.' },
+  es: { stemmer: natural.PorterStemmerEs, stopWords: stopword.spa, decimal: ',' },
+  fr: { stemmer: natural.PorterStemmerFr, stopWords: stopword.fra, decimal: ',' },
+  de: { stemmer: natural.PorterStemmerDe, stopWords: stopword.deu, decimal: ',' }
+};
+
+// Scale words differ by language: an English "billion" is a French "milliard",
+// while a German "Billion" or Spanish "billón" is a thousand times larger
+const SCALES = {
+  en: { thousand: 1e3, million: 1e6, mn: 1e6, m: 1e6, billion: 1e9, bn: 1e9, b: 1e9, trillion: 1e12, t: 1e12 },
+  es: { mil: 1e3, millón: 1e6, millon: 1e6, millones: 1e6, 'mil millones': 1e9, billón: 1e12, billones: 1e12 },
+  fr: { mille: 1e3, million: 1e6, millions: 1e6, milliard: 1e9, milliards: 1e9, md: 1e9, mds: 1e9, billion: 1e12, billions: 1e12 },
+  de: { tausend: 1e3, million: 1e6, millionen: 1e6, mio: 1e6, milliarde: 1e9, milliarden: 1e9, mrd: 1e9, billion: 1e12, billionen: 1e12 }
+};
+
+const CURRENCY_SYMBOLS = { 'us$': 'USD', $: 'USD', '€': 'EUR', '£': 'GBP', usd: 'USD', eur: 'EUR', gbp: 'GBP' };
+const CURRENCY_WORDS = {
+  USD: ['dollar', 'dollars', 'dólar', 'dólares', 'us-dollar'],
+  EUR: ['euro', 'euros'],
+  GBP: ['pound', 'pounds', 'pfund', 'libra', 'libras', 'livre', 'livres']
+};
+const PERCENT_WORDS = ['percent', 'per cent', 'prozent', 'por ciento', 'pour cent'];
+
+const NAME_TYPES = ['PERSON', 'ORGANIZATION', 'COMPANY'];
+
+class LanguageAnalyzer {
+  constructor(options = {}) {
+    this.minSignals = options.minSignals || 2;
+
+    const scaleWords = [...new Set(Object.values(SCALES).flatMap(scale => Object.keys(scale)))]
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.replace(' ', '\\s+'));
+    const currencyWords = Object.values(CURRENCY_WORDS).flat();
+
+    // "$1.2 billion", "US$1.2bn", "1,2 Milliarden Dollar", "1.200 millones de dólares"
+    this.moneyPattern = new RegExp(
+      `(us\\$|\\$|€|£|\\b(?:usd|eur|gbp)\\b)?\\s*(\\d+(?:[.,]\\d+)*)\\s*` +
+      `(?:(${scaleWords.join('|')})\\b\\.?)?\\s*(?:de\\s+|d')?(${currencyWords.join('|')}|€|\\b(?:usd|eur|gbp)\\b)?`,
+      'giu'
+    );
+    this.percentPattern = new RegExp(
+      `(\\d+(?:[.,]\\d+)?)\\s?(?:%|(?:${PERCENT_WORDS.join('|').replace(/ /g, '\\s+')})\\b)`,
+      'giu'
+    );
+    // Exchange-qualified tickers "(NASDAQ: ACME)" and cashtags "$ACME"
+    this.tickerPattern = /\((?:nasdaq|nyse|lse|xetra|etr|fra|tsx|bme|epa)\s*:\s*([a-z]{1,6}(?:\.[a-z]{1,2})?)\)|\$([A-Z]{1,6})\b/gi;
+  }
+
+  supports(language) {
+    return Boolean(LANGUAGES[language]);
+  }
+
+  languageOf(article) {
+    return this.supports(article.language) ? article.language : 'en';
+  }
+
+  normalize(text) {
+    if (!text) return '';
+    return text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  tokenize(text, language) {
+    const { stemmer, stopWords } = LANGUAGES[language] || LANGUAGES.en;
+    const stopSet = new Set(stopWords);
+
+    return this.normalize(text)
+      .split(' ')
+      .filter(word => word.length > 2 && word.length < 20 && !/^\d+$/.test(word))
+      .filter(word => !stopSet.has(word))
+      .map(word => stemmer.stem(word));
+  }
+
+  // Accents and case differ between languages; "Société Générale" == "Societe Generale"
+  foldName(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  parseNumber(raw, language) {
+    const { decimal } = LANGUAGES[language] || LANGUAGES.en;
+    const thousands = decimal === '.' ? ',' : '.';
+
+    // A lone separator followed by three digits is a thousands separator either way
+    const cleaned = /^\d{1,3}([.,])\d{3}$/.test(raw) && raw.includes(thousands)
+      ? raw.replace(thousands, '')
+      : raw.split(thousands).join('').replace(decimal, '.');
+
+    return parseFloat(cleaned);
+  }
+
+  extractSignals(article) {
+    const language = this.languageOf(article);
+    const text = `${article.title || ''} ${article.content || article.summary || ''}`;
+    const signals = new Set();
+
+    for (const match of text.matchAll(this.moneyPattern)) {
+      const [, symbol, amount, scaleWord, currencyWord] = match;
+      if (!symbol && !currencyWord) continue;
+
+      const currency = symbol
+        ? CURRENCY_SYMBOLS[symbol.toLowerCase()]
+        : CURRENCY_SYMBOLS[currencyWord.toLowerCase()] ||
+          Object.keys(CURRENCY_WORDS).find(code => CURRENCY_WORDS[code].includes(currencyWord.toLowerCase()));
+      const scales = SCALES[language];
+      const scale = scaleWord
+        ? scales[scaleWord.toLowerCase().replace(/\s+/g, ' ')] || SCALES.en[scaleWord.toLowerCase()] || 1
+        : 1;
+
+      const value = this.parseNumber(amount, language) * scale;
+      if (value > 0) {
+        signals.add(`MONEY:${currency}:${Number(value.toPrecision(3))}`);
+      }
+    }
+
+    for (const match of text.matchAll(this.percentPattern)) {
+      signals.add(`PERCENTAGE:${this.parseNumber(match[1], language)}`);
+    }
+
+    for (const match of text.matchAll(this.tickerPattern)) {
+      signals.add(`TICKER:${(match[1] || match[2]).toUpperCase()}`);
+    }
+
+    // Names travel across languages unchanged; compare them word by word
+    const stopSet = new Set(LANGUAGES[language].stopWords);
+    for (const entity of article.entities || []) {
+      if (!NAME_TYPES.includes(entity.type)) continue;
+      this.normalize(this.foldName(entity.name))
+        .split(' ')
+        .filter(word => word.length > 2 && !stopSet.has(word))
+        .forEach(word => signals.add(`NAME:${word}`));
+    }
+
+    return signals;
+  }
+
+  // Dice coefficient over the two signal sets; too few signals is no evidence
+  signalSimilarity(article1, article2) {
+    const signals1 = this.extractSignals(article1);
+    const signals2 = this.extractSignals(article2);
+
+    if (signals1.size < this.minSignals || signals2.size < this.minSignals) return 0;
+
+    const shared = [...signals1].filter(signal => signals2.has(signal)).length;
+    return 2 * shared / (signals1.size + signals2.size);
+  }
+}
+
+LanguageAnalyzer.LANGUAGES = Object.keys(LANGUAGES);
+
+module.exports = LanguageAnalyzer;
@@ -0,0 +1,132 @@
+const stopword = require('stopword');
+
+// Fixed seed so signatures and bucket keys stay stable across restarts
+const SEED = 0x9e3779b9;
+
+class MinHashLSH {
+  constructor(options = {}) {
+    this.numHashes = options.numHashes || 128;
+    this.bands = options.bands || 32;
+    this.shingleSize = options.shingleSize || 3;
+
+    if (this.numHashes % this.bands !== 0) {
+      throw new Error(`numHashes (${this.numHashes}) must be divisible by bands (${this.bands})`);
+    }
+
+    this.rowsPerBand = this.numHashes / this.bands;
+    this.hashSeeds = this.generateSeeds(this.numHashes);
+  }
+
+  generateSeeds(count) {
+    // mulberry32 PRNG for deterministic per-function seeds
+    let state = SEED;
+    const seeds = new Array(count);
+
+    for (let i = 0; i < count; i++) {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      seeds[i] = (t ^ (t >>> 14)) >>> 0;
+    }
+
+    return seeds;
+  }
+
+  shingle(text) {
+    if (!text || typeof text !== 'string') return new Set();
+
+    const words = stopword.removeStopwords(
+      text.toLowerCase()
+        .replace(/[^\w\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 1)
+    ).slice(0, 2000);
+
+    const shingles = new Set();
+
+    // Very short texts (titles only) fall back to single words
+    if (words.length < this.shingleSize) {
+      words.forEach(word => shingles.add(word));
+      return shingles;
+    }
+
+    for (let i = 0; i <= words.length - this.shingleSize; i++) {
+      shingles.add(words.slice(i, i + this.shingleSize).join(' '));
+    }
+
+    return shingles;
+  }
+
+  computeSignature(text) {
+    const shingles = this.shingle(text);
+    if (shingles.size === 0) return null;
+
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+
+    for (const shingle of shingles) {
+      const base = this.hashString(shingle);
+
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = this.mix(base ^ this.hashSeeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+
+    return signature;
+  }
+
+  getBuckets(signature) {
+    if (!signature) return [];
+
+    const buckets = [];
+    for (let band = 0; band < this.bands; band++) {
+      const rows = signature.slice(band * this.rowsPerBand, (band + 1) * this.rowsPerBand);
+      buckets.push(`${band}:${this.hashString(rows.join(',')).toString(16)}`);
+    }
+
+    return buckets;
+  }
+
+  estimateSimilarity(signatureA, signatureB) {
+    if (!signatureA || !signatureB || signatureA.length !== signatureB.length) {
+      return 0;
+    }
+
+    let matches = 0;
+    for (let i = 0; i < signatureA.length; i++) {
+      if (signatureA[i] === signatureB[i]) matches++;
+    }
+
+    return matches / signatureA.length;
+  }
+
+  // Probability that a pair with the given Jaccard similarity shares a bucket
+  candidateProbability(similarity) {
+    return 1 - Math.pow(1 - Math.pow(similarity, this.rowsPerBand), this.bands);
+  }
+
+  // FNV-1a 32-bit
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // MurmurHash3 finalizer
+  mix(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+}
+
+module.exports = MinHashLSH;
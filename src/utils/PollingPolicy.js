@@ -0,0 +1,151 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const UPDATE_PERIODS_MS = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS,
+  monthly: 30 * 24 * HOUR_MS,
+  yearly: 365 * 24 * HOUR_MS
+};
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Decides when each feed is polled next. Every feed keeps an estimate of how
+// many new articles it publishes per hour: busy feeds are polled about as often
+// as a new article is expected, quiet feeds back off towards the maximum
+// interval. The publisher's own hints (RSS ttl, sy:updatePeriod/updateFrequency,
+// skipHours/skipDays, Retry-After) win over the estimate; ttl and update period
+// only up to the maximum interval.
+class PollingPolicy {
+  constructor(options = {}) {
+    this.adaptive = options.adaptive !== false;
+    this.defaultIntervalMs = options.defaultIntervalMs || 5 * MINUTE_MS;
+    this.minIntervalMs = options.minIntervalMs || 2 * MINUTE_MS;
+    this.maxIntervalMs = options.maxIntervalMs || HOUR_MS;
+    // Weight of the latest poll in the publishing rate estimate
+    this.smoothing = options.smoothing || 0.3;
+  }
+
+  // Polling hints from a parsed feed (see the NewsProcessor RSS custom fields)
+  readHints(feedData) {
+    const ttlMinutes = parseInt(feedData.ttl, 10);
+    const frequency = parseInt(feedData.updateFrequency, 10) || 1;
+    const period = UPDATE_PERIODS_MS[String(feedData.updatePeriod || '').trim().toLowerCase()];
+
+    return {
+      ttlMs: ttlMinutes > 0 ? ttlMinutes * MINUTE_MS : null,
+      updateIntervalMs: period ? Math.round(period / frequency) : null,
+      skipHours: this.listOf(feedData.skipHours, 'hour')
+        .map(hour => parseInt(hour, 10))
+        .filter(hour => hour >= 0 && hour <= 23),
+      skipDays: this.listOf(feedData.skipDays, 'day')
+        .map(day => DAYS.indexOf(String(day).trim().toLowerCase()))
+        .filter(day => day >= 0)
+    };
+  }
+
+  // <skipHours><hour>1</hour><hour>2</hour></skipHours> -> ['1', '2']
+  listOf(element, child) {
+    if (!element || typeof element !== 'object') return [];
+    const values = element[child];
+    return Array.isArray(values) ? values : values !== undefined ? [values] : [];
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return seconds > 0 ? new Date(now + seconds * 1000) : null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date) || date.getTime() <= now ? null : date;
+  }
+
+  // The polling state after a poll. outcome: { newArticles, notModified, error,
+  // retryAfter (Date), hints (readHints, only when the feed was downloaded) }
+  next(state, outcome, now = Date.now()) {
+    const previous = state || {};
+    const hints = outcome.hints || previous.hints || null;
+    const elapsedMs = previous.lastPolledAt
+      ? Math.max(now - new Date(previous.lastPolledAt).getTime(), MINUTE_MS)
+      : this.defaultIntervalMs;
+
+    const polling = {
+      ...previous,
+      hints,
+      lastPolledAt: new Date(now),
+      lastStatus: outcome.error ? 'error' : outcome.notModified ? 'not_modified' : 'ok',
+      consecutiveErrors: outcome.error ? (previous.consecutiveErrors || 0) + 1 : 0
+    };
+
+    // The first download returns the feed's whole backlog, which says nothing about its rate
+    if (!outcome.error && previous.lastPolledAt) {
+      // New articles per hour, smoothed over the recent polls
+      const observed = (outcome.newArticles || 0) * HOUR_MS / elapsedMs;
+      polling.articlesPerHour = previous.articlesPerHour === undefined
+        ? observed
+        : this.round(previous.articlesPerHour + this.smoothing * (observed - previous.articlesPerHour));
+    }
+    if (outcome.newArticles > 0) polling.lastNewArticlesAt = new Date(now);
+
+    polling.intervalMs = this.intervalFor(polling);
+
+    // Failing feeds back off exponentially, up to the maximum interval
+    const delayMs = polling.consecutiveErrors > 0
+      ? Math.min(polling.intervalMs * 2 ** polling.consecutiveErrors, this.maxIntervalMs)
+      : polling.intervalMs;
+
+    let nextPollAt = new Date(now + delayMs);
+    if (outcome.retryAfter && outcome.retryAfter > nextPollAt) {
+      nextPollAt = outcome.retryAfter;
+    }
+    polling.retryAfter = outcome.retryAfter || null;
+    polling.nextPollAt = this.skipForward(nextPollAt, hints);
+
+    return polling;
+  }
+
+  intervalFor(polling) {
+    let intervalMs = this.defaultIntervalMs;
+
+    if (this.adaptive && polling.articlesPerHour !== undefined) {
+      // About one new article per poll
+      intervalMs = polling.articlesPerHour > 0 ? HOUR_MS / polling.articlesPerHour : this.maxIntervalMs;
+    }
+    intervalMs = Math.min(Math.max(intervalMs, this.minIntervalMs), this.maxIntervalMs);
+
+    // Polling more often than the publisher updates (or allows caching) gains
+    // nothing, but a daily update period must not stop a feed for a day
+    const hints = polling.hints || {};
+    const floorMs = Math.max(hints.ttlMs || 0, hints.updateIntervalMs || 0);
+
+    return Math.round(Math.min(Math.max(intervalMs, floorMs), this.maxIntervalMs));
+  }
+
+  // Moves a poll out of the feed's skipHours/skipDays (UTC, as in the RSS spec)
+  skipForward(date, hints) {
+    if (!hints || (hints.skipHours.length === 0 && hints.skipDays.length === 0)) return date;
+
+    const next = new Date(date);
+    // A week of hours is the longest a valid skip list can defer a poll
+    for (let hour = 0; hour < 7 * 24; hour++) {
+      if (!hints.skipHours.includes(next.getUTCHours()) && !hints.skipDays.includes(next.getUTCDay())) {
+        return next;
+      }
+      next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+    }
+
+    // Every hour skipped: the hints are unusable, so ignore them
+    return date;
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = PollingPolicy;
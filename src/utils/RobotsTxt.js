@@ -0,0 +1,113 @@
+// robots.txt rules for one site (RFC 9309): the group of the most specific
+// matching user agent applies, and within it the longest matching path rule
+// wins, Allow over Disallow on a tie. Supports the * and $ wildcards and the
+// non-standard Crawl-delay.
+class RobotsTxt {
+  constructor(text = '') {
+    this.groups = this.parse(text);
+  }
+
+  // A missing robots.txt (4xx) allows everything
+  static allowAll() {
+    return new RobotsTxt('');
+  }
+
+  // An unreachable robots.txt (5xx, network error) disallows everything until retried
+  static disallowAll() {
+    return new RobotsTxt('User-agent: *\nDisallow: /');
+  }
+
+  parse(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything
+        if (value) current.rules.push({ allow: field === 'allow', path: value, pattern: this.toPattern(value) });
+      } else if (field === 'crawl-delay') {
+        const seconds = parseFloat(value);
+        if (seconds >= 0) current.crawlDelay = seconds;
+      }
+    }
+
+    return groups;
+  }
+
+  toPattern(path) {
+    const anchored = path.endsWith('$');
+    const source = (anchored ? path.slice(0, -1) : path)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+
+  // "News-Deduplication-Bot/1.0 (+https://...)" matches groups for "news-deduplication-bot"
+  groupFor(userAgent) {
+    const product = String(userAgent || '').split(/[/\s]/)[0].toLowerCase();
+
+    const named = this.groups.filter(group =>
+      group.agents.some(agent => agent !== '*' && product && product.startsWith(agent))
+    );
+    if (named.length > 0) {
+      // Several groups for the same agent are merged
+      return {
+        rules: named.flatMap(group => group.rules),
+        crawlDelay: named.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+      };
+    }
+
+    const wildcard = this.groups.filter(group => group.agents.includes('*'));
+    return {
+      rules: wildcard.flatMap(group => group.rules),
+      crawlDelay: wildcard.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+    };
+  }
+
+  isAllowed(url, userAgent) {
+    const { pathname, search } = new URL(url);
+    const path = `${pathname}${search}`;
+    if (path === '/robots.txt') return true;
+
+    let decision = null;
+    for (const rule of this.groupFor(userAgent).rules) {
+      if (!rule.pattern.test(path)) continue;
+
+      const longer = !decision || rule.path.length > decision.path.length;
+      const tieAllows = decision && rule.path.length === decision.path.length && rule.allow;
+      if (longer || tieAllows) decision = rule;
+    }
+
+    return decision ? decision.allow : true;
+  }
+
+  // Seconds to wait between requests, or null
+  crawlDelay(userAgent) {
+    return this.groupFor(userAgent).crawlDelay;
+  }
+}
+
+module.exports = RobotsTxt;
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+
+const COMPONENTS = [
+  'titleSimilarity',
+  'contentSimilarity',
+  'entitySimilarity',
+  'semanticSimilarity',
+  'temporalProximity',
+  'sourceAlignment'
+];
+
+// Only the score-based methods are tunable; fingerprint matches are exact
+const TUNABLE_THRESHOLDS = [
+  'titleSimilarity',
+  'contentSimilarity',
+  'entitySimilarity',
+  'semanticSimilarity'
+];
+
+const weightsSchema = Joi.object(
+  Object.fromEntries(COMPONENTS.map(name => [name, Joi.number().min(0).max(1).required()]))
+);
+
+const thresholdsSchema = Joi.object(
+  Object.fromEntries(TUNABLE_THRESHOLDS.map(name => [name, Joi.number().min(0).max(1)]))
+);
+
+const profileSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9_-]+$/i).required(),
+  version: Joi.number().integer().min(1).required(),
+  createdAt: Joi.date().iso().required(),
+  weights: weightsSchema.required(),
+  thresholds: thresholdsSchema.required(),
+  source: Joi.object().unknown(true),
+  evaluation: Joi.object().unknown(true)
+}).unknown(true);
+
+// Versioned scoring profiles stored as <name>.v<version>.json
+class ScoringProfileStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  validate(profile) {
+    const { error, value } = profileSchema.validate(profile);
+    if (error) {
+      throw new Error(`Invalid scoring profile: ${error.message}`);
+    }
+
+    const total = COMPONENTS.reduce((sum, name) => sum + value.weights[name], 0);
+    if (Math.abs(total - 1) > 0.001) {
+      throw new Error(`Invalid scoring profile: weights sum to ${total.toFixed(3)}, expected 1`);
+    }
+
+    return value;
+  }
+
+  // Accepts a file path, "<name>" (latest version) or "<name>@<version>"
+  async load(reference) {
+    const file = await this.resolve(reference);
+    const profile = JSON.parse(await fs.readFile(file, 'utf8'));
+    return { ...this.validate(profile), file };
+  }
+
+  async resolve(reference) {
+    if (reference.endsWith('.json')) {
+      return path.resolve(reference);
+    }
+
+    const [name, version] = reference.split('@');
+    const resolvedVersion = version ? parseInt(version) : await this.latestVersion(name);
+
+    if (!resolvedVersion) {
+      throw new Error(`No scoring profile named "${name}" in ${this.directory}`);
+    }
+
+    return path.join(this.directory, `${name}.v${resolvedVersion}.json`);
+  }
+
+  async latestVersion(name) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const pattern = new RegExp(`^${name}\\.v(\\d+)\\.json$`);
+    return files.reduce((latest, file) => {
+      const match = file.match(pattern);
+      return match ? Math.max(latest, parseInt(match[1])) : latest;
+    }, 0);
+  }
+
+  async save(profile) {
+    const version = (await this.latestVersion(profile.name)) + 1;
+    const versioned = this.validate({
+      ...profile,
+      version,
+      createdAt: new Date().toISOString()
+    });
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${profile.name}.v${version}.json`);
+    await fs.writeFile(file, JSON.stringify(versioned, null, 2) + '\n');
+
+    return { ...versioned, file };
+  }
+}
+
+ScoringProfileStore.COMPONENTS = COMPONENTS;
+ScoringProfileStore.TUNABLE_THRESHOLDS = TUNABLE_THRESHOLDS;
+
+module.exports = ScoringProfileStore;
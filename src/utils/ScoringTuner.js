@@ -0,0 +1,247 @@
+const ScoringProfileStore = require('./ScoringProfileStore');
+
+const { COMPONENTS } = ScoringProfileStore;
+
+const METHOD_THRESHOLDS = {
+  title_similarity: 'titleSimilarity',
+  content_similarity: 'contentSimilarity',
+  entity_similarity: 'entitySimilarity',
+  semantic_similarity: 'semanticSimilarity'
+};
+
+// Fits component weights and per-method thresholds from labeled article pairs
+class ScoringTuner {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.epochs = options.epochs || 2000;
+    this.learningRate = options.learningRate || 0.5;
+    this.l2 = options.l2 ?? 0.001;
+    this.minGroupPairs = options.minGroupPairs || 10;
+    this.curveStep = options.curveStep || 0.01;
+  }
+
+  // pairs: [{ articleA, articleB, isDuplicate }]
+  async scorePairs(pairs) {
+    const samples = [];
+
+    for (const pair of pairs) {
+      const { articleA, articleB } = pair;
+      const scores = await this.engine.calculateComponentScores(articleA, articleB);
+
+      // Fingerprint matches never reach the weighted score, so they are not fitted
+      const distance = this.engine.simHash.hammingDistance(
+        this.engine.getSimHash(articleA),
+        this.engine.getSimHash(articleB)
+      );
+      const fingerprintMatch =
+        (Boolean(articleA.contentHash) && articleA.contentHash === articleB.contentHash) ||
+        (distance !== null && distance <= this.engine.simHash.maxHammingDistance);
+
+      samples.push({ isDuplicate: pair.isDuplicate, scores, fingerprintMatch });
+    }
+
+    return samples;
+  }
+
+  // Class-balanced logistic regression; negative coefficients are clipped
+  fitWeights(samples) {
+    const positives = samples.filter(sample => sample.isDuplicate).length;
+    const negatives = samples.length - positives;
+
+    if (positives === 0 || negatives === 0) {
+      throw new Error('Labeled set needs both duplicate and non-duplicate pairs');
+    }
+
+    const classWeight = {
+      true: samples.length / (2 * positives),
+      false: samples.length / (2 * negatives)
+    };
+
+    const coefficients = new Array(COMPONENTS.length).fill(0);
+    let bias = 0;
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      const gradient = new Array(COMPONENTS.length).fill(0);
+      let biasGradient = 0;
+
+      for (const sample of samples) {
+        const features = COMPONENTS.map(name => sample.scores[name] || 0);
+        const z = bias + features.reduce((sum, value, i) => sum + value * coefficients[i], 0);
+        const error = (1 / (1 + Math.exp(-z)) - (sample.isDuplicate ? 1 : 0)) *
+          classWeight[sample.isDuplicate];
+
+        features.forEach((value, i) => { gradient[i] += error * value; });
+        biasGradient += error;
+      }
+
+      for (let i = 0; i < coefficients.length; i++) {
+        coefficients[i] -= this.learningRate *
+          (gradient[i] / samples.length + this.l2 * coefficients[i]);
+      }
+      bias -= this.learningRate * biasGradient / samples.length;
+    }
+
+    const clipped = Object.fromEntries(
+      COMPONENTS.map((name, i) => [name, Math.max(0, coefficients[i])])
+    );
+    if (Object.values(clipped).some(weight => weight > 0)) {
+      return this.normalize(clipped);
+    }
+
+    // Nothing predictive: keep the engine's current weights, scaled to sum to 1
+    // like every profile (the built-in ones sum to 1.5)
+    const current = Object.fromEntries(COMPONENTS.map(name => [name, this.engine.weights[name] || 0]));
+    if (!Object.values(current).some(weight => weight > 0)) {
+      throw new Error('No predictive signals in the labeled set, and no current weights to keep');
+    }
+    return this.normalize(current);
+  }
+
+  normalize(weights) {
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(
+      Object.entries(weights).map(([name, weight]) => [name, this.round(weight / total)])
+    );
+  }
+
+  weightedScore(sample, weights) {
+    return COMPONENTS.reduce((sum, name) => sum + (sample.scores[name] || 0) * (weights[name] || 0), 0);
+  }
+
+  precisionRecall(samples, predict) {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    for (const sample of samples) {
+      const predicted = predict(sample);
+      if (predicted && sample.isDuplicate) truePositives++;
+      else if (predicted) falsePositives++;
+      else if (sample.isDuplicate) falseNegatives++;
+    }
+
+    const precision = truePositives + falsePositives > 0
+      ? truePositives / (truePositives + falsePositives)
+      : 1;
+    const recall = truePositives + falseNegatives > 0
+      ? truePositives / (truePositives + falseNegatives)
+      : 1;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+
+    return {
+      precision: this.round(precision),
+      recall: this.round(recall),
+      f1: this.round(f1),
+      truePositives,
+      falsePositives,
+      falseNegatives
+    };
+  }
+
+  curve(samples, weights) {
+    const points = [];
+    const steps = Math.round(1 / this.curveStep);
+
+    for (let step = 0; step <= steps; step++) {
+      const threshold = this.round(step * this.curveStep);
+      points.push({
+        threshold,
+        ...this.precisionRecall(samples, sample => this.weightedScore(sample, weights) >= threshold)
+      });
+    }
+
+    return points;
+  }
+
+  bestThreshold(points) {
+    // On an F1 plateau take the middle, leaving margin on both sides
+    const bestF1 = Math.max(...points.map(point => point.f1));
+    const tied = points.filter(point => point.f1 === bestF1);
+    return tied[Math.floor(tied.length / 2)];
+  }
+
+  methodFor(sample, thresholds) {
+    return this.engine.determinePrimaryMethod(
+      { ...sample.scores, contentHash: 0, simhashDistance: null },
+      thresholds
+    );
+  }
+
+  fitThresholds(samples, weights) {
+    const globalBest = this.bestThreshold(this.curve(samples, weights));
+    let thresholds = Object.fromEntries(
+      Object.values(METHOD_THRESHOLDS).map(name => [name, this.engine.thresholds[name]])
+    );
+
+    // The primary method depends on the thresholds themselves, so iterate to a fixed point
+    for (let iteration = 0; iteration < 5; iteration++) {
+      const next = {};
+
+      for (const [method, name] of Object.entries(METHOD_THRESHOLDS)) {
+        const group = samples.filter(sample => this.methodFor(sample, thresholds) === method);
+        const positives = group.filter(sample => sample.isDuplicate).length;
+
+        // Too little evidence for a method of its own: use the global optimum
+        next[name] = group.length >= this.minGroupPairs && positives > 0 && positives < group.length
+          ? this.bestThreshold(this.curve(group, weights)).threshold
+          : globalBest.threshold;
+      }
+
+      const converged = Object.keys(next).every(name => next[name] === thresholds[name]);
+      thresholds = next;
+      if (converged) break;
+    }
+
+    return thresholds;
+  }
+
+  evaluate(samples, weights, thresholds) {
+    return this.precisionRecall(samples, sample => {
+      const method = this.methodFor(sample, thresholds);
+      return this.weightedScore(sample, weights) >= thresholds[METHOD_THRESHOLDS[method]];
+    });
+  }
+
+  async tune(pairs, options = {}) {
+    const scored = await this.scorePairs(pairs);
+    
+    // Cross-language pairs are scored with their own weights and threshold
+    const crossLanguage = scored.filter(sample => !sample.fingerprintMatch && sample.scores.crossLanguage);
+    const samples = scored.filter(sample => !sample.fingerprintMatch && !sample.scores.crossLanguage);
+
+    // Deterministic holdout: every n-th pair is kept out of fitting
+    const holdoutEvery = options.holdoutRatio > 0 ? Math.round(1 / options.holdoutRatio) : 0;
+    const training = samples.filter((_, i) => !holdoutEvery || i % holdoutEvery !== 0);
+    const holdout = holdoutEvery ? samples.filter((_, i) => i % holdoutEvery === 0) : [];
+
+    const weights = this.fitWeights(training);
+    const thresholds = this.fitThresholds(training, weights);
+
+    const baselineThresholds = Object.fromEntries(
+      Object.values(METHOD_THRESHOLDS).map(name => [name, this.engine.thresholds[name]])
+    );
+
+    return {
+      weights,
+      thresholds,
+      evaluation: {
+        pairs: pairs.length,
+        positives: pairs.filter(pair => pair.isDuplicate).length,
+        fingerprintMatches: scored.length - samples.length - crossLanguage.length,
+        crossLanguagePairs: crossLanguage.length,
+        trainingPairs: training.length,
+        holdoutPairs: holdout.length,
+        baseline: this.evaluate(training, this.engine.weights, baselineThresholds),
+        training: this.evaluate(training, weights, thresholds),
+        holdout: holdout.length > 0 ? this.evaluate(holdout, weights, thresholds) : null,
+        prCurve: this.curve(training, weights)
+      }
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+}
+
+module.exports = ScoringTuner;
@@ -0,0 +1,185 @@
+const config = require('../config/config');
+
+// Cost tiers: cheaper signals are evaluated first so a pair can stop early
+const TIERS = {
+  fingerprint: 0, // Stored hashes, compared in constant time
+  metadata: 1,    // Dates, sources, categories
+  text: 2,        // Titles, entities and other short token sets
+  corpus: 3,      // TF-IDF vectors over the full content
+  model: 4        // Embeddings (generated or loaded from the database)
+};
+
+// A similarity signal compares two articles and returns a score in [0, 1]:
+//   name         key of the score, its weight and its threshold
+//   tier         cost tier (TIERS)
+//   weight       default weight in the overall score (0: reported only)
+//   threshold    optional: the score above which the signal names the detection method
+//   method       detection method reported when the signal decides
+//   methodPriority  which method wins when several signals pass their threshold (lowest first)
+//   fingerprint  an exact match: at or above the threshold, the pair is a duplicate outright
+//   stat         engine stats counter bumped when the fingerprint decides
+//   enabled      false leaves the signal out of scoring altogether (default true)
+//   crossLanguageOnly  only computed for pairs in different languages
+//   usesEmbeddings  loads or generates embeddings (skips are reported as embedding calls saved)
+//   compute(article1, article2, engine, options)  sync or async; may return an object
+//                of score fields instead, with the signal's own score under `field`.
+//                Scores above 1 would defeat the early exit, which assumes at most 1
+const BUILT_IN_SIGNALS = [
+  {
+    name: 'contentHash',
+    tier: TIERS.fingerprint,
+    weight: 0,
+    threshold: 1.0,
+    method: 'content_hash',
+    fingerprint: true,
+    compute: (article1, article2) =>
+      (Boolean(article1.contentHash) && article1.contentHash === article2.contentHash ? 1.0 : 0.0)
+  },
+  {
+    // Catches lightly edited syndicated copies
+    name: 'simhash',
+    field: 'simhashSimilarity',
+    tier: TIERS.fingerprint,
+    weight: 0,
+    threshold: 1 - config.deduplication.simhash.maxHammingDistance / 64,
+    method: 'simhash',
+    fingerprint: true,
+    // Read when the signal is registered, i.e. when an engine is created
+    get enabled() {
+      return config.deduplication.simhash.enabled;
+    },
+    stat: 'simhashMatches',
+    compute: (article1, article2, engine) => {
+      const distance = engine.simHash.hammingDistance(engine.getSimHash(article1), engine.getSimHash(article2));
+      return {
+        simhashDistance: distance,
+        simhashSimilarity: distance === null ? 0 : 1 - distance / 64
+      };
+    }
+  },
+  {
+    name: 'temporalProximity',
+    tier: TIERS.metadata,
+    weight: 0.1,
+    compute: (article1, article2, engine) =>
+      engine.calculateTemporalProximity(article1.publishedAt, article2.publishedAt)
+  },
+  {
+    name: 'sourceAlignment',
+    tier: TIERS.metadata,
+    weight: 0.1,
+    compute: (article1, article2, engine) => engine.calculateSourceAlignment(article1, article2)
+  },
+  {
+    name: 'titleSimilarity',
+    tier: TIERS.text,
+    weight: config.deduplication.titleWeight,
+    threshold: 0.9,
+    method: 'title_similarity',
+    methodPriority: 1,
+    compute: (article1, article2, engine) => {
+      const language = engine.languageAnalyzer.languageOf(article1);
+      const sameLanguage = language === engine.languageAnalyzer.languageOf(article2);
+      return engine.calculateTextSimilarity(
+        engine.canonicalTitleOf(article1),
+        engine.canonicalTitleOf(article2),
+        sameLanguage ? language : 'en'
+      );
+    }
+  },
+  {
+    name: 'entitySimilarity',
+    tier: TIERS.text,
+    weight: config.deduplication.entityWeight,
+    threshold: 0.8,
+    method: 'entity_similarity',
+    methodPriority: 3,
+    compute: (article1, article2, engine) =>
+      engine.calculateEntitySimilarity(article1.entities || [], article2.entities || [])
+  },
+  {
+    // Money, percentages, tickers and names read the same in any language
+    name: 'signalSimilarity',
+    tier: TIERS.text,
+    weight: 0,
+    crossLanguageOnly: true,
+    compute: (article1, article2, engine) => engine.languageAnalyzer.signalSimilarity(article1, article2)
+  },
+  {
+    name: 'contentSimilarity',
+    tier: TIERS.corpus,
+    weight: config.deduplication.contentWeight,
+    threshold: config.deduplication.similarityThreshold,
+    method: 'content_similarity',
+    methodPriority: 4,
+    compute: (article1, article2, engine) => engine.calculateContentSimilarity(article1, article2)
+  },
+  {
+    name: 'semanticSimilarity',
+    tier: TIERS.model,
+    weight: 0.3,
+    threshold: config.deduplication.similarityThreshold,
+    method: 'semantic_similarity',
+    methodPriority: 2,
+    usesEmbeddings: true,
+    compute: (article1, article2, engine, options) =>
+      engine.calculateSemanticSimilarity(article1, article2, options)
+  }
+];
+
+// The signals the DeduplicationEngine combines. Built-in signals are registered
+// up front; plugins add theirs with register() before the engine scores anything.
+class SignalRegistry {
+  constructor(signals = BUILT_IN_SIGNALS) {
+    this.signals = new Map();
+    signals.forEach(signal => this.register(signal));
+  }
+
+  register(signal) {
+    if (!signal || typeof signal.name !== 'string' || !signal.name) {
+      throw new Error('Similarity signal needs a name');
+    }
+    if (typeof signal.compute !== 'function') {
+      throw new Error(`Similarity signal "${signal.name}" needs a compute(article1, article2) function`);
+    }
+    if (!Number.isInteger(signal.tier) || signal.tier < 0) {
+      throw new Error(`Similarity signal "${signal.name}" needs a cost tier (0 = cheapest)`);
+    }
+    if ((signal.fingerprint || signal.method) && typeof signal.threshold !== 'number') {
+      throw new Error(`Similarity signal "${signal.name}" names a method but has no threshold`);
+    }
+
+    this.signals.set(signal.name, {
+      weight: 0,
+      field: signal.name,
+      methodPriority: Infinity,
+      ...signal
+    });
+    return this;
+  }
+
+  get(name) {
+    return this.signals.get(name) || null;
+  }
+
+  // Signals in evaluation order: cheapest tier first, then registration order
+  list(names = null) {
+    const signals = names
+      ? names.map(name => {
+        const signal = this.signals.get(name);
+        if (!signal) throw new Error(`Unknown similarity signal "${name}"`);
+        return signal;
+      })
+      : [...this.signals.values()];
+
+    return signals
+      .map((signal, index) => ({ signal, index }))
+      .sort((a, b) => a.signal.tier - b.signal.tier || a.index - b.index)
+      .map(({ signal }) => signal);
+  }
+}
+
+SignalRegistry.TIERS = TIERS;
+SignalRegistry.BUILT_IN_SIGNALS = BUILT_IN_SIGNALS;
+
+module.exports = SignalRegistry;
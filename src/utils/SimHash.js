@@ -0,0 +1,117 @@
+const stopword = require('stopword');
+
+const BITS = 64;
+const MASK_64 = (1n << 64n) - 1n;
+
+class SimHash {
+  constructor(options = {}) {
+    this.maxHammingDistance = options.maxHammingDistance ?? 3;
+    // Pigeonhole: two fingerprints within k bits share at least one of k+1 blocks
+    this.blockCount = this.maxHammingDistance + 1;
+  }
+
+  compute(text) {
+    const features = this.extractFeatures(text);
+    if (features.size === 0) return null;
+
+    const vector = new Array(BITS).fill(0);
+
+    for (const [feature, weight] of features) {
+      const hash = this.hash64(feature);
+      for (let bit = 0; bit < BITS; bit++) {
+        vector[bit] += (hash >> BigInt(bit)) & 1n ? weight : -weight;
+      }
+    }
+
+    let fingerprint = 0n;
+    for (let bit = 0; bit < BITS; bit++) {
+      if (vector[bit] > 0) {
+        fingerprint |= 1n << BigInt(bit);
+      }
+    }
+
+    return fingerprint.toString(16).padStart(BITS / 4, '0');
+  }
+
+  extractFeatures(text) {
+    const features = new Map();
+    if (!text || typeof text !== 'string') return features;
+
+    const words = stopword.removeStopwords(
+      text.toLowerCase()
+        .replace(/[^\w\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 1)
+    );
+
+    // Word bigrams keep some ordering information, unigrams add robustness
+    for (let i = 0; i < words.length; i++) {
+      features.set(words[i], (features.get(words[i]) || 0) + 1);
+      if (i < words.length - 1) {
+        const bigram = `${words[i]} ${words[i + 1]}`;
+        features.set(bigram, (features.get(bigram) || 0) + 1);
+      }
+    }
+
+    return features;
+  }
+
+  hammingDistance(fingerprintA, fingerprintB) {
+    if (!fingerprintA || !fingerprintB) return null;
+
+    let diff = BigInt(`0x${fingerprintA}`) ^ BigInt(`0x${fingerprintB}`);
+    let distance = 0;
+
+    while (diff > 0n) {
+      diff &= diff - 1n;
+      distance++;
+    }
+
+    return distance;
+  }
+
+  similarity(fingerprintA, fingerprintB) {
+    const distance = this.hammingDistance(fingerprintA, fingerprintB);
+    return distance === null ? 0 : 1 - distance / BITS;
+  }
+
+  isNearDuplicate(fingerprintA, fingerprintB) {
+    const distance = this.hammingDistance(fingerprintA, fingerprintB);
+    return distance !== null && distance <= this.maxHammingDistance;
+  }
+
+  getBlocks(fingerprint) {
+    if (!fingerprint) return [];
+
+    const value = BigInt(`0x${fingerprint}`);
+    const blocks = [];
+    let offset = 0;
+
+    for (let i = 0; i < this.blockCount; i++) {
+      // Spread the remainder bits over the first blocks
+      const width = Math.floor(BITS / this.blockCount) + (i < BITS % this.blockCount ? 1 : 0);
+      const mask = (1n << BigInt(width)) - 1n;
+      const block = (value >> BigInt(offset)) & mask;
+      blocks.push(`${i}/${this.blockCount}:${block.toString(16)}`);
+      offset += width;
+    }
+
+    return blocks;
+  }
+
+  // Two independent FNV-1a 32-bit hashes combined into 64 bits
+  hash64(text) {
+    let high = 0x811c9dc5;
+    let low = 0x050c5d1f;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      high = Math.imul(high ^ code, 0x01000193);
+      low = Math.imul(low ^ code, 0x01000193) ^ (low >>> 13);
+    }
+
+    return ((BigInt(high >>> 0) << 32n) | BigInt(low >>> 0)) & MASK_64;
+  }
+}
+
+module.exports = SimHash;
@@ -0,0 +1,206 @@
+// Reduces headline variants of the same story to one comparable form:
+// "BREAKING: Acme buys Beta for $1.2bn - TechCrunch" and
+// "UPDATE 2-Acme Buys Beta For $1.2 Billion | Reuters" both become
+// "acme buys beta for $1.2 billion".
+
+// Segment separators publishers put between the headline and their name or section
+const SEPARATOR = /\s+(?:[-|–—•·»:]|::)\s+/;
+
+// Editorial markers at the start: "BREAKING: ", "Exclusive | ", "Analysis - "
+const LEADING_MARKER = new RegExp(
+  '^(?:breaking(?:\\s+news)?|just\\s+in|developing|update(?:d)?(?:\\s*\\d+)?|exclusive|refile|corrected|' +
+  'urgent|analysis|explainer|factbox|opinion|watch|video|live(?:\\s+updates)?|photos|report)' +
+  '\\s*[:|–—]\\s*|^(?:breaking|update(?:\\s*\\d+)?|exclusive|analysis|opinion|report)\\s+-\\s+',
+  'i'
+);
+// Wire-style markers glued with a hyphen ("UPDATE 2-", "EXCLUSIVE-") are always upper case
+const WIRE_MARKER = /^(?:UPDATE\s*\d*|EXCLUSIVE|REFILE|CORRECTED|BREAKINGVIEWS|BREAKING|URGENT|ANALYSIS|FACTBOX|EXPLAINER|INSIGHT)-\s*/;
+const BRACKETED_MARKER = /\s*[([](?:updated?|video|photos?|live|watch|exclusive|breaking|report|opinion|analysis)[)\]]\s*/gi;
+// Tails like ": here's why" or ", sources say" need a separator, so "files annual report" stays
+const TRAILING_CLICKBAIT = new RegExp(
+  '\\s*[-:|–—,.]\\s*(?:here\'?s\\s+(?:why|how|what\\s+(?:we\\s+know|you\\s+need\\s+to\\s+know|it\\s+means))|' +
+  'what\\s+(?:we\\s+know|you\\s+need\\s+to\\s+know)|(?:and\\s+)?why\\s+it\\s+matters|reports?|sources?\\s+say)\\s*[.!?]*$',
+  'i'
+);
+
+const ABBREVIATIONS = {
+  'u.s.': 'us',
+  'u.k.': 'uk',
+  'e.u.': 'eu',
+  "gov't": 'government',
+  govt: 'government',
+  intl: 'international',
+  corp: 'corporation',
+  mgmt: 'management',
+  dept: 'department',
+  yoy: 'year on year',
+  q1: 'first quarter',
+  q2: 'second quarter',
+  q3: 'third quarter',
+  q4: 'fourth quarter',
+  '1q': 'first quarter',
+  '2q': 'second quarter',
+  '3q': 'third quarter',
+  '4q': 'fourth quarter',
+  h1: 'first half',
+  h2: 'second half'
+};
+
+const SCALE_WORDS = {
+  k: 'thousand',
+  thousand: 'thousand',
+  m: 'million',
+  mn: 'million',
+  mln: 'million',
+  mil: 'million',
+  million: 'million',
+  b: 'billion',
+  bn: 'billion',
+  bln: 'billion',
+  billion: 'billion',
+  t: 'trillion',
+  tn: 'trillion',
+  trillion: 'trillion'
+};
+
+const CURRENCY_PREFIXES = { 'us$': '$', usd: '$', $: '$', '€': '€', eur: '€', '£': '£', gbp: '£' };
+
+class TitleCanonicalizer {
+  constructor(options = {}) {
+    // A leading or trailing segment seen this often in one source's titles is a publisher affix
+    this.minAffixOccurrences = options.minAffixOccurrences || 3;
+    this.minAffixShare = options.minAffixShare || 0.1;
+    this.maxTitlesPerSource = options.maxTitlesPerSource || 1000;
+
+    this.sources = new Map(); // source -> { titles, prefixes: Map, suffixes: Map }
+
+    this.moneyPattern = /(us\$|\$|€|£|\b(?:usd|eur|gbp)\s?)(\d+(?:,\d{3})*(?:\.\d+)?)\s*(bn|bln|billion|mn|mln|mil|million|tn|trillion|thousand|[kmbt])?\b/gi;
+    this.percentPattern = /(\d+(?:\.\d+)?)\s*(?:%|percent\b|per\s+cent\b|pct\b)/gi;
+    this.abbreviationPattern = new RegExp(
+      `(^|[^\\w.'])(${Object.keys(ABBREVIATIONS).map(word => word.replace(/[.$]/g, '\\$&')).join('|')})(?=$|[^\\w'])`,
+      'gi'
+    );
+  }
+
+  // Records a title so the source's recurring prefixes and suffixes can be recognized
+  observe(source, title) {
+    if (!source || !title) return;
+
+    const stats = this.sources.get(source) || { titles: 0, prefixes: new Map(), suffixes: new Map() };
+    this.sources.set(source, stats);
+
+    // Old observations fade out so a renamed section is eventually forgotten
+    if (stats.titles >= this.maxTitlesPerSource) {
+      for (const counts of [stats.prefixes, stats.suffixes]) {
+        for (const [affix, count] of counts) {
+          if (count <= 1) counts.delete(affix);
+          else counts.set(affix, Math.floor(count / 2));
+        }
+      }
+      stats.titles = Math.floor(stats.titles / 2);
+    }
+
+    stats.titles++;
+    const segments = title.trim().split(SEPARATOR);
+    if (segments.length < 2) return;
+
+    const prefix = this.affixKey(segments[0]);
+    const suffix = this.affixKey(segments[segments.length - 1]);
+    stats.prefixes.set(prefix, (stats.prefixes.get(prefix) || 0) + 1);
+    stats.suffixes.set(suffix, (stats.suffixes.get(suffix) || 0) + 1);
+  }
+
+  isLearnedAffix(source, segment, position) {
+    const stats = this.sources.get(source);
+    if (!stats) return false;
+
+    const count = (position === 'prefix' ? stats.prefixes : stats.suffixes).get(this.affixKey(segment)) || 0;
+    return count >= this.minAffixOccurrences && count / stats.titles >= this.minAffixShare;
+  }
+
+  // "TechCrunch", "Reuters Business" and "reuters.com" all name the publisher "Reuters"
+  isSourceName(source, segment) {
+    if (!source) return false;
+
+    const name = this.affixKey(source);
+    const key = this.affixKey(segment.replace(/\.(?:com|co\.uk|org|net|io)$/i, ''));
+    if (!key || !name) return false;
+
+    return key === name || name.startsWith(`${key} `) || key.startsWith(`${name} `);
+  }
+
+  affixKey(segment) {
+    return segment.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  canonicalize(title, source) {
+    if (!title) return '';
+
+    let text = title.replace(/[‘’]/g, "'").replace(/[“”]/g, '"').trim();
+
+    text = this.stripAffixes(text, source);
+    text = this.stripMarkers(text);
+    text = this.normalizeNumbers(text);
+    text = this.expandAbbreviations(text);
+
+    return text
+      .toLowerCase()
+      .replace(/["«»]/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s\-:|–—]+|[\s\-:|–—]+$/g, '')
+      .trim();
+  }
+
+  stripAffixes(text, source) {
+    let segments = text.split(SEPARATOR);
+
+    // Never strip the last remaining segment: that is the headline
+    while (segments.length > 1 &&
+           (this.isSourceName(source, segments[segments.length - 1]) ||
+            this.isLearnedAffix(source, segments[segments.length - 1], 'suffix'))) {
+      segments = segments.slice(0, -1);
+    }
+    while (segments.length > 1 &&
+           (this.isSourceName(source, segments[0]) || this.isLearnedAffix(source, segments[0], 'prefix'))) {
+      segments = segments.slice(1);
+    }
+
+    return segments.join(' - ');
+  }
+
+  stripMarkers(text) {
+    let previous;
+    do {
+      previous = text;
+      text = text
+        .replace(BRACKETED_MARKER, ' ')
+        .trim()
+        .replace(WIRE_MARKER, '')
+        .replace(LEADING_MARKER, '')
+        .replace(TRAILING_CLICKBAIT, '')
+        .trim();
+    } while (text !== previous && text.length > 0);
+
+    // A headline made only of markers keeps its original text
+    return text || previous;
+  }
+
+  // "$1.2bn", "US$1.2 billion" -> "$1.2 billion"; "5 per cent", "5pct" -> "5%"
+  normalizeNumbers(text) {
+    return text
+      .replace(this.moneyPattern, (match, currency, amount, scale) => {
+        const symbol = CURRENCY_PREFIXES[currency.trim().toLowerCase()] || currency;
+        const value = amount.replace(/,/g, '');
+        return scale ? `${symbol}${value} ${SCALE_WORDS[scale.toLowerCase()]}` : `${symbol}${value}`;
+      })
+      .replace(this.percentPattern, '$1%');
+  }
+
+  expandAbbreviations(text) {
+    return text.replace(this.abbreviationPattern, (match, lead, word) =>
+      `${lead}${ABBREVIATIONS[word.toLowerCase()]}`
+    );
+  }
+}
+
+module.exports = TitleCanonicalizer;
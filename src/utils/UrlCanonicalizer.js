@@ -0,0 +1,162 @@
+// Reduces URL variants of the same article to one key:
+// "http://m.example.com/2026/10/acme-buys-beta/amp/?utm_source=rss#comments",
+// "https://www-example-com.cdn.ampproject.org/c/s/www.example.com/2026/10/acme-buys-beta" and
+// "https://www.google.com/url?q=https://example.com/2026/10/acme-buys-beta" all become
+// "https://example.com/2026/10/acme-buys-beta".
+// The result is a comparison key, not always a fetchable URL (www. is dropped).
+
+// Query parameters that only say where the reader came from. Only names no
+// site uses for anything else: generic ones like `ref`, `amp` or `id` can
+// select a different article, so they are only dropped on the hosts below
+const TRACKING_PARAM = /^(?:utm_|at_|pk_|mtm_|hsa_|ns_|_hs|__s|soc_)/i;
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'igshid', 'twclid', 'ttclid', 'wickedid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', 'ref_src', 'ref_url', 'xtor', 'guccounter', 'guce_referrer',
+  'guce_referrer_sig', 'usqp', 'amp_js_v'
+]);
+
+// Tracking parameters with generic names, per site (subdomains included)
+const HOST_TRACKING_PARAMS = new Map([
+  ['nytimes.com', ['smid', 'smtyp']],
+  ['msn.com', ['ocid']],
+  ['yahoo.com', ['ncid']],
+  ['washingtonpost.com', ['outputtype', 'itid']],
+  ['bbc.co.uk', ['ocid']],
+  ['bbc.com', ['ocid']],
+  ['cnn.com', ['cid']]
+]);
+
+// Hosts whose links are prefixed variants of the main site
+const HOST_PREFIX = /^(?:www\d?|m|mobile|amp)\./i;
+
+// Wrappers that carry the target in a query parameter
+const QUERY_WRAPPERS = [
+  { host: /(^|\.)google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url'] },
+  { host: /^news\.google\.com$/, path: /^\/(?:news\/)?url$/, params: ['url'] },
+  { host: /(^|\.)facebook\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^out\.reddit\.com$/, path: /./, params: ['url'] },
+  { host: /\.safelinks\.protection\.outlook\.com$/, path: /./, params: ['url'] }
+];
+
+// Wrappers that only an HTTP redirect resolves
+const REDIRECT_WRAPPERS = [
+  /^feedproxy\.google\.com$/,
+  /^feeds\.feedburner\.com$/,
+  /^news\.google\.com$/,
+  /^consent\.google\.com$/,
+  /^(?:t\.co|bit\.ly|ow\.ly|buff\.ly|dlvr\.it|trib\.al|lnkd\.in|flip\.it|ift\.tt|tinyurl\.com)$/
+];
+
+// Unwrapping stops after this many nested wrappers
+const MAX_UNWRAP_DEPTH = 3;
+
+class UrlCanonicalizer {
+  // Returns null for anything that is not an HTTP(S) URL
+  canonicalize(url) {
+    const parsed = this.parse(this.unwrap(url));
+    if (!parsed) return null;
+
+    const host = parsed.hostname.toLowerCase();
+    const stripped = host.replace(HOST_PREFIX, '');
+    parsed.hostname = stripped.includes('.') ? stripped : host;
+
+    // One scheme, no fragment
+    parsed.protocol = 'https:';
+    parsed.hash = '';
+
+    parsed.pathname = this.canonicalPath(parsed.pathname);
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !this.isTrackingParam(name, parsed.hostname))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(params).toString();
+
+    return parsed.toString();
+  }
+
+  // The target of query-parameter wrappers and AMP caches; anything else as given
+  unwrap(url) {
+    let current = String(url || '').trim();
+
+    for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+      const parsed = this.parse(current);
+      if (!parsed) break;
+
+      const target = this.wrappedTarget(parsed);
+      if (!target) break;
+      current = target;
+    }
+
+    return current;
+  }
+
+  wrappedTarget(parsed) {
+    const host = parsed.hostname.toLowerCase();
+
+    for (const wrapper of QUERY_WRAPPERS) {
+      if (!wrapper.host.test(host) || !wrapper.path.test(parsed.pathname)) continue;
+
+      const target = wrapper.params.map(name => parsed.searchParams.get(name)).find(value => this.parse(value));
+      if (target) return target;
+    }
+
+    // https://www-example-com.cdn.ampproject.org/c/s/www.example.com/path
+    // https://www.google.com/amp/s/www.example.com/path
+    const ampCache = host.endsWith('.cdn.ampproject.org')
+      ? /^\/[a-z]\/(s\/)?(.+)$/.exec(parsed.pathname)
+      : /(^|\.)google\.[a-z.]+$/.test(host) ? /^\/amp\/(s\/)?(.+)$/.exec(parsed.pathname) : null;
+    if (ampCache) {
+      return `${ampCache[1] ? 'https' : 'http'}://${ampCache[2]}${parsed.search}`;
+    }
+
+    return null;
+  }
+
+  // Feed redirectors and link shorteners, resolved by following the redirect
+  isRedirectWrapper(url) {
+    const parsed = this.parse(url);
+    return Boolean(parsed) && REDIRECT_WRAPPERS.some(pattern => pattern.test(parsed.hostname.toLowerCase()));
+  }
+
+  // Same site once www., m. and amp. prefixes are ignored
+  sameSite(a, b) {
+    const first = this.parse(a);
+    const second = this.parse(b);
+    return Boolean(first && second) &&
+      first.hostname.toLowerCase().replace(HOST_PREFIX, '') === second.hostname.toLowerCase().replace(HOST_PREFIX, '');
+  }
+
+  isTrackingParam(name, host = '') {
+    const key = name.toLowerCase();
+    if (TRACKING_PARAM.test(name) || TRACKING_PARAMS.has(key)) return true;
+
+    for (const [site, params] of HOST_TRACKING_PARAMS) {
+      if ((host === site || host.endsWith(`.${site}`)) && params.includes(key)) return true;
+    }
+    return false;
+  }
+
+  // AMP paths ("/amp/story", "/story/amp", "/story.amp.html") and trailing
+  // slashes. A path that is nothing but "/amp" stays: without it only the home
+  // page would be left
+  canonicalPath(pathname) {
+    const path = pathname
+      .replace(/\/{2,}/g, '/')
+      .replace(/\/+$/, '');
+    const article = path
+      .replace(/\/amp(?=\/|$)/gi, '')
+      .replace(/\.amp(\.html?)$/i, '$1');
+    return article || path || '/';
+  }
+
+  parse(url) {
+    try {
+      const parsed = new URL(String(url || '').trim());
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = UrlCanonicalizer;
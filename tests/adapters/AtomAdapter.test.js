@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+const AtomAdapter = require('../../src/adapters/AtomAdapter');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/adapters', name), 'utf8');
+
+describe('AtomAdapter', () => {
+  const feed = { id: 'example-de', name: 'Example', url: 'https://example.de/feed.atom' };
+  let data;
+
+  beforeAll(async () => {
+    data = await new AtomAdapter().parse(fixture('atom.xml'), feed);
+  });
+
+  test('reads feed metadata', () => {
+    expect(data).toMatchObject({
+      description: 'Nachrichten',
+      link: 'https://example.de/',
+      language: 'de',
+      lastBuildDate: '2026-10-19T10:00:00Z'
+    });
+  });
+
+  test('decodes type="html" titles to text', () => {
+    expect(data.title).toBe('A x');
+    expect(data.items[0].title).toBe('Acme kauft Beta & mehr');
+  });
+
+  test('keeps escaped markup of type="text" titles as text', () => {
+    expect(data.items[1].title).toBe('Plain <text> title');
+  });
+
+  test('resolves relative links against xml:base', () => {
+    const [first, second] = data.items;
+
+    // Feed-level xml:base; the HTML alternate wins over the PDF one
+    expect(first.link).toBe('https://example.de/news/artikel/1');
+    expect(first.imageUrl).toBe('https://example.de/img/1.jpg');
+
+    // Entry-level xml:base replaces the feed's
+    expect(second.link).toBe('https://archiv.example.de/2026/beitrag-2');
+    expect(second.imageUrl).toBe('https://archiv.example.de/thumb.png');
+  });
+
+  test('reads entry fields and extensions', () => {
+    const [first, second, third] = data.items;
+
+    expect(first).toMatchObject({
+      guid: 'tag:example.de,2026:1',
+      isoDate: '2026-10-19T07:00:00.000Z',
+      creator: 'Anna, Ben',
+      categories: ['Wirtschaft', 'M&A'],
+      language: 'de'
+    });
+    expect(first.content).toBe('<p>Die Acme AG übernimmt <b>Beta</b>.</p>');
+    expect(first.contentSnippet).toBe('Die Acme AG übernimmt Beta.');
+
+    expect(second).toMatchObject({
+      content: '<p>Short <b>summary</b></p>',
+      summary: 'Short summary',
+      language: 'en'
+    });
+
+    // FeedBurner's redirector link is replaced by the original
+    expect(third.link).toBe('https://example.de/news/artikel/3');
+  });
+
+  test('rejects documents without a feed element', async () => {
+    await expect(new AtomAdapter().parse('<rss><channel/></rss>', feed)).rejects.toThrow('Not an Atom feed');
+  });
+});
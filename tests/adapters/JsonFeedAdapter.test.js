@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+const JsonFeedAdapter = require('../../src/adapters/JsonFeedAdapter');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/adapters', name), 'utf8');
+
+describe('JsonFeedAdapter', () => {
+  const feed = { id: 'jf', name: 'JSON', url: 'https://jf.example.com/feed.json' };
+
+  test('reads JSON Feed 1.1 with author lists', async () => {
+    const data = await new JsonFeedAdapter().parse(fixture('jsonfeed-1.1.json'), feed);
+
+    expect(data).toMatchObject({
+      title: 'Example JSON Feed',
+      link: 'https://jf.example.com/',
+      language: 'en',
+      managingEditor: 'Ed, Flo'
+    });
+    expect(data.items[0]).toMatchObject({
+      title: 'Acme buys Beta',
+      link: 'https://jf.example.com/posts/1',
+      guid: '1',
+      creator: 'Zoe',
+      isoDate: '2026-10-19T08:00:00.000Z',
+      contentSnippet: 'Acme buys Beta for $1.2bn.',
+      categories: ['m&a'],
+      imageUrl: 'https://jf.example.com/1.png',
+      language: 'en'
+    });
+  });
+
+  test('reads JSON Feed 1.0 with a single author', async () => {
+    const data = await new JsonFeedAdapter().parse(fixture('jsonfeed-1.0.json'), feed);
+
+    expect(data.managingEditor).toBe('Olga');
+    expect(data.items[0].creator).toBe('Pat');
+  });
+
+  test('titles untitled items with their first sentence', async () => {
+    const { items } = await new JsonFeedAdapter().parse(fixture('jsonfeed-1.1.json'), feed);
+
+    expect(items[1]).toMatchObject({
+      title: 'An untitled microblog post about the merger.',
+      isoDate: '2026-10-19T07:00:00.000Z',
+      language: 'fr'
+    });
+  });
+
+  test('shortens long derived titles at a word boundary', () => {
+    const title = new JsonFeedAdapter().titleFrom({ content_text: `${'word '.repeat(40)}end.` });
+
+    expect(title.length).toBeLessThanOrEqual(121);
+    expect(title).toMatch(/^word( word)*…$/);
+  });
+
+  test('skips items without a URL', async () => {
+    const { items } = await new JsonFeedAdapter().parse(fixture('jsonfeed-1.1.json'), feed);
+
+    expect(items.map(item => item.guid)).toEqual(['1', '2']);
+  });
+
+  test('rejects documents without a version', async () => {
+    await expect(new JsonFeedAdapter().parse('{"items":[]}', feed)).rejects.toThrow('Not a JSON Feed');
+  });
+});
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+const NewsSitemapAdapter = require('../../src/adapters/NewsSitemapAdapter');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/adapters', name), 'utf8');
+
+describe('NewsSitemapAdapter', () => {
+  const feed = { id: 'news-es', name: 'Example News', url: 'https://news.example.es/sitemap-news.xml' };
+
+  test('reads <url> entries with a news block', async () => {
+    const data = await new NewsSitemapAdapter().parse(fixture('news-sitemap.xml'), feed);
+
+    expect(data.title).toBe('Example News');
+    expect(data.items).toEqual([{
+      title: 'Acme compra Beta',
+      link: 'https://news.example.es/acme-compra-beta',
+      guid: 'https://news.example.es/acme-compra-beta',
+      pubDate: '2026-10-19T06:00:00.000Z',
+      isoDate: '2026-10-19T06:00:00.000Z',
+      categories: ['fusiones', 'Acme'],
+      imageUrl: 'https://news.example.es/acme.jpg',
+      language: 'es'
+    }]);
+  });
+
+  test('rejects a sitemap index, naming its sitemaps', async () => {
+    await expect(new NewsSitemapAdapter().parse(fixture('sitemap-index.xml'), feed))
+      .rejects.toThrow(/^Sitemap index, not a news sitemap: .*sitemap-news-1\.xml, https:\/\/news\.example\.es\/sitemap-news-2\.xml/);
+  });
+
+  test('rejects documents that are not sitemaps', async () => {
+    await expect(new NewsSitemapAdapter().parse(fixture('rss.xml'), feed)).rejects.toThrow('Not a sitemap');
+  });
+});
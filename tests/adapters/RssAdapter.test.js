@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+const RssAdapter = require('../../src/adapters/RssAdapter');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/adapters', name), 'utf8');
+
+describe('RssAdapter', () => {
+  const feed = { id: 'wire', name: 'Example Wire', url: 'https://wire.example.com/rss' };
+
+  test('reads channel metadata and polling hints', async () => {
+    const data = await new RssAdapter().parse(fixture('rss.xml'), feed);
+
+    expect(data).toMatchObject({
+      title: 'Example Wire',
+      language: 'en-us',
+      ttl: '15',
+      updatePeriod: 'hourly',
+      updateFrequency: '2'
+    });
+  });
+
+  test('reads items with their custom fields', async () => {
+    const { items } = await new RssAdapter().parse(fixture('rss.xml'), feed);
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      title: 'Acme to buy Beta Systems for $1.2 billion',
+      link: 'https://wire.example.com/2026/10/acme-beta',
+      guid: 'wire-1001',
+      creator: 'Jane Roe',
+      categories: ['Deals', 'Cloud'],
+      isoDate: '2026-10-19T08:00:00.000Z'
+    });
+    expect(items[0].contentEncoded).toContain('<b>Beta Systems</b>');
+    expect(items[1].guid).toBeUndefined();
+  });
+
+  test('reads Atom documents with AtomAdapter', async () => {
+    const data = await new RssAdapter().parse(fixture('atom.xml'), feed);
+
+    expect(data.title).toBe('A x');
+    expect(data.items[0]).toMatchObject({
+      title: 'Acme kauft Beta & mehr',
+      link: 'https://example.de/news/artikel/1'
+    });
+  });
+
+  test('rejects documents that are not feeds', async () => {
+    await expect(new RssAdapter().parse('<html><body>Not a feed</body></html>', feed)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,86 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const config = require('../../src/config/config');
+const newsRoutes = require('../../src/routes/news');
+const NewsProcessor = require('../../src/services/NewsProcessor');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+describe('PUT /api/news/feeds/:id', () => {
+  const configFile = path.join(os.tmpdir(), `rss-feeds-${process.pid}.json`);
+  const writeConfig = feed => fs.writeFileSync(configFile, JSON.stringify({ feeds: [feed] }));
+  const feed = {
+    id: 'wire',
+    name: 'Example Wire',
+    url: 'https://wire.example.com/rss',
+    category: 'business',
+    dedupThreshold: 0.8
+  };
+
+  let dbManager;
+  let app;
+  let originalConfigFile;
+
+  const restart = async () => {
+    const processor = new NewsProcessor();
+    processor.dbManager = dbManager;
+    await processor.loadFeeds();
+    return dbManager.mongodb.collection('feeds').findOne({ id: 'wire' });
+  };
+
+  beforeEach(async () => {
+    originalConfigFile = config.feeds.configFile;
+    config.feeds.configFile = configFile;
+    writeConfig(feed);
+
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    await restart();
+
+    app = express();
+    app.use(express.json());
+    app.locals.services = { dbManager };
+    app.use('/api/news', newsRoutes);
+  });
+
+  afterEach(async () => {
+    config.feeds.configFile = originalConfigFile;
+    fs.rmSync(configFile, { force: true });
+    await dbManager.disconnect();
+  });
+
+  test('keeps dedup settings changed through the API across restarts', async () => {
+    await request(app)
+      .put('/api/news/feeds/wire')
+      .send({ dedupScope: 'feed', dedupThreshold: 0.9, tenant: 'acme' })
+      .expect(200);
+
+    const stored = await restart();
+
+    expect(stored).toMatchObject({ dedupScope: 'feed', dedupThreshold: 0.9, tenant: 'acme' });
+  });
+
+  test('applies config changes to fields the API never set', async () => {
+    await request(app).put('/api/news/feeds/wire').send({ dedupScope: 'category' }).expect(200);
+    writeConfig({ ...feed, dedupThreshold: 0.6, dedupTimeWindowHours: 12 });
+
+    const stored = await restart();
+
+    expect(stored).toMatchObject({ dedupScope: 'category', dedupThreshold: 0.6, dedupTimeWindowHours: 12 });
+  });
+
+  test.each([
+    ['id', { id: 'other' }],
+    ['_id', { _id: 'other' }],
+    ['unknown fields', { errorCount: 0 }]
+  ])('rejects %s', async (_, body) => {
+    await request(app).put('/api/news/feeds/wire').send(body).expect(400);
+
+    expect(await dbManager.mongodb.collection('feeds').countDocuments({ id: 'wire' })).toBe(1);
+  });
+});
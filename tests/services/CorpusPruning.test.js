@@ -0,0 +1,61 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ObjectId } = require('mongodb');
+
+const config = require('../../src/config/config');
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('DeduplicationEngine corpus pruning', () => {
+  let dbManager;
+  let engine;
+
+  beforeEach(async () => {
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    engine = new DeduplicationEngine();
+    engine.dbManager = dbManager;
+  });
+
+  afterEach(async () => {
+    await dbManager.disconnect();
+  });
+
+  const addArticle = async ageHours => {
+    const article = {
+      _id: new ObjectId(),
+      content: `Acme agrees to buy Beta Systems, published ${ageHours} hours ago.`,
+      publishedAt: new Date(Date.now() - ageHours * HOUR)
+    };
+    await engine.addToCorpus(article);
+    return String(article._id);
+  };
+
+  const corpusIds = async () => (await dbManager.findTfIdfDocuments({})).map(doc => String(doc.articleId));
+
+  test('keeps documents inside the longest feed time window', async () => {
+    const windowHours = config.deduplication.timeWindowHours;
+    await dbManager.mongodb.collection('feeds').insertOne({
+      id: 'weekly', url: 'https://example.com/weekly.xml', dedupTimeWindowHours: windowHours * 4
+    });
+
+    const reachable = await addArticle(windowHours * 2);
+    await addArticle(windowHours * 5);
+
+    await engine.pruneCorpus();
+
+    expect(await corpusIds()).toEqual([reachable]);
+  });
+
+  test('falls back to the global window when no feed sets one', async () => {
+    const windowHours = config.deduplication.timeWindowHours;
+    const recent = await addArticle(windowHours / 2);
+    await addArticle(windowHours * 2);
+
+    await engine.pruneCorpus();
+
+    expect(await corpusIds()).toEqual([recent]);
+  });
+});
@@ -0,0 +1,60 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ObjectId } = require('mongodb');
+
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+describe('DatabaseManager canonicalUrl migration', () => {
+  let dbManager;
+  let articles;
+
+  beforeEach(async () => {
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    articles = dbManager.mongodb.collection('articles');
+  });
+
+  afterEach(async () => {
+    await dbManager.disconnect();
+  });
+
+  const legacy = url => ({ _id: new ObjectId(), url, title: url });
+
+  test('adds canonical URLs to stored articles and resolves collisions before indexing', async () => {
+    const current = { _id: new ObjectId(), url: 'https://example.com/c', canonicalUrl: 'https://example.com/c' };
+    const stored = [
+      legacy('http://www.example.com/a?utm_source=rss'),
+      legacy('https://example.com/a/'),
+      legacy('https://m.example.com/b#comments'),
+      legacy('http://example.com/c/amp'),
+      legacy('ftp://example.com/d')
+    ];
+    await articles.insertMany([current, ...stored]);
+
+    // What the next startup runs
+    await dbManager.initializeCollections();
+
+    const byId = new Map((await articles.find({}).toArray()).map(article => [String(article._id), article]));
+    const [a1, a2, b, c, d] = stored.map(article => byId.get(String(article._id)));
+
+    expect(a1.canonicalUrl).toBe('https://example.com/a');
+    expect(a2).toMatchObject({ canonicalUrl: null, canonicalUrlOwnerId: a1._id });
+    expect(b.canonicalUrl).toBe('https://example.com/b');
+    expect(c).toMatchObject({ canonicalUrl: null, canonicalUrlOwnerId: current._id });
+    expect(d.canonicalUrl).toBe('ftp://example.com/d');
+
+    // The unique index holds for articles stored afterwards
+    await expect(dbManager.insertArticle({ url: 'https://example.com/b?ref=x', canonicalUrl: 'https://example.com/b' }))
+      .rejects.toMatchObject({ code: 11000 });
+  });
+
+  test('leaves migrated articles alone on later startups', async () => {
+    await articles.insertOne(legacy('https://example.com/e'));
+    await dbManager.initializeCollections();
+    const bulkWrite = jest.spyOn(articles, 'bulkWrite');
+
+    await dbManager.initializeCollections();
+
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
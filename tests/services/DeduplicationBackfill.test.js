@@ -0,0 +1,71 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../../src/config/config');
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const DeduplicationBackfill = require('../../src/services/DeduplicationBackfill');
+const NewsProcessor = require('../../src/services/NewsProcessor');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+const DATASET = path.join(__dirname, '../../scripts/eval/datasets/sample.jsonl');
+
+describe('DeduplicationBackfill dry run', () => {
+  let dbManager;
+  let engine;
+
+  beforeAll(async () => {
+    config.ai.openai.apiKey = undefined;
+    config.ai.anthropic.apiKey = undefined;
+    config.ai.cohere.apiKey = undefined;
+
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    engine = new DeduplicationEngine();
+    await engine.initialize(dbManager);
+    await engine.lshSeeding;
+
+    const processor = new NewsProcessor();
+    processor.dbManager = dbManager;
+
+    const items = fs.readFileSync(DATASET, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    for (const item of items) {
+      const feed = { id: item.source, name: item.source, category: item.category };
+      const article = await processor.extractArticleData({
+        title: item.title,
+        link: item.url,
+        content: item.content,
+        pubDate: item.publishedAt
+      }, feed);
+      await processor.enrichArticle(article);
+      article._id = item.id;
+      article.processed = true;
+      await dbManager.insertArticle(article);
+      await engine.addToCorpus(article);
+    }
+  });
+
+  afterAll(async () => {
+    await dbManager.disconnect();
+  });
+
+  test('leaves engine stats, embeddings and the LLM cache alone', async () => {
+    const backfill = new DeduplicationBackfill({ llmValidation: true, batchDelayMs: 0 });
+    backfill.initialize(dbManager, engine);
+    const stats = JSON.stringify(engine.stats);
+    const insertEmbedding = jest.spyOn(dbManager, 'insertEmbedding');
+    const setCache = jest.spyOn(dbManager, 'setCache');
+    const analyze = jest.spyOn(engine, 'analyzeSimilarities');
+
+    const { run, completion } = await backfill.start({ from: '2024-01-01', to: '2025-01-01', dryRun: true });
+    await completion;
+
+    expect(run).toMatchObject({ status: 'completed', processed: 27 });
+    expect(analyze).toHaveBeenCalled();
+    expect(JSON.stringify(engine.stats)).toBe(stats);
+    expect(insertEmbedding).not.toHaveBeenCalled();
+    expect(setCache).not.toHaveBeenCalled();
+    expect(engine.llmValidationCache.size).toBe(0);
+  });
+});
@@ -0,0 +1,183 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../../src/config/config');
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const NewsProcessor = require('../../src/services/NewsProcessor');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+const DATASET = path.join(__dirname, '../../scripts/eval/datasets/sample.jsonl');
+
+// Feed thresholds below, between and above the built-in method thresholds
+const SCOPES = [0.3, 0.5, 0.7, 0.95].map(threshold => ({
+  scope: 'global', tenant: null, timeWindowMs: null, threshold
+}));
+
+describe('DeduplicationEngine early exit', () => {
+  let dbManager;
+  let engine;
+  let articles;
+
+  beforeAll(async () => {
+    config.ai.openai.apiKey = undefined;
+    config.ai.anthropic.apiKey = undefined;
+    config.ai.cohere.apiKey = undefined;
+
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    engine = new DeduplicationEngine();
+    await engine.initialize(dbManager);
+
+    const processor = new NewsProcessor();
+    processor.dbManager = dbManager;
+
+    const items = fs.readFileSync(DATASET, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    articles = [];
+    for (const item of items) {
+      const feed = { id: item.source, name: item.source, category: item.category };
+      const article = await processor.extractArticleData({
+        title: item.title,
+        link: item.url,
+        content: item.content,
+        pubDate: item.publishedAt
+      }, feed);
+      await processor.enrichArticle(article);
+      article._id = item.id;
+      articles.push(article);
+      await engine.addToCorpus(article);
+    }
+  });
+
+  afterAll(async () => {
+    await dbManager.disconnect();
+  });
+
+  const decide = async (article, candidate, scope, earlyExit) => {
+    const similarity = await engine.calculateSimilarityScore(article, candidate, { earlyExit, scope, dryRun: true });
+    const [duplicate] = engine.identifyDuplicates([{ candidate, ...similarity }], scope, { dryRun: true });
+    return { isDuplicate: Boolean(duplicate), similarity };
+  };
+
+  const byId = id => articles.find(article => article._id === id);
+
+  test('does not change decisions for feeds with their own threshold', async () => {
+    let earlyExits = 0;
+
+    for (const scope of SCOPES) {
+      for (const [index, article] of articles.entries()) {
+        for (const candidate of articles.slice(0, index)) {
+          const full = await decide(article, candidate, scope, false);
+          const cascaded = await decide(article, candidate, scope, true);
+
+          expect({ pair: [article._id, candidate._id], threshold: scope.threshold, isDuplicate: cascaded.isDuplicate })
+            .toEqual({ pair: [article._id, candidate._id], threshold: scope.threshold, isDuplicate: full.isDuplicate });
+          if (cascaded.similarity.skippedSignals) earlyExits++;
+        }
+      }
+    }
+
+    // Otherwise the comparison above proves nothing
+    expect(earlyExits).toBeGreaterThan(0);
+  });
+
+  test('scores live pairs with the feed scope', async () => {
+    const scope = SCOPES[0];
+    jest.spyOn(engine, 'getDedupScope').mockResolvedValue(scope);
+    jest.spyOn(engine, 'getCandidateArticles').mockResolvedValue([articles[0]]);
+    const scoring = jest.spyOn(engine, 'calculateSimilarityScore');
+
+    await engine.performDeduplication({ ...articles[1], _id: undefined });
+
+    expect(scoring).toHaveBeenCalledWith(expect.anything(), articles[0], expect.objectContaining({ scope }));
+    jest.restoreAllMocks();
+  });
+
+  test('leaves simhash out of scoring when it is disabled', async () => {
+    const [article, original] = ['fed-3', 'fed-1'].map(id => articles.find(a => a._id === id));
+    expect((await engine.calculateSimilarityScore(article, original, { dryRun: true })).method).toBe('simhash');
+
+    config.deduplication.simhash.enabled = false;
+    try {
+      const disabled = new DeduplicationEngine();
+      await disabled.initialize(dbManager);
+      await disabled.lshSeeding;
+      for (const stored of articles) await disabled.addToCorpus(stored);
+
+      const similarity = await disabled.calculateSimilarityScore(article, original, { dryRun: true });
+
+      expect(disabled.signals.map(signal => signal.name)).not.toContain('simhash');
+      expect(similarity.method).not.toBe('simhash');
+      expect(similarity.simhashSimilarity).toBeUndefined();
+    } finally {
+      config.deduplication.simhash.enabled = true;
+    }
+  });
+
+  describe('explainDecision', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('does not count or store anything', async () => {
+      const stats = JSON.stringify(engine.stats);
+      const saveEmbedding = jest.spyOn(dbManager, 'insertEmbedding');
+
+      await engine.explainDecision(byId('acme-3'), byId('acme-1'));
+
+      expect(JSON.stringify(engine.stats)).toBe(stats);
+      expect(saveEmbedding).not.toHaveBeenCalled();
+    });
+
+    test('decides with the feed threshold', async () => {
+      const [article, original] = [byId('acme-3'), byId('acme-1')];
+      const lenient = await engine.explainDecision(article, original);
+      jest.spyOn(engine, 'getDedupScope').mockResolvedValue({ ...SCOPES[0], threshold: 0.99 });
+
+      const strict = await engine.explainDecision(article, original);
+
+      expect(lenient.isDuplicate).toBe(true);
+      expect(strict).toMatchObject({ threshold: 0.99, isDuplicate: false });
+    });
+
+    test('lets a human label and a recorded LLM verdict decide', async () => {
+      const [article, original] = [byId('acme-3'), byId('acme-1')];
+      const recorded = {
+        similarityBreakdown: {
+          llmValidation: { isDuplicate: false, confidence: 0.95, reasoning: 'Different deals' }
+        }
+      };
+
+      const llm = await engine.explainDecision(article, original, recorded);
+      expect(llm.isDuplicate).toBe(false);
+      expect(llm.verdict).toContain('LLM validation');
+
+      jest.spyOn(engine, 'getFeedbackForArticle').mockResolvedValue([
+        { pairKey: engine.getPairKey(article._id, original._id), label: 'duplicate' }
+      ]);
+      const labeled = await engine.explainDecision(article, original, recorded);
+      expect(labeled.isDuplicate).toBe(true);
+      expect(labeled.humanLabel).toMatchObject({ label: 'duplicate' });
+    });
+  });
+
+  describe('feedback labels', () => {
+    test('follow the canonical URL across tracking and AMP variants', async () => {
+      const [article, original] = [byId('acme-3'), byId('acme-1')];
+      await engine.recordFeedback(
+        { ...article, url: `${article.url}?utm_source=rss` },
+        original,
+        'not_duplicate'
+      );
+
+      const variant = {
+        ...article,
+        _id: 'acme-3-amp',
+        url: article.url.replace('https://', 'http://www.') + '/amp?utm_medium=social'
+      };
+      const label = engine.findFeedbackLabel(await engine.getFeedbackForArticle(variant), variant, original);
+      expect(label).toMatchObject({ label: 'not_duplicate' });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ObjectId } = require('mongodb');
+
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+describe('DeduplicationEngine startup recovery', () => {
+  let dbManager;
+  let engine;
+  let articles;
+
+  beforeEach(async () => {
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    engine = new DeduplicationEngine();
+    engine.dbManager = dbManager;
+
+    // More than two recovery batches
+    articles = Array.from({ length: 1201 }, (_, i) => ({
+      _id: new ObjectId(),
+      title: `Article ${i}`,
+      url: `https://example.com/${i}`,
+      processed: false
+    }));
+    await dbManager.mongodb.collection('articles').insertMany(articles);
+  });
+
+  afterEach(async () => {
+    await dbManager.disconnect();
+  });
+
+  const jobsFor = articleId => dbManager.mongodb.collection('processing_queue')
+    .find({ articleId }).toArray();
+
+  test('queues every unprocessed article, paging through the backlog', async () => {
+    const findArticles = jest.spyOn(dbManager, 'findArticles');
+
+    await engine.recoverUnprocessedArticles();
+
+    expect(await dbManager.mongodb.collection('processing_queue').countDocuments({ status: 'pending' })).toBe(1201);
+    expect(findArticles).toHaveBeenCalledTimes(3);
+    for (const [, options] of findArticles.mock.calls) {
+      expect(options.limit).toBeLessThan(1201);
+    }
+  });
+
+  test('does not retry dead-lettered articles on restart', async () => {
+    const poison = articles[0];
+    await dbManager.enqueueJob({ type: 'deduplication', articleId: poison._id });
+    const [job] = await dbManager.claimJobs('deduplication', 1, 60000);
+    await dbManager.failJob(job, new Error('boom'), { maxAttempts: 1, baseDelayMs: 1000 });
+
+    await engine.recoverUnprocessedArticles();
+    await engine.recoverUnprocessedArticles();
+
+    const jobs = await jobsFor(poison._id);
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ status: 'dead_letter', attempts: 1 });
+    expect(await jobsFor(articles[1]._id)).toHaveLength(1);
+  });
+
+  test('allows one active job per article', async () => {
+    const queue = dbManager.mongodb.collection('processing_queue');
+    const articleId = articles[0]._id;
+    await queue.insertOne({ type: 'deduplication', articleId, status: 'completed' });
+    await queue.insertOne({ type: 'deduplication', articleId, status: 'pending' });
+
+    await expect(queue.insertOne({ type: 'deduplication', articleId, status: 'processing' }))
+      .rejects.toMatchObject({ code: 11000 });
+  });
+
+  test('treats a job queued by a concurrent enqueue as already queued', async () => {
+    const queue = dbManager.mongodb.collection('processing_queue');
+    const articleId = articles[0]._id;
+    jest.spyOn(queue, 'updateOne').mockImplementationOnce(async () => {
+      // The other worker's upsert lands between our lookup and insert
+      await queue.insertOne({ type: 'deduplication', articleId, status: 'pending' });
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    });
+
+    const result = await dbManager.enqueueJob({ type: 'deduplication', articleId });
+    expect(result.upsertedCount).toBe(0);
+    expect(await jobsFor(articleId)).toHaveLength(1);
+  });
+});
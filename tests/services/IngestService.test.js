@@ -0,0 +1,51 @@
+process.env.LOG_LEVEL = 'error';
+
+const IngestService = require('../../src/services/IngestService');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+describe('IngestService', () => {
+  let dbManager;
+  let engine;
+  let service;
+
+  beforeEach(async () => {
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    engine = {
+      calculateSimilarityScore: jest.fn().mockResolvedValue({ overallScore: 0.9, method: 'title_similarity' }),
+      toBreakdown: jest.fn().mockReturnValue({})
+    };
+    service = new IngestService();
+  });
+
+  afterEach(async () => {
+    await dbManager.disconnect();
+  });
+
+  test('resumes unfinished jobs on start, not on initialize', async () => {
+    await dbManager.insertIngestJob({ status: 'running', total: 1, processed: 0, articles: [], results: [] });
+    const startJob = jest.spyOn(service, 'startJob').mockImplementation(() => {});
+
+    await service.initialize(dbManager, {}, engine);
+    expect(startJob).not.toHaveBeenCalled();
+
+    await service.start();
+    expect(startJob).toHaveBeenCalledWith(expect.objectContaining({ status: 'running' }));
+  });
+
+  test('rescores updates for their status without counting them', async () => {
+    await service.initialize(dbManager, {}, engine);
+    await dbManager.insertArticle({ _id: 'original', title: 'Original' });
+
+    const result = await service.describe({
+      _id: 'update',
+      duplicateChecked: true,
+      classification: 'update',
+      updateOf: 'original'
+    });
+
+    expect(result).toMatchObject({ verdict: 'update', originalArticleId: 'original', score: 0.9 });
+    expect(engine.calculateSimilarityScore)
+      .toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.objectContaining({ dryRun: true }));
+  });
+});
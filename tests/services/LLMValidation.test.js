@@ -0,0 +1,68 @@
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../../src/config/config');
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+describe('DeduplicationEngine LLM validation', () => {
+  const article = { _id: 'a1', title: 'Acme agrees to buy Beta Systems for $1.2 billion' };
+  const candidate = { _id: 'a2', title: 'Acme agrees to buy Beta Systems in $1.2 billion deal' };
+
+  let dbManager;
+  let engine;
+  let callOpenAI;
+
+  beforeEach(async () => {
+    config.ai.openai.apiKey = undefined;
+    config.ai.anthropic.apiKey = undefined;
+    config.ai.cohere.apiKey = undefined;
+
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+    engine = new DeduplicationEngine();
+    await engine.initialize(dbManager);
+    await engine.lshSeeding;
+
+    // A configured provider whose calls are stubbed
+    engine.llmAnalyzer.openai = {};
+    callOpenAI = jest.spyOn(engine.llmAnalyzer, 'callOpenAI');
+  });
+
+  afterEach(async () => {
+    await dbManager.disconnect();
+  });
+
+  const cacheKey = engine => engine.getLLMCacheKey(article, candidate);
+
+  test('does not cache or apply the fallback verdict of a failed provider call', async () => {
+    callOpenAI.mockRejectedValue(new Error('429 Too Many Requests'));
+
+    const validation = await engine.validateWithLLM(article, candidate);
+
+    expect(validation).toBeNull();
+    expect(engine.stats).toMatchObject({ llmFailures: 1, llmValidations: 0 });
+    expect(engine.llmValidationCache.size).toBe(0);
+    expect(await dbManager.getCache(cacheKey(engine))).toBeNull();
+  });
+
+  test('asks again after a failure and keeps the provider verdict', async () => {
+    callOpenAI
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce('{"isDuplicate": false, "confidence": 0.9, "reasoning": "Different deals"}');
+
+    await engine.validateWithLLM(article, candidate);
+    const validation = await engine.validateWithLLM(article, candidate);
+
+    expect(callOpenAI).toHaveBeenCalledTimes(2);
+    expect(validation).toMatchObject({ isDuplicate: false, confidence: 0.9, provider: 'openai', cached: false });
+    expect(await dbManager.getCache(cacheKey(engine))).toMatchObject({ isDuplicate: false, provider: 'openai' });
+  });
+
+  test('marks the analyzer fallback as such', async () => {
+    callOpenAI.mockRejectedValue(new Error('timeout'));
+
+    const result = await engine.llmAnalyzer.validateDuplicate(article, candidate);
+
+    expect(result).toMatchObject({ fallback: true, error: 'timeout' });
+  });
+});
@@ -0,0 +1,77 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ObjectId } = require('mongodb');
+
+const config = require('../../src/config/config');
+const DeduplicationEngine = require('../../src/services/DeduplicationEngine');
+const InMemoryDatabaseManager = require('../../scripts/eval/InMemoryDatabaseManager');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('DeduplicationEngine LSH seeding', () => {
+  let dbManager;
+  let engine;
+  let stored;
+
+  beforeEach(async () => {
+    config.ai.openai.apiKey = undefined;
+    config.ai.anthropic.apiKey = undefined;
+    config.ai.cohere.apiKey = undefined;
+
+    dbManager = new InMemoryDatabaseManager();
+    await dbManager.connect();
+
+    // Stored before the index existed
+    const article = (title, ageHours) => ({
+      _id: new ObjectId(),
+      title,
+      content: `${title}. The deal was announced on Monday and values the company at $1.2 billion.`,
+      source: 'wire',
+      category: 'business',
+      publishedAt: new Date(Date.now() - ageHours * HOUR),
+      processed: true
+    });
+    stored = {
+      recent: article('Acme agrees to buy Beta Systems', 2),
+      old: article('Acme agrees to buy Gamma Labs', 24 * 10)
+    };
+    await dbManager.mongodb.collection('articles').insertMany(Object.values(stored));
+
+    engine = new DeduplicationEngine();
+  });
+
+  afterEach(async () => {
+    await dbManager.disconnect();
+  });
+
+  const indexedIds = async () => (await dbManager.findLshEntries({})).map(entry => String(entry.articleId));
+
+  test('indexes in-window articles on startup', async () => {
+    await engine.initialize(dbManager);
+    await engine.lshSeeding;
+
+    expect(await indexedIds()).toEqual([String(stored.recent._id)]);
+    expect(engine.getLshStats().cold).toBe(false);
+  });
+
+  test('adds metadata candidates while the index is cold', async () => {
+    engine.dbManager = dbManager;
+    const incoming = {
+      _id: new ObjectId(),
+      title: 'Zeta opens a new office in Lisbon',
+      content: 'Zeta opened an office in Lisbon on Tuesday.',
+      source: 'wire',
+      category: 'business',
+      publishedAt: new Date()
+    };
+    const scope = { scope: 'global', tenant: null, timeWindowMs: null, threshold: 0.75 };
+    const ids = async () => (await engine.getCandidateArticles(incoming, { scope })).map(c => String(c._id));
+
+    expect(await ids()).toContain(String(stored.recent._id));
+
+    await engine.seedLshIndex();
+
+    expect(engine.lshCold).toBe(false);
+    expect(await ids()).not.toContain(String(stored.recent._id));
+  });
+});
@@ -0,0 +1,24 @@
+const PollingPolicy = require('../../src/utils/PollingPolicy');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe('PollingPolicy', () => {
+  const policy = new PollingPolicy({ minIntervalMs: 2 * MINUTE_MS, maxIntervalMs: HOUR_MS, defaultIntervalMs: 5 * MINUTE_MS });
+  const now = Date.parse('2026-10-19T08:00:00Z');
+
+  test('keeps update-period and ttl hints within the maximum interval', () => {
+    const daily = policy.next(null, { newArticles: 3, hints: policy.readHints({ updatePeriod: 'daily' }) }, now);
+    const ttl = policy.next(null, { newArticles: 3, hints: policy.readHints({ ttl: '720' }) }, now);
+
+    expect(daily.intervalMs).toBe(HOUR_MS);
+    expect(daily.nextPollAt).toEqual(new Date(now + HOUR_MS));
+    expect(ttl.intervalMs).toBe(HOUR_MS);
+  });
+
+  test('still polls no more often than a shorter hint allows', () => {
+    const polling = policy.next(null, { newArticles: 3, hints: policy.readHints({ ttl: '15' }) }, now);
+
+    expect(polling.intervalMs).toBe(15 * MINUTE_MS);
+  });
+});
@@ -0,0 +1,39 @@
+process.env.LOG_LEVEL = 'error';
+
+const ScoringTuner = require('../../src/utils/ScoringTuner');
+const ScoringProfileStore = require('../../src/utils/ScoringProfileStore');
+
+const { COMPONENTS } = ScoringProfileStore;
+
+describe('ScoringTuner fitWeights', () => {
+  // Duplicates score lower than non-duplicates on every component
+  const samples = [0.2, 0.3, 0.8, 0.9].map((score, index) => ({
+    isDuplicate: index < 2,
+    scores: Object.fromEntries(COMPONENTS.map(name => [name, score]))
+  }));
+
+  const profileWith = weights => ({
+    name: 'test',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    weights,
+    thresholds: {}
+  });
+
+  test('falls back to the current weights, scaled to a savable profile', () => {
+    const weights = Object.fromEntries(COMPONENTS.map(name => [name, 0.3]));
+    const tuner = new ScoringTuner({ weights }, { epochs: 200 });
+
+    const fitted = tuner.fitWeights(samples);
+
+    expect(Object.keys(fitted).sort()).toEqual([...COMPONENTS].sort());
+    expect(Object.values(fitted).reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(1, 3);
+    expect(() => new ScoringProfileStore('/tmp').validate(profileWith(fitted))).not.toThrow();
+  });
+
+  test('fails clearly when there is nothing to fall back to', () => {
+    const tuner = new ScoringTuner({ weights: {} }, { epochs: 200 });
+
+    expect(() => tuner.fitWeights(samples)).toThrow('No predictive signals');
+  });
+});
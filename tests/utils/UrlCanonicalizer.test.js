@@ -0,0 +1,34 @@
+const UrlCanonicalizer = require('../../src/utils/UrlCanonicalizer');
+
+describe('UrlCanonicalizer', () => {
+  const canonicalizer = new UrlCanonicalizer();
+  const canonicalize = url => canonicalizer.canonicalize(url);
+
+  test('maps URL variants of one article to one key', () => {
+    const key = 'https://example.com/2026/10/acme-buys-beta';
+
+    expect(canonicalize('http://m.example.com/2026/10/acme-buys-beta/amp/?utm_source=rss&fbclid=x#comments')).toBe(key);
+    expect(canonicalize('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/2026/10/acme-buys-beta')).toBe(key);
+    expect(canonicalize('https://www.google.com/url?q=https://example.com/2026/10/acme-buys-beta')).toBe(key);
+  });
+
+  test('keeps generic parameters that may select the article', () => {
+    expect(canonicalize('https://example.com/story?ref=123')).toBe('https://example.com/story?ref=123');
+    expect(canonicalize('https://example.com/story?amp=1')).toBe('https://example.com/story?amp=1');
+    expect(canonicalize('https://example.com/story?rss=2&icid=7'))
+      .not.toBe(canonicalize('https://example.com/story?rss=3&icid=7'));
+  });
+
+  test('drops generic tracking parameters only on the sites that use them', () => {
+    expect(canonicalize('https://www.nytimes.com/2026/10/19/business/acme.html?smid=tw-share'))
+      .toBe('https://nytimes.com/2026/10/19/business/acme.html');
+    expect(canonicalize('https://example.com/story?smid=4')).toBe('https://example.com/story?smid=4');
+  });
+
+  test('does not reduce an /amp page to the home page', () => {
+    expect(canonicalize('https://example.com/amp')).toBe('https://example.com/amp');
+    expect(canonicalize('https://example.com/amp/')).toBe('https://example.com/amp');
+    expect(canonicalize('https://example.com/amp/story')).toBe('https://example.com/story');
+    expect(canonicalize('https://example.com/story.amp.html')).toBe('https://example.com/story.html');
+  });
+});